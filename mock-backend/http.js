@@ -0,0 +1,51 @@
+// Request/response helpers shared by the mock API and the mock identity provider.
+
+export class HttpError extends Error {
+  constructor(status, detail) {
+    super(detail)
+    this.status = status
+  }
+}
+
+export const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+
+export const readJson = async (req) => {
+  const body = await readBody(req)
+  if (body.length === 0) return {}
+  try {
+    return JSON.parse(body.toString('utf8'))
+  } catch {
+    throw new HttpError(400, 'Request body is not valid JSON')
+  }
+}
+
+export const readForm = async (req) => new URLSearchParams((await readBody(req)).toString('utf8'))
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Content-Range',
+}
+
+export const sendJson = (res, status, payload) => {
+  res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(payload))
+}
+
+export const sendHtml = (res, status, html) => {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' })
+  res.end(html)
+}
+
+export const redirect = (res, location) => {
+  res.writeHead(302, { Location: location })
+  res.end()
+}
+
+export const originOf = (req) => `http://${req.headers.host}`
@@ -0,0 +1,207 @@
+// Minimal OpenID Connect provider for local development: authorization code
+// flow with mandatory PKCE (S256), refresh token rotation and an end-session
+// endpoint. The sign-in page takes any email address; the account's `sub` is
+// derived from it, so signing in with the same email always yields the same
+// user. ID tokens are unsigned (alg "none") — good enough for a mock, never
+// for production.
+
+import { createHash, randomBytes } from 'node:crypto'
+import { HttpError, originOf, readForm, redirect, sendHtml, sendJson } from './http.js'
+
+const CODE_TTL_MS = 60 * 1000
+
+const base64Url = (buffer) => Buffer.from(buffer).toString('base64url')
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+const accountForEmail = (email) => {
+  const normalized = email.trim().toLowerCase()
+  return {
+    sub: `user-${createHash('sha256').update(normalized).digest('hex').slice(0, 16)}`,
+    email: normalized,
+    name: normalized.split('@')[0],
+  }
+}
+
+const renderSignInPage = (params, defaultEmail) => {
+  const hidden = [...params.entries()]
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n      ')
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Mock identity provider</title></head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 80px auto">
+    <h2>Mock identity provider</h2>
+    <p>Client <code>${escapeHtml(params.get('client_id'))}</code> wants to sign you in.</p>
+    <form method="post">
+      ${hidden}
+      <label>Email<br><input name="email" type="email" required value="${escapeHtml(defaultEmail)}" style="width: 100%"></label>
+      <p>
+        <button type="submit" name="decision" value="allow">Sign in</button>
+        <button type="submit" name="decision" value="deny" formnovalidate>Cancel</button>
+      </p>
+    </form>
+  </body>
+</html>`
+}
+
+export const createIdentityProvider = ({ getScenario }) => {
+  const codes = new Map()
+  const accessTokens = new Map()
+  const refreshTokens = new Map()
+  const accounts = new Set()
+
+  const issuerOf = (req) => `${originOf(req)}/oidc`
+
+  const tokenError = (status, error, description) => {
+    const httpError = new HttpError(status, description)
+    httpError.body = { error, error_description: description }
+    return httpError
+  }
+
+  const issueTokens = (req, { account, clientId, nonce, scope }) => {
+    const ttlSeconds = getScenario().accessTokenTtlSeconds
+    const now = Math.floor(Date.now() / 1000)
+    const accessToken = base64Url(randomBytes(24))
+    const refreshToken = base64Url(randomBytes(32))
+    accessTokens.set(accessToken, { account, expiresAt: Date.now() + ttlSeconds * 1000 })
+    refreshTokens.set(refreshToken, { account, clientId, scope })
+    const idToken = [
+      base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' })),
+      base64Url(JSON.stringify({ iss: issuerOf(req), aud: clientId, iat: now, exp: now + ttlSeconds, nonce, ...account })),
+      '',
+    ].join('.')
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ttlSeconds,
+      refresh_token: refreshToken,
+      id_token: idToken,
+      scope,
+    }
+  }
+
+  const validateAuthorizeParams = (params) => {
+    if (params.get('response_type') !== 'code') throw new HttpError(400, 'response_type must be "code"')
+    if (!params.get('client_id') || !params.get('redirect_uri')) throw new HttpError(400, 'client_id and redirect_uri are required')
+    if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+      throw new HttpError(400, 'PKCE with code_challenge_method=S256 is required')
+    }
+  }
+
+  const exchangeCode = (req, form) => {
+    const code = codes.get(form.get('code'))
+    codes.delete(form.get('code'))
+    if (!code || code.expiresAt < Date.now()) throw tokenError(400, 'invalid_grant', 'Authorization code is invalid or expired')
+    if (code.clientId !== form.get('client_id') || code.redirectUri !== form.get('redirect_uri')) {
+      throw tokenError(400, 'invalid_grant', 'client_id or redirect_uri does not match the authorization request')
+    }
+    const challenge = base64Url(createHash('sha256').update(form.get('code_verifier') ?? '').digest())
+    if (challenge !== code.codeChallenge) throw tokenError(400, 'invalid_grant', 'code_verifier does not match the code challenge')
+    return issueTokens(req, code)
+  }
+
+  const refresh = (req, form) => {
+    const grant = refreshTokens.get(form.get('refresh_token'))
+    refreshTokens.delete(form.get('refresh_token'))
+    if (!grant || grant.clientId !== form.get('client_id')) throw tokenError(400, 'invalid_grant', 'Refresh token is invalid')
+    return issueTokens(req, { ...grant, nonce: undefined })
+  }
+
+  const routes = [
+    ['GET', /^\/oidc\/\.well-known\/openid-configuration$/, (req, res) => {
+      const issuer = issuerOf(req)
+      sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        end_session_endpoint: `${issuer}/logout`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        code_challenge_methods_supported: ['S256'],
+        id_token_signing_alg_values_supported: ['none'],
+        scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+      })
+    }],
+
+    ['GET', /^\/oidc\/authorize$/, (req, res, url) => {
+      validateAuthorizeParams(url.searchParams)
+      sendHtml(res, 200, renderSignInPage(url.searchParams, getScenario().signInEmail))
+    }],
+
+    ['POST', /^\/oidc\/authorize$/, async (req, res) => {
+      const form = await readForm(req)
+      validateAuthorizeParams(form)
+      const callback = new URL(form.get('redirect_uri'))
+      if (form.get('state')) callback.searchParams.set('state', form.get('state'))
+      if (form.get('decision') !== 'allow') {
+        callback.searchParams.set('error', 'access_denied')
+        callback.searchParams.set('error_description', 'Sign-in was cancelled.')
+        redirect(res, callback.toString())
+        return
+      }
+      const account = accountForEmail(form.get('email') ?? '')
+      accounts.add(account.sub)
+      const code = base64Url(randomBytes(24))
+      codes.set(code, {
+        account,
+        clientId: form.get('client_id'),
+        redirectUri: form.get('redirect_uri'),
+        codeChallenge: form.get('code_challenge'),
+        nonce: form.get('nonce') ?? undefined,
+        scope: form.get('scope') ?? 'openid',
+        expiresAt: Date.now() + CODE_TTL_MS,
+      })
+      callback.searchParams.set('code', code)
+      redirect(res, callback.toString())
+    }],
+
+    ['POST', /^\/oidc\/token$/, async (req, res) => {
+      const form = await readForm(req)
+      const grantType = form.get('grant_type')
+      if (grantType === 'authorization_code') {
+        sendJson(res, 200, exchangeCode(req, form))
+      } else if (grantType === 'refresh_token') {
+        sendJson(res, 200, refresh(req, form))
+      } else {
+        throw tokenError(400, 'unsupported_grant_type', `Unsupported grant_type ${grantType}`)
+      }
+    }],
+
+    ['GET', /^\/oidc\/userinfo$/, (req, res) => {
+      const account = authenticate(req)
+      if (!account) throw new HttpError(401, 'Invalid access token')
+      sendJson(res, 200, account)
+    }],
+
+    ['GET', /^\/oidc\/logout$/, (req, res, url) => {
+      const target = url.searchParams.get('post_logout_redirect_uri')
+      if (target) {
+        redirect(res, target)
+      } else {
+        sendHtml(res, 200, '<p>Signed out.</p>')
+      }
+    }],
+  ]
+
+  // Resolves the account behind a request's bearer token. Tokens are only
+  // accepted in the Authorization header, never in the URL.
+  const authenticate = (req) => {
+    const token = /^Bearer (.+)$/.exec(req.headers.authorization ?? '')?.[1]
+    const grant = token ? accessTokens.get(token) : null
+    if (!grant || grant.expiresAt < Date.now()) return null
+    return grant.account
+  }
+
+  const isAccount = (userId) => accounts.has(userId)
+
+  const reset = () => {
+    codes.clear()
+    accessTokens.clear()
+    refreshTokens.clear()
+  }
+
+  return { routes, authenticate, isAccount, reset }
+}
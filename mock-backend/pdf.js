@@ -0,0 +1,129 @@
+// Builds small PDFs for the mock: blank and filled forms with one AcroForm
+// text field per entry, and plain text "source documents" whose line
+// positions are known so field provenance can point at them.
+
+const PAGE_WIDTH = 612
+const PAGE_HEIGHT = 792
+const FIELDS_PER_PAGE = 24
+const ROW_HEIGHT = 28
+const TOP_MARGIN = 72
+const DOCUMENT_LINES_PER_PAGE = 30
+const DOCUMENT_LINE_HEIGHT = 20
+const DOCUMENT_LEFT = 50
+const DOCUMENT_FONT_SIZE = 11
+
+const escapePdfString = (value) =>
+  String(value ?? '')
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/([\\()])/g, '\\$1')
+
+const serializePdf = (objects) => {
+  let output = '%PDF-1.7\n'
+  const offsets = []
+  for (let number = 1; number < objects.length; number += 1) {
+    offsets[number] = Buffer.byteLength(output, 'latin1')
+    output += `${number} 0 obj\n${objects[number]}\nendobj\n`
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1')
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`
+  for (let number = 1; number < objects.length; number += 1) {
+    output += `${String(offsets[number]).padStart(10, '0')} 00000 n \n`
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return Buffer.from(output, 'latin1')
+}
+
+// Page (1-based) and bounding box, in PDF points from the bottom-left corner,
+// of a line drawn by buildDocumentPdf. Widths use an average Helvetica glyph.
+export const documentLineBox = (lineIndex, text) => {
+  const row = lineIndex % DOCUMENT_LINES_PER_PAGE
+  const y = PAGE_HEIGHT - TOP_MARGIN - 30 - row * DOCUMENT_LINE_HEIGHT
+  const width = Math.min(PAGE_WIDTH - 2 * DOCUMENT_LEFT, Math.round(text.length * DOCUMENT_FONT_SIZE * 0.5))
+  return {
+    page: Math.floor(lineIndex / DOCUMENT_LINES_PER_PAGE) + 1,
+    bbox: [DOCUMENT_LEFT - 4, y - 5, DOCUMENT_LEFT + width + 4, y + DOCUMENT_FONT_SIZE + 3],
+  }
+}
+
+export const buildDocumentPdf = (title, lines) => {
+  const pages = []
+  for (let index = 0; index < Math.max(lines.length, 1); index += DOCUMENT_LINES_PER_PAGE) {
+    pages.push(lines.slice(index, index + DOCUMENT_LINES_PER_PAGE))
+  }
+
+  // Object numbers: 1 catalog, 2 page tree, 3 font, then per page a page
+  // object and its content stream.
+  const objects = []
+  const pageObjectNumbers = pages.map((_page, pageIndex) => 4 + pageIndex * 2)
+  pages.forEach((pageLines, pageIndex) => {
+    const pageNumber = pageObjectNumbers[pageIndex]
+    const content = [`BT /Helv 14 Tf ${DOCUMENT_LEFT} 740 Td (${escapePdfString(title)}) Tj ET`]
+    pageLines.forEach((line, row) => {
+      const [, y0] = documentLineBox(pageIndex * DOCUMENT_LINES_PER_PAGE + row, line).bbox
+      content.push(`BT /Helv ${DOCUMENT_FONT_SIZE} Tf ${DOCUMENT_LEFT} ${y0 + 5} Td (${escapePdfString(line)}) Tj ET`)
+    })
+    const stream = content.join('\n')
+    objects[pageNumber] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /Helv 3 0 R >> >> /Contents ${pageNumber + 1} 0 R >>`
+    objects[pageNumber + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+  })
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectNumbers.map((number) => `${number} 0 R`).join(' ')}] /Count ${pages.length} >>`
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+
+  return serializePdf(objects)
+}
+
+export const buildFormPdf = (fields) => {
+  const pages = []
+  for (let index = 0; index < Math.max(fields.length, 1); index += FIELDS_PER_PAGE) {
+    pages.push(fields.slice(index, index + FIELDS_PER_PAGE))
+  }
+
+  // Object numbers: 1 catalog, 2 page tree, 3 font, then per page a page
+  // object and a content stream, then one widget per field.
+  const objects = []
+  const pageObjectNumbers = pages.map((_page, pageIndex) => 4 + pageIndex * 2)
+  let nextWidgetNumber = 4 + pages.length * 2
+  const widgetNumbers = []
+
+  pages.forEach((pageFields, pageIndex) => {
+    const pageNumber = pageObjectNumbers[pageIndex]
+    const annotations = []
+    const content = ['BT /Helv 14 Tf 50 740 Td (Mock filled form) Tj ET']
+
+    pageFields.forEach((field, rowIndex) => {
+      const y = PAGE_HEIGHT - TOP_MARGIN - 30 - rowIndex * ROW_HEIGHT
+      const widgetNumber = nextWidgetNumber
+      nextWidgetNumber += 1
+      widgetNumbers.push(widgetNumber)
+      annotations.push(`${widgetNumber} 0 R`)
+      content.push(`BT /Helv 10 Tf 50 ${y} Td (${escapePdfString(field.fieldName)}) Tj ET`)
+      if (field.value) {
+        content.push(`BT /Helv 10 Tf 214 ${y} Td (${escapePdfString(field.value)}) Tj ET`)
+      }
+      objects[widgetNumber] =
+        `<< /Type /Annot /Subtype /Widget /FT /Tx /F 4 /P ${pageNumber} 0 R ` +
+        `/T (${escapePdfString(field.fieldName)}) /V (${escapePdfString(field.value)}) ` +
+        `/Rect [210 ${y - 6} 560 ${y + 14}] /DA (/Helv 10 Tf 0 g) >>`
+    })
+
+    const stream = content.join('\n')
+    objects[pageNumber] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /Helv 3 0 R >> >> /Contents ${pageNumber + 1} 0 R /Annots [${annotations.join(' ')}] >>`
+    objects[pageNumber + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+  })
+
+  objects[1] =
+    `<< /Type /Catalog /Pages 2 0 R /AcroForm << /Fields [${widgetNumbers.map((number) => `${number} 0 R`).join(' ')}] ` +
+    '/NeedAppearances true /DA (/Helv 10 Tf 0 g) /DR << /Font << /Helv 3 0 R >> >> >> >>'
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectNumbers.map((number) => `${number} 0 R`).join(' ')}] /Count ${pages.length} >>`
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+
+  return serializePdf(objects)
+}
@@ -0,0 +1,727 @@
+// Local stand-in for the FastAPI backend. Implements the /api/uploads,
+// /api/forms and /api/form-fill endpoints the app calls, keeps everything in
+// memory, and can be scripted (job outcome, failures, latency) through a
+// scenario file or the /__mock endpoints so the frontend runs fully offline.
+//
+//   npm run mock                                  # http://localhost:8000
+//   MOCK_SCENARIO=mock-backend/scenarios/slow.json npm run mock
+//   curl -X PUT localhost:8000/__mock/scenario -d '{"latencyMs": 1500}'
+//
+// It also acts as the OpenID Connect provider the app signs in with (see
+// oidc.js); API calls need a bearer token unless `requireAuth` is off.
+
+import { randomUUID } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { corsHeaders, HttpError, originOf, readBody, readJson, sendJson } from './http.js'
+import { createIdentityProvider } from './oidc.js'
+import { buildDocumentPdf, buildFormPdf, documentLineBox } from './pdf.js'
+
+const PORT = Number(process.env.MOCK_PORT ?? 8000)
+const DEFAULT_CHUNK_SIZE = 1024 * 1024
+const DOCUMENT_TYPES = ['id', 'pay_stub', 'tax_return', 'lease', 'other']
+
+const DEFAULT_SCENARIO = {
+  // Reject /api calls without a valid bearer token from the mock identity provider.
+  requireAuth: true,
+  // Lifetime of issued access tokens; keep it short to exercise silent refresh.
+  accessTokenTtlSeconds: 300,
+  // Pre-filled on the mock sign-in page.
+  signInEmail: 'jordan.rivera@example.com',
+  // Delay applied before every API response, in milliseconds.
+  latencyMs: 0,
+  // Time between two field results while a job is filling.
+  fieldIntervalMs: 400,
+  // Serve the SSE progress stream; false answers 404 so the client polls.
+  streaming: true,
+  // Upload/complete calls fail with this message when set.
+  failUploads: '',
+  // Completed uploads stay "processing" this long before they are "uploaded";
+  // 0 stores them as "uploaded" right away.
+  processingMs: 0,
+  // End the job with status "error" after this many fields, when set.
+  failJobAfterFields: null,
+  failJobMessage: 'The mock pipeline failed.',
+  // Scripted failures keyed by "METHOD /path/prefix", e.g.
+  // { "GET /api/uploads": { "status": 503, "times": 2 } }. Omit `times` to fail every call.
+  failRequests: {},
+  // Files every new user starts with.
+  seedFiles: [],
+  // Pipeline outcome, one entry per form field in fill order. `retryValue`
+  // is what a "retry failed/skipped fields" run produces for that field.
+  fields: [
+    { fieldName: 'applicant_full_name', value: 'Jordan Rivera', status: 'filled' },
+    { fieldName: 'date_of_birth', value: '1988-04-12', status: 'filled' },
+    { fieldName: 'ssn', value: '', status: 'skipped', reason: 'No document contains a social security number.' },
+    { fieldName: 'street_address', value: '1200 Market Street, Apt 4B', status: 'filled' },
+    { fieldName: 'city', value: 'Philadelphia', status: 'filled' },
+    { fieldName: 'state', value: 'PA', status: 'filled' },
+    { fieldName: 'zip_code', value: '19107', status: 'filled' },
+    { fieldName: 'employer_name', value: 'Keystone Logistics LLC', status: 'filled' },
+    {
+      fieldName: 'monthly_income',
+      value: '',
+      status: 'error',
+      reason: 'Pay stub totals disagree across documents.',
+      retryValue: '4250.00',
+    },
+    { fieldName: 'signature_date', value: '', status: 'skipped', reason: 'Left for the applicant to sign.' },
+  ],
+}
+
+const loadScenarioFile = () => {
+  if (!process.env.MOCK_SCENARIO) return {}
+  return JSON.parse(readFileSync(process.env.MOCK_SCENARIO, 'utf8'))
+}
+
+let scenario = { ...DEFAULT_SCENARIO, ...loadScenarioFile() }
+let state = null
+
+const identity = createIdentityProvider({ getScenario: () => scenario })
+
+const resetState = () => {
+  state?.jobs.forEach((job) => clearTimeout(job.timer))
+  state = null
+}
+
+const ensureState = () => {
+  if (!state) {
+    state = {
+      users: new Map(),
+      sessions: new Map(),
+      forms: new Map(),
+      formLibraries: new Map(),
+      profiles: new Map(),
+      streamTickets: new Map(),
+      jobs: new Map(),
+      failureCounts: new Map(),
+    }
+  }
+  return state
+}
+
+const userFiles = (userId) => {
+  const { users } = ensureState()
+  if (!users.has(userId)) {
+    users.set(userId, new Map(scenario.seedFiles.map((file) => [file.slug, { status: 'uploaded', ...file }])))
+  }
+  return users.get(userId)
+}
+
+const userFormLibrary = (userId) => {
+  const { formLibraries } = ensureState()
+  if (!formLibraries.has(userId)) formLibraries.set(userId, new Map())
+  return formLibraries.get(userId)
+}
+
+const userProfiles = (userId) => {
+  const { profiles } = ensureState()
+  if (!profiles.has(userId)) profiles.set(userId, new Map())
+  return profiles.get(userId)
+}
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol)
+  } catch {
+    return false
+  }
+}
+
+// Applies the editable library fields from a request body; `partial` allows
+// PATCH bodies that only touch some of them.
+const applyLibraryFields = (entry, body, { partial = false } = {}) => {
+  if (!partial || 'name' in body) {
+    if (typeof body.name !== 'string' || !body.name.trim()) throw new HttpError(422, 'name is required')
+    entry.name = body.name.trim()
+  }
+  if (!partial || 'formUrl' in body) {
+    if (!isHttpUrl(body.formUrl)) throw new HttpError(422, 'formUrl must be an http(s) URL')
+    entry.formUrl = body.formUrl
+  }
+  if ('description' in body) entry.description = String(body.description ?? '')
+  if ('tags' in body) {
+    if (!Array.isArray(body.tags) || body.tags.some((tag) => typeof tag !== 'string')) {
+      throw new HttpError(422, 'tags must be a list of strings')
+    }
+    entry.tags = [...new Set(body.tags.map((tag) => tag.trim()).filter(Boolean))]
+  }
+  if ('pinned' in body) entry.pinned = Boolean(body.pinned)
+  if ('lastUsedAt' in body) entry.lastUsedAt = body.lastUsedAt ?? null
+  return entry
+}
+
+// Profiles are replaced as a whole, so saving one twice is harmless.
+const readProfile = (id, body) => {
+  if (typeof body.name !== 'string' || !body.name.trim()) throw new HttpError(422, 'name is required')
+  const facts = body.facts ?? []
+  if (!Array.isArray(facts) || facts.some((fact) => typeof fact?.key !== 'string' || typeof fact?.value !== 'string')) {
+    throw new HttpError(422, 'facts must be a list of { key, value } strings')
+  }
+  return {
+    id,
+    name: body.name.trim(),
+    facts: facts.map(({ key, value }) => ({ key, value })),
+    updatedAt: typeof body.updatedAt === 'string' ? body.updatedAt : new Date().toISOString(),
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// The signed-in account is authoritative; a userId sent alongside it must
+// match. Without auth (requireAuth off) the claimed userId is trusted as before.
+const resolveUserId = (req, claimedUserId) => {
+  if (req.authUser) {
+    if (claimedUserId && claimedUserId !== req.authUser) {
+      throw new HttpError(403, 'userId does not match the signed-in user')
+    }
+    return req.authUser
+  }
+  if (!claimedUserId) throw new HttpError(422, 'userId is required')
+  return claimedUserId
+}
+
+const requireUserId = (req, url) => resolveUserId(req, url.searchParams.get('userId'))
+
+// Jobs ------------------------------------------------------------------------
+
+const summarizeJob = (job) => {
+  const count = (status) => job.fields.filter((field) => field.status === status).length
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    message: job.message,
+    filledFormUrl: job.status === 'complete' ? `${job.origin}/mock-files/filled/${job.jobId}.pdf?v=${job.revision}` : null,
+    completedAt: job.status === 'complete' || job.status === 'error' || job.status === 'cancelled' ? job.completedAt : null,
+    totalFields: job.plan.length,
+    filledFields: count('filled'),
+    skippedFields: count('skipped'),
+    errorFields: count('error'),
+    documentSlugs: job.documentSlugs,
+  }
+}
+
+const jobSnapshot = (job) => ({ ...summarizeJob(job), fields: job.fields })
+
+const broadcast = (job, type, payload) => {
+  job.listeners.forEach((res) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`)
+  })
+}
+
+const finishJob = (job, status, message = '') => {
+  job.status = status
+  job.message = message
+  job.completedAt = new Date().toISOString()
+  broadcast(job, 'job', jobSnapshot(job))
+  job.listeners.forEach((res) => res.end())
+  job.listeners.clear()
+}
+
+const advanceJob = (job) => {
+  if (job.status === 'queued') {
+    job.status = 'filling'
+    broadcast(job, 'job', jobSnapshot(job))
+  } else {
+    const failAfter = scenario.failJobAfterFields
+    if (failAfter !== null && failAfter !== undefined && job.fields.length >= failAfter) {
+      finishJob(job, 'error', scenario.failJobMessage)
+      return
+    }
+    const { retryValue: _retryValue, ...planned } = job.plan[job.fields.length]
+    const field = { reason: '', ...planned }
+    job.fields.push(field)
+    broadcast(job, 'field', { ...summarizeJob(job), field })
+    if (job.fields.length >= job.plan.length) {
+      finishJob(job, 'complete', 'All fields processed.')
+      return
+    }
+  }
+  job.timer = setTimeout(() => advanceJob(job), scenario.fieldIntervalMs)
+}
+
+const advanceRetry = (job) => {
+  const fieldName = job.retryQueue.shift()
+  const field = job.fields.find((candidate) => candidate.fieldName === fieldName)
+  const retryValue = job.plan.find((candidate) => candidate.fieldName === fieldName)?.retryValue
+  if (field && retryValue) {
+    Object.assign(field, {
+      value: retryValue,
+      status: 'filled',
+      reason: '',
+      source: 'document',
+      provenance: provenanceFor(job, fieldName),
+    })
+  }
+  if (field) {
+    broadcast(job, 'field', { ...summarizeJob(job), field })
+  }
+  if (job.retryQueue.length === 0) {
+    job.revision += 1
+    finishJob(job, 'complete', 'Retry finished.')
+    return
+  }
+  job.timer = setTimeout(() => advanceRetry(job), scenario.fieldIntervalMs)
+}
+
+const normalizeFactKey = (key) =>
+  key
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+
+// Every mock source document holds one "label: value" line per value the
+// scenario can extract, so provenance points at a real region of the PDF
+// served for that upload.
+const documentLines = () =>
+  scenario.fields
+    .map((field) => ({ fieldName: field.fieldName, value: field.value || field.retryValue }))
+    .filter((line) => line.value)
+    .map(({ fieldName, value }) => ({ fieldName, text: `${fieldName.replace(/_/g, ' ')}: ${value}` }))
+
+// Fields are spread over the job's documents in turn.
+const provenanceFor = (job, fieldName) => {
+  if (job.documents.length === 0) return undefined
+  const fieldIndex = scenario.fields.findIndex((field) => field.fieldName === fieldName)
+  const lines = documentLines()
+  const lineIndex = lines.findIndex((line) => line.fieldName === fieldName)
+  if (fieldIndex === -1 || lineIndex === -1) return undefined
+  const document = job.documents[fieldIndex % job.documents.length]
+  return {
+    documentSlug: document.slug,
+    documentName: document.fileName,
+    snippet: lines[lineIndex].text,
+    ...documentLineBox(lineIndex, lines[lineIndex].text),
+  }
+}
+
+// Profile values win over extraction. A fact matches a field with the same
+// name or one that ends with it, so "full_name" fills "applicant_full_name".
+const planFields = (job, profileValues) => {
+  const facts = Object.entries(profileValues).map(([key, value]) => [normalizeFactKey(key), value])
+  return scenario.fields.map((field) => {
+    const fieldKey = normalizeFactKey(field.fieldName)
+    const fact = facts.find(([key]) => key && (fieldKey === key || fieldKey.endsWith(`_${key}`)))
+    if (fact) return { fieldName: field.fieldName, value: fact[1], status: 'filled', source: 'profile' }
+    if (field.status !== 'filled') return { ...field }
+    return { ...field, source: 'document', provenance: provenanceFor(job, field.fieldName) }
+  })
+}
+
+const readProfileValues = (profile) => {
+  if (profile === undefined) return {}
+  const values = profile?.values
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    throw new HttpError(422, 'profile.values must map fact names to values')
+  }
+  if (Object.values(values).some((value) => typeof value !== 'string')) {
+    throw new HttpError(422, 'Profile values must be strings')
+  }
+  return values
+}
+
+// EventSource cannot send an Authorization header, so the progress stream is
+// opened with a ticket obtained with the bearer token just before. Tickets are
+// single-use, short-lived and bound to one job, so one that leaks through an
+// access log is worthless.
+const STREAM_TICKET_TTL_MS = 30 * 1000
+const STREAM_PATH = /^\/api\/form-fill\/([^/]+)\/events$/
+
+const redeemStreamTicket = (req, url) => {
+  const ticket = url.searchParams.get('ticket')
+  const streamJobId = req.method === 'GET' && STREAM_PATH.exec(url.pathname)?.[1]
+  if (!ticket || !streamJobId) return null
+  const { streamTickets } = ensureState()
+  const grant = streamTickets.get(ticket)
+  streamTickets.delete(ticket)
+  if (!grant || grant.expiresAt < Date.now() || grant.jobId !== decodeURIComponent(streamJobId)) return null
+  return grant.userId
+}
+
+const getJob = (jobId, userId) => {
+  const job = ensureState().jobs.get(jobId)
+  if (!job || job.userId !== userId) throw new HttpError(404, 'Job not found')
+  return job
+}
+
+// Routes ----------------------------------------------------------------------
+
+const routes = [
+  ['GET', /^\/api\/uploads$/, (req, res, url) => {
+    const userId = requireUserId(req, url)
+    sendJson(res, 200, { files: [...userFiles(userId).values()] })
+  }],
+
+  ['GET', /^\/api\/uploads\/([^/]+)$/, (req, res, url, [slug]) => {
+    const file = userFiles(requireUserId(req, url)).get(decodeURIComponent(slug))
+    if (!file) throw new HttpError(404, 'File not found')
+    sendJson(res, 200, file)
+  }],
+
+  ['DELETE', /^\/api\/uploads\/([^/]+)$/, (req, res, url, [slug]) => {
+    const files = userFiles(requireUserId(req, url))
+    if (!files.delete(decodeURIComponent(slug))) throw new HttpError(404, 'File not found')
+    sendJson(res, 200, { deleted: true })
+  }],
+
+  ['PATCH', /^\/api\/uploads\/([^/]+)$/, async (req, res, url, [slug]) => {
+    const file = userFiles(requireUserId(req, url)).get(decodeURIComponent(slug))
+    if (!file) throw new HttpError(404, 'File not found')
+    const body = await readJson(req)
+    if (!DOCUMENT_TYPES.includes(body.documentType)) {
+      throw new HttpError(422, `documentType must be one of ${DOCUMENT_TYPES.join(', ')}`)
+    }
+    file.documentType = body.documentType
+    sendJson(res, 200, file)
+  }],
+
+  ['POST', /^\/api\/uploads\/sessions$/, async (req, res) => {
+    const body = await readJson(req)
+    const userId = resolveUserId(req, body.userId)
+    if (!body.fileName || typeof body.size !== 'number') {
+      throw new HttpError(422, 'fileName and size are required')
+    }
+    if (scenario.failUploads) throw new HttpError(500, scenario.failUploads)
+    const session = { uploadId: randomUUID(), uploadedBytes: 0, chunkSize: DEFAULT_CHUNK_SIZE, ...body, userId }
+    ensureState().sessions.set(session.uploadId, session)
+    sendJson(res, 201, { uploadId: session.uploadId, chunkSize: session.chunkSize, uploadedBytes: 0, size: session.size })
+  }],
+
+  ['GET', /^\/api\/uploads\/sessions\/([^/]+)$/, (req, res, url, [uploadId]) => {
+    const session = ensureState().sessions.get(uploadId)
+    if (!session || session.userId !== requireUserId(req, url)) throw new HttpError(404, 'Upload session not found')
+    sendJson(res, 200, { uploadId, uploadedBytes: session.uploadedBytes, size: session.size })
+  }],
+
+  ['PUT', /^\/api\/uploads\/sessions\/([^/]+)$/, async (req, res, url, [uploadId]) => {
+    const session = ensureState().sessions.get(uploadId)
+    if (!session || session.userId !== requireUserId(req, url)) throw new HttpError(404, 'Upload session not found')
+    const body = await readBody(req)
+    const range = /bytes (\d+)-(\d+)\/(\d+)/.exec(req.headers['content-range'] ?? '')
+    if (!range || Number(range[1]) !== session.uploadedBytes) {
+      throw new HttpError(409, `Expected a chunk starting at byte ${session.uploadedBytes}`)
+    }
+    session.uploadedBytes += body.length
+    sendJson(res, 200, { uploadId, uploadedBytes: session.uploadedBytes })
+  }],
+
+  ['POST', /^\/api\/uploads\/sessions\/([^/]+)\/complete$/, (req, res, url, [uploadId]) => {
+    const userId = requireUserId(req, url)
+    const { sessions } = ensureState()
+    const session = sessions.get(uploadId)
+    if (!session || session.userId !== userId) throw new HttpError(404, 'Upload session not found')
+    if (session.uploadedBytes < session.size) throw new HttpError(409, 'Upload is incomplete')
+    if (scenario.failUploads) throw new HttpError(500, scenario.failUploads)
+    sessions.delete(uploadId)
+    const slug = `${uploadId.slice(0, 8)}-${session.fileName.replace(/[^\w.-]+/g, '_')}`
+    const entry = {
+      slug,
+      fileName: session.fileName,
+      status: scenario.processingMs > 0 ? 'processing' : 'uploaded',
+      size: session.size,
+      s3Url: `${originOf(req)}/mock-files/uploads/${slug}`,
+    }
+    userFiles(userId).set(slug, entry)
+    if (entry.status === 'processing') {
+      setTimeout(() => {
+        entry.status = 'uploaded'
+      }, scenario.processingMs)
+    }
+    sendJson(res, 201, entry)
+  }],
+
+  ['DELETE', /^\/api\/uploads\/sessions\/([^/]+)$/, (req, res, url, [uploadId]) => {
+    ensureState().sessions.delete(uploadId)
+    sendJson(res, 200, { deleted: true })
+  }],
+
+  ['POST', /^\/api\/forms$/, async (req, res) => {
+    const body = await readBody(req)
+    const text = body.toString('latin1')
+    const userId = resolveUserId(req, /name="userId"\r\n\r\n([^\r]*)/.exec(text)?.[1])
+    const fileName = /filename="([^"]*)"/.exec(text)?.[1] ?? 'form.pdf'
+    const formId = randomUUID()
+    ensureState().forms.set(formId, { formId, userId, fileName })
+    sendJson(res, 201, { formId, size: body.length, s3Url: `${originOf(req)}/mock-files/forms/${formId}.pdf` })
+  }],
+
+  ['GET', /^\/api\/form-library$/, (req, res, url) => {
+    sendJson(res, 200, { forms: [...userFormLibrary(requireUserId(req, url)).values()] })
+  }],
+
+  ['POST', /^\/api\/form-library$/, async (req, res) => {
+    const body = await readJson(req)
+    const userId = resolveUserId(req, body.userId)
+    const entry = applyLibraryFields(
+      { id: randomUUID(), description: '', tags: [], pinned: false, createdAt: new Date().toISOString(), lastUsedAt: null },
+      body,
+    )
+    userFormLibrary(userId).set(entry.id, entry)
+    sendJson(res, 201, entry)
+  }],
+
+  ['PATCH', /^\/api\/form-library\/([^/]+)$/, async (req, res, url, [id]) => {
+    const entry = userFormLibrary(requireUserId(req, url)).get(decodeURIComponent(id))
+    if (!entry) throw new HttpError(404, 'Form not found in the library')
+    sendJson(res, 200, applyLibraryFields(entry, await readJson(req), { partial: true }))
+  }],
+
+  ['DELETE', /^\/api\/form-library\/([^/]+)$/, (req, res, url, [id]) => {
+    if (!userFormLibrary(requireUserId(req, url)).delete(decodeURIComponent(id))) {
+      throw new HttpError(404, 'Form not found in the library')
+    }
+    sendJson(res, 200, { deleted: true })
+  }],
+
+  ['GET', /^\/api\/profiles$/, (req, res, url) => {
+    sendJson(res, 200, { profiles: [...userProfiles(requireUserId(req, url)).values()] })
+  }],
+
+  ['PUT', /^\/api\/profiles\/([^/]+)$/, async (req, res, url, [id]) => {
+    const body = await readJson(req)
+    const profile = readProfile(decodeURIComponent(id), body)
+    userProfiles(resolveUserId(req, body.userId)).set(profile.id, profile)
+    sendJson(res, 200, profile)
+  }],
+
+  ['DELETE', /^\/api\/profiles\/([^/]+)$/, (req, res, url, [id]) => {
+    if (!userProfiles(requireUserId(req, url)).delete(decodeURIComponent(id))) {
+      throw new HttpError(404, 'Profile not found')
+    }
+    sendJson(res, 200, { deleted: true })
+  }],
+
+  ['POST', /^\/api\/form-fill$/, async (req, res) => {
+    const body = await readJson(req)
+    const userId = resolveUserId(req, body.userId)
+    if (!body.formUrl && !body.formId) {
+      throw new HttpError(422, 'Either formUrl or formId is required')
+    }
+    // Without documentSlugs the pipeline reads every stored file, as before.
+    const files = userFiles(userId)
+    if (body.documentSlugs !== undefined) {
+      if (!Array.isArray(body.documentSlugs) || body.documentSlugs.length === 0) {
+        throw new HttpError(422, 'documentSlugs must list at least one document')
+      }
+      const unknownSlugs = body.documentSlugs.filter((slug) => !files.has(slug))
+      if (unknownSlugs.length > 0) throw new HttpError(422, `Unknown documents: ${unknownSlugs.join(', ')}`)
+    }
+    const documentSlugs = body.documentSlugs ?? [...files.keys()]
+    const profileValues = readProfileValues(body.profile)
+    const job = {
+      jobId: randomUUID(),
+      userId,
+      documentSlugs,
+      documents: documentSlugs.map((slug) => ({ slug, fileName: files.get(slug)?.fileName ?? slug })),
+      status: 'queued',
+      message: 'Job accepted by the mock pipeline.',
+      origin: originOf(req),
+      plan: [],
+      fields: [],
+      revision: 1,
+      listeners: new Set(),
+      timer: null,
+    }
+    job.plan = planFields(job, profileValues)
+    ensureState().jobs.set(job.jobId, job)
+    job.timer = setTimeout(() => advanceJob(job), scenario.fieldIntervalMs)
+    sendJson(res, 202, jobSnapshot(job))
+  }],
+
+  ['GET', /^\/api\/form-fill\/([^/]+)$/, (req, res, url, [jobId]) => {
+    sendJson(res, 200, jobSnapshot(getJob(jobId, requireUserId(req, url))))
+  }],
+
+  ['PATCH', /^\/api\/form-fill\/([^/]+)$/, async (req, res, url, [jobId]) => {
+    const job = getJob(jobId, requireUserId(req, url))
+    if (job.status !== 'complete') throw new HttpError(409, 'Only completed jobs can be corrected')
+    const body = await readJson(req)
+    if (!Array.isArray(body.fields)) throw new HttpError(422, 'fields must be a list of corrections')
+    body.fields.forEach(({ fieldName, value }) => {
+      const field = job.fields.find((candidate) => candidate.fieldName === fieldName)
+      if (!field) return
+      field.value = value
+      field.status = value ? 'filled' : 'skipped'
+      field.reason = value ? '' : 'Cleared during review.'
+      field.source = value ? 'manual' : undefined
+      field.provenance = undefined
+    })
+    job.revision += 1
+    job.status = 'filling'
+    job.message = 'Regenerating the filled PDF.'
+    job.timer = setTimeout(() => finishJob(job, 'complete', 'Corrections applied.'), scenario.fieldIntervalMs)
+    sendJson(res, 200, jobSnapshot(job))
+  }],
+
+  ['POST', /^\/api\/form-fill\/([^/]+)\/cancel$/, (req, res, url, [jobId]) => {
+    const job = getJob(jobId, requireUserId(req, url))
+    if (job.status === 'queued' || job.status === 'filling') {
+      clearTimeout(job.timer)
+      finishJob(job, 'cancelled', 'Cancelled by the user.')
+    }
+    sendJson(res, 200, jobSnapshot(job))
+  }],
+
+  ['POST', /^\/api\/form-fill\/([^/]+)\/retry$/, async (req, res, url, [jobId]) => {
+    const job = getJob(jobId, requireUserId(req, url))
+    if (job.status === 'queued' || job.status === 'filling') throw new HttpError(409, 'The job is still running')
+    const body = await readJson(req)
+    if (!Array.isArray(body.fieldNames) || body.fieldNames.length === 0) {
+      throw new HttpError(422, 'fieldNames must list at least one field')
+    }
+    job.retryQueue = [...body.fieldNames]
+    job.status = 'filling'
+    job.message = `Retrying ${body.fieldNames.length} field(s).`
+    job.timer = setTimeout(() => advanceRetry(job), scenario.fieldIntervalMs)
+    sendJson(res, 202, jobSnapshot(job))
+  }],
+
+  ['POST', /^\/api\/form-fill\/([^/]+)\/events\/ticket$/, async (req, res, url, [jobId]) => {
+    const body = await readJson(req)
+    const job = getJob(jobId, resolveUserId(req, body.userId))
+    const ticket = randomUUID()
+    ensureState().streamTickets.set(ticket, {
+      userId: job.userId,
+      jobId: job.jobId,
+      expiresAt: Date.now() + STREAM_TICKET_TTL_MS,
+    })
+    sendJson(res, 201, { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 })
+  }],
+
+  ['GET', STREAM_PATH, (req, res, url, [jobId]) => {
+    if (!scenario.streaming) throw new HttpError(404, 'Streaming is disabled in this scenario')
+    const job = getJob(jobId, requireUserId(req, url))
+    res.writeHead(200, { ...corsHeaders, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+    res.write(`event: job\ndata: ${JSON.stringify(jobSnapshot(job))}\n\n`)
+    if (job.status === 'complete' || job.status === 'error') {
+      res.end()
+      return
+    }
+    job.listeners.add(res)
+    req.on('close', () => job.listeners.delete(res))
+  }],
+
+  // Moves everything owned by a pre-sign-in anonymous userId to the caller's
+  // account. Like the anonymous API itself, knowing the ID is the only proof
+  // of ownership, so signed-in accounts can never be claimed this way.
+  ['POST', /^\/api\/account\/migrate$/, async (req, res) => {
+    if (!req.authUser) throw new HttpError(401, 'Sign in required')
+    const body = await readJson(req)
+    const userId = resolveUserId(req, body.userId)
+    const anonymousUserId = body.anonymousUserId
+    if (!anonymousUserId) throw new HttpError(422, 'anonymousUserId is required')
+    if (identity.isAccount(anonymousUserId)) throw new HttpError(403, 'Only anonymous sessions can be migrated')
+
+    const { users, sessions, forms, formLibraries, profiles, jobs } = ensureState()
+    const anonymousFiles = users.get(anonymousUserId) ?? new Map()
+    const accountFiles = userFiles(userId)
+    anonymousFiles.forEach((file, slug) => accountFiles.set(slug, file))
+    users.delete(anonymousUserId)
+    const accountLibrary = userFormLibrary(userId)
+    formLibraries.get(anonymousUserId)?.forEach((entry, id) => accountLibrary.set(id, entry))
+    formLibraries.delete(anonymousUserId)
+    const accountProfiles = userProfiles(userId)
+    profiles.get(anonymousUserId)?.forEach((profile, id) => accountProfiles.set(id, profile))
+    profiles.delete(anonymousUserId)
+
+    let migratedJobs = 0
+    for (const collection of [sessions, forms, jobs]) {
+      collection.forEach((record) => {
+        if (record.userId !== anonymousUserId) return
+        record.userId = userId
+        if (collection === jobs) migratedJobs += 1
+      })
+    }
+    sendJson(res, 200, { migratedFiles: anonymousFiles.size, migratedJobs })
+  }],
+
+  ['GET', /^\/mock-files\/filled\/([^/]+)\.pdf$/, (req, res, url, [jobId]) => {
+    const job = ensureState().jobs.get(jobId)
+    if (!job) throw new HttpError(404, 'File not found')
+    res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/pdf' })
+    res.end(buildFormPdf(job.fields))
+  }],
+
+  ['GET', /^\/mock-files\/forms\/([^/]+)\.pdf$/, (req, res) => {
+    res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/pdf' })
+    res.end(buildFormPdf(scenario.fields.map(({ fieldName }) => ({ fieldName, value: '' }))))
+  }],
+
+  ['GET', /^\/mock-files\/uploads\/([^/]+)$/, (req, res, url, [slug]) => {
+    res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/pdf' })
+    res.end(buildDocumentPdf(decodeURIComponent(slug), documentLines().map((line) => line.text)))
+  }],
+
+  // Scenario control --------------------------------------------------------
+
+  ['GET', /^\/__mock\/scenario$/, (req, res) => {
+    sendJson(res, 200, scenario)
+  }],
+
+  ['PUT', /^\/__mock\/scenario$/, async (req, res) => {
+    scenario = { ...scenario, ...(await readJson(req)) }
+    sendJson(res, 200, scenario)
+  }],
+
+  ['POST', /^\/__mock\/reset$/, (req, res) => {
+    scenario = { ...DEFAULT_SCENARIO, ...loadScenarioFile() }
+    resetState()
+    identity.reset()
+    sendJson(res, 200, scenario)
+  }],
+
+  ...identity.routes,
+]
+
+const takeScriptedFailure = (method, pathname) => {
+  const { failureCounts } = ensureState()
+  for (const [key, failure] of Object.entries(scenario.failRequests ?? {})) {
+    const [failMethod, failPath] = key.split(' ')
+    if (failMethod !== method || !pathname.startsWith(failPath)) continue
+    const used = failureCounts.get(key) ?? 0
+    if (failure.times !== undefined && used >= failure.times) continue
+    failureCounts.set(key, used + 1)
+    return new HttpError(failure.status ?? 500, failure.detail ?? 'Scripted mock failure')
+  }
+  return null
+}
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders)
+    res.end()
+    return
+  }
+
+  const url = new URL(req.url, originOf(req))
+  try {
+    for (const [method, pattern, handler] of routes) {
+      const match = method === req.method && pattern.exec(url.pathname)
+      if (!match) continue
+
+      if (url.pathname.startsWith('/api/')) {
+        if (scenario.latencyMs > 0) await sleep(scenario.latencyMs)
+        const scripted = takeScriptedFailure(method, url.pathname)
+        if (scripted) throw scripted
+        req.authUser = identity.authenticate(req)?.sub ?? redeemStreamTicket(req, url)
+        if (!req.authUser && scenario.requireAuth) throw new HttpError(401, 'Sign in required')
+      }
+
+      await handler(req, res, url, match.slice(1))
+      return
+    }
+    throw new HttpError(404, `No mock route for ${req.method} ${url.pathname}`)
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500
+    if (!res.headersSent) {
+      sendJson(res, status, error.body ?? { detail: error.message || 'Mock backend error' })
+    } else {
+      res.end()
+    }
+  }
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}`)
+})
@@ -1,8 +1,10 @@
-import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+import { useCallback, useEffect, useEffectEvent, useRef, useState } from 'react'
+import { Link as RouterLink, Navigate, Route, Routes, useLocation, useNavigate } from 'react-router'
 import {
   Alert,
   Box,
   Button,
+  Checkbox,
   Chip,
   Container,
   CssBaseline,
@@ -14,83 +16,108 @@ import {
   ListItem,
   ListItemIcon,
   ListItemText,
+  MenuItem,
   Paper,
   Stack,
+  Tab,
+  Tabs,
   TextField,
   Tooltip,
   Typography,
 } from '@mui/material'
+import CloseIcon from '@mui/icons-material/Close'
 import CloudUploadIcon from '@mui/icons-material/CloudUpload'
 import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline'
+import DriveFolderUploadOutlinedIcon from '@mui/icons-material/DriveFolderUploadOutlined'
 import InsertDriveFileOutlinedIcon from '@mui/icons-material/InsertDriveFileOutlined'
 import LaunchIcon from '@mui/icons-material/Launch'
+import LogoutIcon from '@mui/icons-material/Logout'
+import PauseCircleOutlineIcon from '@mui/icons-material/PauseCircleOutline'
 import PlayCircleOutlineIcon from '@mui/icons-material/PlayCircleOutline'
 import RefreshOutlinedIcon from '@mui/icons-material/RefreshOutlined'
+import ReplayOutlinedIcon from '@mui/icons-material/ReplayOutlined'
+import ApplicantProfilePanel from './components/ApplicantProfilePanel'
+import BatchQueue from './components/BatchQueue'
+import DocumentDropZone from './components/DocumentDropZone'
+import FormLibrary from './components/FormLibrary'
+import ImageEditorDialog from './components/ImageEditorDialog'
+import JobDetail from './components/JobDetail'
+import JobHistoryPanel from './components/JobHistoryPanel'
+import JobRoute from './components/JobRoute'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import NotificationSettingsMenu from './components/NotificationSettingsMenu'
+import TargetFormInput from './components/TargetFormInput'
+import { clearActiveJob, readActiveJob, writeActiveJob } from './lib/activeJob'
+import {
+  cancelFormFillJob,
+  cancelUploadSession,
+  createFormFillJob,
+  createFormLibraryEntry,
+  createUploadSession,
+  deleteApplicantProfile,
+  deleteFormLibraryEntry,
+  deleteUpload,
+  getFormFillJob,
+  getUploadSession,
+  listApplicantProfiles,
+  listFormLibrary,
+  listUploads,
+  retryFormFillFields,
+  saveApplicantProfile,
+  updateFormFillJob,
+  updateFormLibraryEntry,
+  updateUpload,
+  uploadForm,
+} from './lib/apiClient'
+import {
+  createApplicantProfile,
+  migrateLocalApplicantProfiles,
+  readActiveProfileId,
+  toProfilePayload,
+  writeActiveProfileId,
+} from './lib/applicantProfile'
+import { signOut } from './lib/auth'
+import { batchItemPercent, useBatchQueue } from './lib/batchQueue'
+import { runChunkedUpload, waitForUploadProcessing } from './lib/chunkedUpload'
+import {
+  deleteJobHistoryEntry,
+  deletePendingUpload,
+  getJobHistoryEntry,
+  listJobHistory,
+  listPendingUploads,
+  readManifestCache,
+  saveJobHistoryEntry,
+  savePendingUpload,
+  updateJobHistoryEntry,
+  writeManifestCache,
+} from './lib/clientStore'
+import { DOCUMENT_TYPES, isDocumentType, suggestDocumentType } from './lib/documentTypes'
+import { collectDroppedFiles, collectPastedFiles, filterFolderFiles } from './lib/fileDrop'
+import { ACCEPTED_UPLOAD_TYPES, MAX_UPLOAD_BYTES, validateUploadFile } from './lib/fileValidation'
+import { normalizeFormLibraryEntry } from './lib/formLibrary'
+import { useI18n } from './lib/i18n'
+import { HEIC_PICKER_TYPES, isEditableImage } from './lib/imageProcessing'
+import { mergeFieldUpdate } from './lib/fieldStatus'
+import {
+  playNotificationSound,
+  requestNotificationPermission,
+  showJobNotification,
+  showTabProgress,
+} from './lib/jobNotifications'
+import { formatJobStatusLabel, isRunningJobStatus, isTerminalJobStatus, jobStatusColor, summarizeJob } from './lib/jobStatus'
+import { trackFormFillJob } from './lib/jobTracker'
+import { readNotificationSettings, shouldNotify, writeNotificationSettings } from './lib/notificationSettings'
+import { isValidHttpUrl } from './lib/url'
 import './App.css'
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL ?? 'http://localhost:8000'
-const JOB_POLL_INTERVAL_MS = 2000
-const MANIFEST_CACHE_PREFIX = 'manifest_cache_'
-const MANIFEST_CACHE_MAX_AGE_SECONDS = 60 * 60 * 24
-const MANIFEST_CACHE_TTL_MS = 5 * 60 * 1000
 const COMPLETE_UPLOAD_STATUSES = new Set(['uploaded', 'extracted'])
-const FIELD_PROGRESS_STATUSES = ['filled', 'skipped', 'error']
-
-const ensureUserId = () => {
-  if (typeof document === 'undefined') return 'local-user'
 
-  const cookie = document.cookie
-    .split('; ')
-    .find((row) => row.startsWith('user_id='))
+const historyEntryFormReference = (entry) => (entry.formId ? { formId: entry.formId } : { formUrl: entry.formUrl })
 
-  if (cookie) return cookie.split('=')[1]
-
-  const generated = crypto.randomUUID()
-  document.cookie = `user_id=${generated}; path=/; max-age=${60 * 60 * 24 * 365}; samesite=lax`
-  return generated
-}
-
-const manifestCookieKey = (userId) => `${MANIFEST_CACHE_PREFIX}${userId}`
-
-const readCookie = (name) => {
-  if (typeof document === 'undefined') return null
-  const cookies = document.cookie ? document.cookie.split(';') : []
-  for (const cookie of cookies) {
-    const trimmed = cookie.trim()
-    if (trimmed.startsWith(`${name}=`)) {
-      return trimmed.substring(name.length + 1)
-    }
-  }
-  return null
-}
-
-const readManifestCache = (userId) => {
-  if (!userId) return null
-  const key = manifestCookieKey(userId)
-  const value = readCookie(key)
-  if (!value) return null
-  try {
-    const parsed = JSON.parse(decodeURIComponent(value))
-    if (!parsed || !Array.isArray(parsed.files)) {
-      return null
-    }
-    const updatedAt = Date.parse(parsed.updatedAt || '')
-    const isStale = Number.isNaN(updatedAt) ? true : Date.now() - updatedAt > MANIFEST_CACHE_TTL_MS
-    return { data: parsed, isStale }
-  } catch {
-    return null
-  }
-}
-
-const writeManifestCache = (userId, manifest) => {
-  if (typeof document === 'undefined' || !userId) return
-  const key = manifestCookieKey(userId)
-  try {
-    const serialized = encodeURIComponent(JSON.stringify(manifest))
-    document.cookie = `${key}=${serialized}; path=/; max-age=${MANIFEST_CACHE_MAX_AGE_SECONDS}; samesite=lax`
-  } catch {
-    // Ignore serialization errors
-  }
+const navigationTab = (pathname) => {
+  if (pathname === '/') return '/'
+  if (pathname === '/jobs') return '/jobs'
+  return false
 }
 
 const mapManifestEntriesToState = (entries = []) =>
@@ -98,124 +125,87 @@ const mapManifestEntriesToState = (entries = []) =>
     .filter((file) => file && (file.slug || file.fileName))
     .map((file) => ({
       id: crypto.randomUUID(),
-      name: file.fileName || file.slug || 'Stored file',
+      name: file.fileName || file.slug,
       size: typeof file.size === 'number' ? file.size : 0,
       status: file.status ?? 'uploaded',
       slug: file.slug ?? '',
       s3Url: file.s3Url ?? '',
+      documentType: isDocumentType(file.documentType) ? file.documentType : '',
+      selected: file.selected ?? true,
       error: '',
       deleting: false,
       persisted: true,
     }))
 
+const createUploadEntry = (file, overrides = {}) => ({
+  id: crypto.randomUUID(),
+  name: file.name,
+  size: file.size,
+  status: 'uploading',
+  slug: '',
+  s3Url: '',
+  documentType: '',
+  selected: true,
+  error: '',
+  deleting: false,
+  persisted: false,
+  uploadId: '',
+  uploadedBytes: 0,
+  ...overrides,
+})
+
+// The backend does not know which documents are selected for the next job,
+// so a refreshed manifest keeps the selection already on screen.
 const mergePersistedEntries = (persistedEntries, prevFiles) => {
+  const previousBySlug = new Map(prevFiles.filter((entry) => entry.slug).map((entry) => [entry.slug, entry]))
   const transient = prevFiles.filter((entry) => !entry.persisted)
-  return [...persistedEntries, ...transient]
-}
-
-const formatBytes = (bytes) => {
-  if (!Number.isFinite(bytes)) return '0 B'
-  const units = ['B', 'KB', 'MB', 'GB']
-  let value = bytes
-  let unitIndex = 0
-  while (value >= 1024 && unitIndex < units.length - 1) {
-    value /= 1024
-    unitIndex += 1
-  }
-  const precision = value >= 10 || unitIndex === 0 ? 0 : 1
-  return `${value.toFixed(precision)} ${units[unitIndex]}`
-}
-
-const isValidHttpUrl = (url) => {
-  if (!url) return false
-  try {
-    const parsed = new URL(url)
-    return parsed.protocol === 'http:' || parsed.protocol === 'https:'
-  } catch {
-    return false
-  }
-}
-
-const apiUrl = (path) => {
-  const normalized = path.startsWith('/') ? path : `/${path}`
-  return new URL(normalized, API_BASE_URL).toString()
-}
-
-const apiFetch = async (path, options = {}) => {
-  const response = await fetch(apiUrl(path), options)
-  const contentType = response.headers.get('content-type') ?? ''
-  const isJson = contentType.includes('application/json')
-  const data = isJson ? await response.json() : await response.text()
-
-  if (!response.ok) {
-    const message =
-      (typeof data === 'string' && data) ||
-      (typeof data === 'object' && data !== null && (data.detail || data.message)) ||
-      `Request failed (${response.status})`
-    throw new Error(message)
-  }
-
-  return data
-}
-
-const statusLabelMap = {
-  uploading: 'Uploading',
-  uploaded: 'Uploaded',
-  extracted: 'Extracted',
-  processing: 'Processing',
-  error: 'Error',
-}
-
-const fieldStatusColor = (status) => {
-  switch (status) {
-    case 'filled':
-      return 'success'
-    case 'skipped':
-      return 'warning'
-    case 'error':
-      return 'error'
-    case 'prompting':
-      return 'info'
-    default:
-      return 'default'
-  }
-}
-
-const formatFieldStatusLabel = (status) => {
-  if (!status) return ''
-  return status.charAt(0).toUpperCase() + status.slice(1)
-}
-
-const jobStatusLabel = {
-  idle: 'Waiting on uploads + form link',
-  queued: 'Job queued',
-  filling: 'Running pipeline',
-  complete: 'Filled PDF ready',
-  error: 'Job failed',
+  const merged = persistedEntries.map((entry) =>
+    previousBySlug.has(entry.slug) ? { ...entry, selected: previousBySlug.get(entry.slug).selected } : entry,
+  )
+  return [...merged, ...transient]
 }
 
-const jobStatusColor = {
-  idle: 'default',
-  queued: 'info',
-  filling: 'info',
-  complete: 'success',
-  error: 'error',
-}
+const uploadPercent = (file) =>
+  file.size > 0 ? Math.min(100, Math.round(((file.uploadedBytes ?? 0) / file.size) * 100)) : 0
 
-function App() {
-  const [userId] = useState(() => ensureUserId())
+function App({ user }) {
+  const navigate = useNavigate()
+  const location = useLocation()
+  const { t, errorMessage, formatBytes } = useI18n()
+  const userId = user.sub
+  const [formSource, setFormSource] = useState('url')
   const [formUrl, setFormUrl] = useState('')
+  const [uploadedForm, setUploadedForm] = useState(null)
   const [files, setFilesState] = useState([])
-  const [manifestError, setManifestError] = useState('')
+  const [manifestError, setManifestError] = useState(null)
+  const [formLibrary, setFormLibraryState] = useState([])
+  const [formLibraryError, setFormLibraryError] = useState(null)
   const [jobStatus, setJobStatus] = useState('idle')
   const [jobId, setJobId] = useState('')
   const [jobError, setJobError] = useState('')
   const [jobMessage, setJobMessage] = useState('')
   const [filledFormUrl, setFilledFormUrl] = useState('')
+  const [jobCompletedAt, setJobCompletedAt] = useState('')
   const [manifestLoading, setManifestLoading] = useState(true)
   const [fieldProgress, setFieldProgress] = useState({ total: 0, filled: 0, skipped: 0, errors: 0 })
   const [fieldStatuses, setFieldStatuses] = useState([])
-  const pollTimer = useRef(null)
+  const [jobFormReference, setJobFormReference] = useState(null)
+  const [correctionsSubmitting, setCorrectionsSubmitting] = useState(false)
+  const [correctionsError, setCorrectionsError] = useState('')
+  const [jobActionPending, setJobActionPending] = useState('')
+  const [jobHistory, setJobHistory] = useState([])
+  const [profiles, setProfiles] = useState([])
+  const [activeProfileId, setActiveProfileId] = useState(() => readActiveProfileId(userId))
+  const [profileError, setProfileError] = useState('')
+  const [notificationSettings, setNotificationSettings] = useState(() => readNotificationSettings(userId))
+  const [addFilesNotice, setAddFilesNotice] = useState('')
+  const [imageEdits, setImageEdits] = useState([])
+  // One tracker per running job, keyed by job ID, so a job keeps being
+  // followed while another one is on screen.
+  const jobTrackers = useRef(new Map())
+  const openedJobId = useRef('')
+  const uploadControllers = useRef(new Map())
+  const pendingUploads = useRef(new Map())
 
   const persistFilesToCache = useCallback(
     (nextFiles) => {
@@ -229,9 +219,11 @@ function App() {
           fileName: file.name,
           s3Url: file.s3Url,
           size: file.size,
+          documentType: file.documentType,
+          selected: file.selected,
         })),
     }
-    writeManifestCache(userId, manifestPayload)
+    void writeManifestCache(userId, manifestPayload)
     },
     [userId],
   )
@@ -249,6 +241,19 @@ function App() {
     [persistFilesToCache],
   )
 
+  const updateFormLibrary = useCallback(
+    (updater, options = {}) => {
+      setFormLibraryState((prev) => {
+        const next = typeof updater === 'function' ? updater(prev) : updater
+        if (!options.skipCache) {
+          void writeManifestCache(userId, { formLibrary: next })
+        }
+        return next
+      })
+    },
+    [userId],
+  )
+
   const applyManifestEntries = useCallback(
     (entries, options = {}) => {
       updateFiles((prev) => mergePersistedEntries(entries, prev), options)
@@ -260,14 +265,36 @@ function App() {
     async ({ ignoreCache = false, signal } = {}) => {
       const isAborted = () => Boolean(signal?.aborted)
 
+      // The form library is independent of the uploads, so its failure only
+      // shows next to the library.
+      const refreshFormLibrary = () => {
+        void listFormLibrary({ userId, signal }).then(
+          (response) => {
+            if (isAborted()) return
+            updateFormLibrary(response.forms.map(normalizeFormLibraryEntry))
+            setFormLibraryError(null)
+          },
+          (error) => {
+            if (!isAborted()) setFormLibraryError(error)
+          },
+        )
+      }
+
       if (!ignoreCache) {
-        const cachedResult = readManifestCache(userId)
+        const cachedResult = await readManifestCache(userId)
         if (cachedResult?.data) {
           const cachedEntries = mapManifestEntriesToState(cachedResult.data.files)
+          const cachedLibrary = cachedResult.data.formLibrary
           if (isAborted()) return
           applyManifestEntries(cachedEntries, { skipCache: true })
-          setManifestError('')
+          if (Array.isArray(cachedLibrary)) {
+            updateFormLibrary(cachedLibrary, { skipCache: true })
+          }
+          setManifestError(null)
           if (!cachedResult.isStale) {
+            // Records cached before the library existed carry no `formLibrary`;
+            // fetch it instead of showing an empty library until the cache expires.
+            if (!Array.isArray(cachedLibrary)) refreshFormLibrary()
             setManifestLoading(false)
             return
           }
@@ -276,31 +303,32 @@ function App() {
 
       if (isAborted()) return
       setManifestLoading(true)
+      refreshFormLibrary()
 
       try {
-        const params = new URLSearchParams({ userId })
-        const response = await apiFetch(`/api/uploads?${params}`)
+        const response = await listUploads({ userId, signal })
         if (isAborted()) return
 
-        const persistedEntries = mapManifestEntriesToState(response.files ?? [])
+        const persistedEntries = mapManifestEntriesToState(response.files)
         applyManifestEntries(persistedEntries)
-        setManifestError('')
+        setManifestError(null)
       } catch (error) {
         if (isAborted()) return
-        setManifestError(error.message || 'Failed to load previous uploads.')
+        setManifestError(error)
       } finally {
-        if (isAborted()) return
-        setManifestLoading(false)
+        if (!isAborted()) {
+          setManifestLoading(false)
+        }
       }
     },
-    [applyManifestEntries, userId],
+    [applyManifestEntries, updateFormLibrary, userId],
   )
 
   useEffect(() => {
+    const activeTrackers = jobTrackers.current
     return () => {
-      if (pollTimer.current) {
-        clearTimeout(pollTimer.current)
-      }
+      activeTrackers.forEach((stop) => stop())
+      activeTrackers.clear()
     }
   }, [])
 
@@ -313,118 +341,487 @@ function App() {
   }, [hydrateUploads])
 
   const formUrlIsValid = isValidHttpUrl(formUrl)
-  const allUploadsComplete = files.length > 0 && files.every((file) => COMPLETE_UPLOAD_STATUSES.has(file.status))
-  const canStartFill = formUrlIsValid && allUploadsComplete && jobStatus !== 'filling' && jobStatus !== 'queued'
-
-  const updateFile = (id, next) => {
-    updateFiles((prev) => prev.map((file) => (file.id === id ? { ...file, ...next } : file)))
+  const targetFormReference =
+    formSource === 'file'
+      ? uploadedForm?.status === 'uploaded' && uploadedForm.formId
+        ? { formId: uploadedForm.formId }
+        : null
+      : formUrlIsValid
+        ? { formUrl }
+        : null
+  const selectedFiles = files.filter((file) => file.selected)
+  const selectedDocumentSlugs = selectedFiles.map((file) => file.slug)
+  const selectedDocumentsReady =
+    selectedFiles.length > 0 && selectedFiles.every((file) => COMPLETE_UPLOAD_STATUSES.has(file.status) && file.slug)
+  const activeProfilePayload = toProfilePayload(profiles.find((profile) => profile.id === activeProfileId))
+  const canStartFill = Boolean(targetFormReference) && selectedDocumentsReady && !isRunningJobStatus(jobStatus)
+
+  const updateFile = (id, next, options) => {
+    updateFiles((prev) => prev.map((file) => (file.id === id ? { ...file, ...next } : file)), options)
   }
 
   const removeFile = (id) => {
     updateFiles((prev) => prev.filter((file) => file.id !== id))
   }
 
-  const handleFilesSelected = (event) => {
-    const selectedFiles = Array.from(event.target.files ?? [])
+  const addDocuments = (selectedFiles, { skipped = 0 } = {}) => {
+    setAddFilesNotice(skipped > 0 ? t('documents.skipped', { count: skipped }) : '')
     if (selectedFiles.length === 0) return
 
-    const entries = selectedFiles.map((file) => ({
-      id: crypto.randomUUID(),
-      name: file.name,
-      size: file.size,
-      status: 'uploading',
-      slug: '',
-      s3Url: '',
-      error: '',
-      deleting: false,
-      persisted: false,
-    }))
+    const entries = selectedFiles.map((file) =>
+      createUploadEntry(file, { status: isEditableImage(file) ? 'editing' : 'validating' }),
+    )
 
     updateFiles((prev) => [...prev, ...entries])
 
+    const edits = []
     entries.forEach((entry, index) => {
-      void uploadDocument(entry.id, selectedFiles[index])
+      if (entry.status === 'editing') {
+        edits.push({ entryId: entry.id, file: selectedFiles[index] })
+      } else {
+        void validateAndUpload(entry.id, selectedFiles[index])
+      }
     })
+    if (edits.length > 0) {
+      setImageEdits((prev) => [...prev, ...edits])
+    }
+  }
+
+  const finishImageEdit = (entryId, file) => {
+    setImageEdits((prev) => prev.filter((edit) => edit.entryId !== entryId))
+    if (!file) {
+      removeFile(entryId)
+      return
+    }
+    updateFile(entryId, { name: file.name, size: file.size, status: 'validating' }, { skipCache: true })
+    void validateAndUpload(entryId, file)
+  }
+
+  const handleFilesSelected = (event) => {
+    addDocuments(Array.from(event.target.files ?? []))
+    event.target.value = ''
+  }
 
+  const handleFolderSelected = (event) => {
+    const { files: folderFiles, skipped } = filterFolderFiles(event.target.files)
+    addDocuments(folderFiles, { skipped })
     event.target.value = ''
   }
 
+  const handleDocumentsDropped = async (dataTransfer) => {
+    try {
+      const { files: droppedFiles, skipped } = await collectDroppedFiles(dataTransfer)
+      addDocuments(droppedFiles, { skipped })
+    } catch {
+      setAddFilesNotice(t('documents.dropUnreadable'))
+    }
+  }
+
+  const handleDocumentsPasted = (clipboardData) => {
+    addDocuments(collectPastedFiles(clipboardData))
+  }
+
   const handleRefreshUploads = () => {
     void hydrateUploads({ ignoreCache: true })
   }
 
-  const uploadDocument = async (entryId, file) => {
-    updateFile(entryId, { status: 'uploading', error: '' })
+  const reportFormLibraryError = (error) => {
+    setFormLibraryError(error.message ? error : new Error(t('formLibrary.updateFailed')))
+  }
 
-    const formData = new FormData()
-    formData.append('userId', userId)
-    if (formUrlIsValid) {
-      formData.append('formUrl', formUrl)
+  const replaceFormLibraryEntry = (entry) => {
+    updateFormLibrary((prev) => prev.map((candidate) => (candidate.id === entry.id ? entry : candidate)))
+  }
+
+  // Recency is tracked on the server so the "recent" picks follow the user.
+  const markFormUsed = async (url) => {
+    const entry = formLibrary.find((candidate) => candidate.formUrl === url)
+    if (!entry) return
+    const lastUsedAt = new Date().toISOString()
+    replaceFormLibraryEntry({ ...entry, lastUsedAt })
+    try {
+      await updateFormLibraryEntry({ userId, id: entry.id, patch: { lastUsedAt } })
+    } catch {
+      // Recency is a convenience; keep the local value
     }
-    formData.append('file', file)
+  }
+
+  const handleChooseLibraryForm = (entry) => {
+    setFormSource('url')
+    setFormUrl(entry.formUrl)
+    void markFormUsed(entry.formUrl)
+  }
 
+  // Errors propagate so the edit dialog can show them next to the fields.
+  const handleSaveLibraryEntry = async (fields, id) => {
+    const saved = normalizeFormLibraryEntry(
+      id
+        ? await updateFormLibraryEntry({ userId, id, patch: fields })
+        : await createFormLibraryEntry({ userId, entry: fields }),
+    )
+    updateFormLibrary((prev) => (id ? prev.map((entry) => (entry.id === id ? saved : entry)) : [...prev, saved]))
+    setFormLibraryError(null)
+  }
+
+  const handleToggleLibraryPinned = async (entry) => {
+    replaceFormLibraryEntry({ ...entry, pinned: !entry.pinned })
     try {
-      const response = await apiFetch('/api/uploads', {
-        method: 'POST',
-        body: formData,
+      await updateFormLibraryEntry({ userId, id: entry.id, patch: { pinned: !entry.pinned } })
+    } catch (error) {
+      replaceFormLibraryEntry(entry)
+      reportFormLibraryError(error)
+    }
+  }
+
+  const handleDeleteLibraryEntry = async (entry) => {
+    try {
+      await deleteFormLibraryEntry({ userId, id: entry.id })
+      updateFormLibrary((prev) => prev.filter((candidate) => candidate.id !== entry.id))
+    } catch (error) {
+      reportFormLibraryError(error)
+    }
+  }
+
+  const describeValidationFailure = (validation) =>
+    t(`validation.${validation.reason}`, { ...validation.params, limit: formatBytes(MAX_UPLOAD_BYTES) })
+
+  const validateAndUpload = async (entryId, file) => {
+    let validation
+    try {
+      validation = await validateUploadFile(file)
+    } catch {
+      validation = { valid: false, reason: 'unreadable' }
+    }
+
+    if (!validation.valid) {
+      updateFile(entryId, { status: 'rejected', error: describeValidationFailure(validation) }, { skipCache: true })
+      return
+    }
+
+    await uploadDocument(entryId, file)
+  }
+
+  const uploadDocument = async (entryId, file) => {
+    const controller = new AbortController()
+    uploadControllers.current.set(entryId, controller)
+    updateFile(entryId, { status: 'uploading', error: '' }, { skipCache: true })
+
+    try {
+      let upload = pendingUploads.current.get(entryId) ?? {
+        id: entryId,
+        userId,
+        uploadId: '',
+        uploadedBytes: 0,
+        file,
+        name: file.name,
+        size: file.size,
+      }
+      pendingUploads.current.set(entryId, upload)
+
+      if (upload.uploadId) {
+        const session = await getUploadSession({ userId, uploadId: upload.uploadId, signal: controller.signal })
+        upload = { ...upload, uploadedBytes: session.uploadedBytes ?? upload.uploadedBytes }
+      } else {
+        const session = await createUploadSession({
+          userId,
+          file,
+          formReference: targetFormReference ?? {},
+          signal: controller.signal,
+        })
+        upload = {
+          ...upload,
+          uploadId: session.uploadId,
+          chunkSize: session.chunkSize,
+          uploadedBytes: session.uploadedBytes ?? 0,
+        }
+      }
+
+      pendingUploads.current.set(entryId, upload)
+      void savePendingUpload(upload)
+      updateFile(entryId, { uploadId: upload.uploadId, uploadedBytes: upload.uploadedBytes }, { skipCache: true })
+
+      const response = await runChunkedUpload({
+        userId,
+        upload,
+        signal: controller.signal,
+        onProgress: (uploadedBytes) => updateFile(entryId, { uploadedBytes }, { skipCache: true }),
+        onChunkStored: (uploadedBytes) => {
+          const stored = { ...upload, uploadedBytes }
+          pendingUploads.current.set(entryId, stored)
+          void savePendingUpload(stored)
+        },
       })
 
-      const nextStatus = response.status ?? 'uploaded'
+      pendingUploads.current.delete(entryId)
+      void deletePendingUpload(entryId)
 
-      updateFile(entryId, {
+      const nextStatus = response.status ?? 'uploaded'
+      const completed = {
         status: nextStatus,
         s3Url: response.s3Url ?? '',
         slug: response.slug ?? '',
         error: '',
         size: typeof response.size === 'number' ? response.size : file.size,
+        uploadedBytes: file.size,
         persisted: true,
-      })
+      }
+
+      // A manifest refresh that landed while the last chunk was in flight may
+      // already list this file; keep only the entry that did the upload.
+      updateFiles((prev) =>
+        prev
+          .filter((entry) => entry.id === entryId || !completed.slug || entry.slug !== completed.slug)
+          .map((entry) => (entry.id === entryId ? { ...entry, ...completed } : entry)),
+      )
 
       if (nextStatus === 'processing') {
-        setTimeout(() => {
-          updateFile(entryId, { status: 'uploaded' })
-        }, 1200 + Math.random() * 1200)
+        const processed = await waitForUploadProcessing({ userId, entry: response, signal: controller.signal })
+        // A manifest refresh may have replaced the entry in the meantime, so
+        // match it by slug as well.
+        updateFiles((prev) =>
+          prev.map((entry) =>
+            entry.id === entryId || entry.slug === completed.slug
+              ? { ...entry, status: processed.status ?? 'uploaded' }
+              : entry,
+          ),
+        )
       }
     } catch (error) {
-      updateFile(entryId, {
+      if (controller.signal.aborted) return
+      updateFile(
+        entryId,
+        {
+          status: 'error',
+          error: errorMessage(error, 'documents.uploadFailed'),
+          s3Url: '',
+          slug: '',
+        },
+        { skipCache: true },
+      )
+    } finally {
+      if (uploadControllers.current.get(entryId) === controller) {
+        uploadControllers.current.delete(entryId)
+      }
+    }
+  }
+
+  const handleFormFileSelected = async (file) => {
+    setUploadedForm({ name: file.name, size: file.size, status: 'uploading', formId: '', s3Url: '', error: '' })
+
+    const validation = await validateUploadFile(file).catch(() => ({ valid: false, reason: 'unreadable' }))
+    if (!validation.valid || validation.type !== 'application/pdf') {
+      setUploadedForm((prev) => ({
+        ...prev,
         status: 'error',
-        error: error.message || 'Upload failed',
-        s3Url: '',
-        slug: '',
-      })
+        error: validation.valid ? t('targetForm.notPdf') : describeValidationFailure(validation),
+      }))
+      return
     }
+
+    try {
+      const response = await uploadForm({ userId, file })
+      setUploadedForm((prev) => ({
+        ...prev,
+        status: 'uploaded',
+        formId: response.formId,
+        s3Url: response.s3Url ?? '',
+        size: typeof response.size === 'number' ? response.size : file.size,
+      }))
+    } catch (error) {
+      setUploadedForm((prev) => ({ ...prev, status: 'error', error: errorMessage(error, 'targetForm.uploadFailed') }))
+    }
+  }
+
+  const handlePauseUpload = (file) => {
+    uploadControllers.current.get(file.id)?.abort()
+    updateFile(file.id, { status: 'paused', error: '' }, { skipCache: true })
+  }
+
+  const handleResumeUpload = (file) => {
+    const upload = pendingUploads.current.get(file.id)
+    if (!upload || uploadControllers.current.has(file.id)) return
+    void uploadDocument(file.id, upload.file)
   }
 
+  const handleCancelUpload = (file) => {
+    setImageEdits((prev) => prev.filter((edit) => edit.entryId !== file.id))
+    uploadControllers.current.get(file.id)?.abort()
+    const upload = pendingUploads.current.get(file.id)
+    pendingUploads.current.delete(file.id)
+    void deletePendingUpload(file.id)
+    if (upload?.uploadId) {
+      cancelUploadSession({ userId, uploadId: upload.uploadId }).catch(() => {})
+    }
+    removeFile(file.id)
+  }
+
+  const resumePendingUploads = useEffectEvent((records) => {
+    records.forEach((record) => pendingUploads.current.set(record.id, record))
+    const entries = records.map((record) =>
+      createUploadEntry(record.file, {
+        id: record.id,
+        name: record.name,
+        size: record.size,
+        uploadId: record.uploadId,
+        uploadedBytes: record.uploadedBytes,
+      }),
+    )
+    updateFiles(
+      (prev) => [...prev, ...entries.filter((entry) => !prev.some((file) => file.id === entry.id))],
+      { skipCache: true },
+    )
+    records.forEach((record) => {
+      void uploadDocument(record.id, record.file)
+    })
+  })
+
+  useEffect(() => {
+    let cancelled = false
+    void listPendingUploads(userId).then((records) => {
+      if (!cancelled && records.length > 0) {
+        resumePendingUploads(records)
+      }
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
   const handleDelete = async (file) => {
     if (!file.slug) {
-      removeFile(file.id)
+      handleCancelUpload(file)
       return
     }
 
     updateFile(file.id, { deleting: true, error: '' })
 
     try {
-      const params = new URLSearchParams({ userId })
-      await apiFetch(`/api/uploads/${file.slug}?${params}`, {
-        method: 'DELETE',
-      })
+      await deleteUpload({ userId, slug: file.slug })
       removeFile(file.id)
     } catch (error) {
-      updateFile(file.id, { deleting: false, error: error.message || 'Unable to delete' })
+      updateFile(file.id, { deleting: false, error: errorMessage(error, 'documents.deleteFailed') })
     }
   }
 
-  const clearExistingPoll = () => {
-    if (pollTimer.current) {
-      clearTimeout(pollTimer.current)
-      pollTimer.current = null
+  const handleToggleSelected = (file) => {
+    updateFile(file.id, { selected: !file.selected })
+  }
+
+  const handleSelectAll = (selected) => {
+    updateFiles((prev) => prev.map((file) => ({ ...file, selected })))
+  }
+
+  const handleDocumentTypeChange = async (file, documentType) => {
+    updateFile(file.id, { documentType, error: '' })
+    try {
+      await updateUpload({ userId, slug: file.slug, documentType })
+    } catch (error) {
+      updateFile(file.id, { documentType: file.documentType, error: errorMessage(error, 'documents.typeFailed') })
     }
   }
 
+  const stopJobTracking = (trackedJobId) => {
+    jobTrackers.current.get(trackedJobId)?.()
+    jobTrackers.current.delete(trackedJobId)
+  }
+
+  const refreshJobHistory = useCallback(async () => {
+    setJobHistory(await listJobHistory(userId))
+  }, [userId])
+
+  useEffect(() => {
+    void refreshJobHistory()
+  }, [refreshJobHistory])
+
+  const refreshProfiles = useCallback(async () => {
+    const response = await listApplicantProfiles({ userId })
+    setProfiles(response.profiles.sort((a, b) => a.name.localeCompare(b.name)))
+  }, [userId])
+
+  const reportProfilesLoadError = useEffectEvent((error) => {
+    setProfileError(errorMessage(error, 'profiles.loadFailed'))
+  })
+
+  useEffect(() => {
+    migrateLocalApplicantProfiles(userId)
+      .then(refreshProfiles)
+      .catch((error) => reportProfilesLoadError(error))
+  }, [refreshProfiles, userId])
+
+  const selectProfile = (profileId) => {
+    setActiveProfileId(profileId)
+    writeActiveProfileId(userId, profileId)
+  }
+
+  const handleSaveProfile = async (profile) => {
+    await saveApplicantProfile({ userId, profile })
+    await refreshProfiles()
+  }
+
+  const handleCreateProfile = async () => {
+    const profile = createApplicantProfile(userId, t('profiles.defaultName', { count: profiles.length + 1 }))
+    setProfileError('')
+    try {
+      await handleSaveProfile(profile)
+      selectProfile(profile.id)
+    } catch (error) {
+      setProfileError(errorMessage(error, 'profiles.saveFailed'))
+    }
+  }
+
+  const handleDeleteProfile = async (profile) => {
+    setProfileError('')
+    try {
+      await deleteApplicantProfile({ userId, id: profile.id })
+      if (activeProfileId === profile.id) selectProfile('')
+      await refreshProfiles()
+    } catch (error) {
+      setProfileError(errorMessage(error, 'profiles.deleteFailed'))
+    }
+  }
+
+  const handleNotificationSettingsChange = (settings) => {
+    setNotificationSettings(settings)
+    writeNotificationSettings(userId, settings)
+  }
+
+  // Settings are read from storage at event time because trackers keep the
+  // callback they were started with.
+  const announceJobOutcome = useCallback(
+    (response) => {
+      const settings = readNotificationSettings(userId)
+      if (!shouldNotify(settings, response.status)) return
+      if (settings.sound) playNotificationSound(response.status)
+      showJobNotification({
+        jobId: response.jobId,
+        title: response.status === 'complete' ? t('notifications.completeTitle') : t('notifications.errorTitle'),
+        body:
+          response.status === 'complete'
+            ? t('notifications.completeBody', { filled: response.filledFields ?? 0, total: response.totalFields ?? 0 })
+            : response.message || t('jobErrors.pipeline'),
+        onOpen: () => navigate(`/jobs/${encodeURIComponent(response.jobId)}`),
+      })
+    },
+    [navigate, t, userId],
+  )
+
+  // History and the active-job pointer follow every job, whether or not it is
+  // the one on screen.
+  const recordJobOutcome = useCallback(
+    (response) => {
+      if (response.jobId && isTerminalJobStatus(response.status)) {
+        clearActiveJob(userId, response.jobId)
+        void updateJobHistoryEntry(response.jobId, summarizeJob(response)).then(refreshJobHistory)
+      }
+    },
+    [refreshJobHistory, userId],
+  )
+
   const applyJobResponse = useCallback((response) => {
     setJobStatus(response.status ?? 'queued')
     setJobId(response.jobId ?? '')
     setFilledFormUrl(response.filledFormUrl ?? '')
+    setJobCompletedAt(response.completedAt ?? '')
     setJobMessage(response.message ?? '')
     setFieldProgress({
       total: response.totalFields ?? 0,
@@ -434,97 +831,296 @@ function App() {
     })
     if (Array.isArray(response.fields)) {
       setFieldStatuses(response.fields)
+    } else if (response.field?.fieldName) {
+      setFieldStatuses((prev) => mergeFieldUpdate(prev, response.field))
     }
     if (response.status === 'error') {
-      setJobError(response.message || 'Pipeline reported an error.')
+      setJobError(response.message || t('jobErrors.pipeline'))
     } else {
       setJobError('')
     }
-  }, [])
+    recordJobOutcome(response)
+  }, [recordJobOutcome, t])
+
+  const batch = useBatchQueue({
+    userId,
+    documentsReady: selectedDocumentsReady,
+    documentSlugs: selectedDocumentSlugs,
+    profile: activeProfilePayload,
+    onHistoryChange: refreshJobHistory,
+    onJobOutcome: announceJobOutcome,
+  })
+
+  // The single job takes the tab while it runs; otherwise a running batch
+  // shows how many of its forms are done.
+  const batchRunItems = batch.running ? batch.items.filter((item) => item.status !== 'pending') : []
+  const batchDone = batchRunItems.filter((item) => isTerminalJobStatus(item.status)).length
+  const batchPercent =
+    batchRunItems.length > 0
+      ? Math.round(
+          batchRunItems.reduce((sum, item) => sum + (isTerminalJobStatus(item.status) ? 100 : batchItemPercent(item)), 0) /
+            batchRunItems.length,
+        )
+      : 0
 
-  const scheduleJobPoll = (pollJobId, formLink) => {
-    clearExistingPoll()
-    pollTimer.current = setTimeout(async () => {
-      try {
-        const params = new URLSearchParams({ userId, formUrl: formLink })
-        const response = await apiFetch(`/api/form-fill/${pollJobId}?${params}`)
-        applyJobResponse(response)
-
-        if (response.status === 'complete' || response.status === 'error') {
-          clearExistingPoll()
+  useEffect(() => {
+    if (isRunningJobStatus(jobStatus)) {
+      const { total, filled, skipped, errors } = fieldProgress
+      const percent = total > 0 ? Math.round(((filled + skipped + errors) / total) * 100) : 0
+      return showTabProgress({ percent, label: t(`tabProgress.${jobStatus}`, { percent }) })
+    }
+    if (batchRunItems.length > 0) {
+      return showTabProgress({
+        percent: batchPercent,
+        label: t('tabProgress.batch', { done: batchDone, total: batchRunItems.length, percent: batchPercent }),
+      })
+    }
+    return undefined
+  }, [batchDone, batchPercent, batchRunItems.length, fieldProgress, jobStatus, t])
+
+  // Only a job seen running in this tab announces its outcome; opening an
+  // already finished job from history stays quiet. Updates for a job that is
+  // not on screen only reach its history entry.
+  const trackJob = (trackedJobId, formReference) => {
+    stopJobTracking(trackedJobId)
+    writeActiveJob(userId, { jobId: trackedJobId, ...formReference })
+    const stop = trackFormFillJob({
+      userId,
+      jobId: trackedJobId,
+      formReference,
+      onUpdate: (response) => {
+        if (isTerminalJobStatus(response.status)) {
+          jobTrackers.current.delete(trackedJobId)
+          if (response.status === 'complete' || response.status === 'error') {
+            announceJobOutcome({ ...response, jobId: trackedJobId })
+          }
+        }
+        if (openedJobId.current === trackedJobId) {
+          applyJobResponse(response)
         } else {
-          scheduleJobPoll(pollJobId, formLink)
+          recordJobOutcome(response)
         }
-      } catch (error) {
+      },
+      onError: (error) => {
+        jobTrackers.current.delete(trackedJobId)
+        if (openedJobId.current !== trackedJobId) return
         setJobStatus('error')
-        setJobError(error.message || 'Polling failed')
-        clearExistingPoll()
-      }
-    }, JOB_POLL_INTERVAL_MS)
+        setJobError(errorMessage(error, 'jobErrors.lostTrack'))
+      },
+    })
+    jobTrackers.current.set(trackedJobId, stop)
   }
 
-  const handleStartFill = async () => {
-    if (!canStartFill) return
-
-    clearExistingPoll()
-    setJobStatus('queued')
+  const resetJobState = (status) => {
+    setJobStatus(status)
     setJobId('')
     setJobError('')
     setJobMessage('')
     setFilledFormUrl('')
+    setJobCompletedAt('')
     setFieldProgress({ total: 0, filled: 0, skipped: 0, errors: 0 })
     setFieldStatuses([])
+    setCorrectionsError('')
+  }
+
+  const handleStartFill = async () => {
+    if (!canStartFill) return
+    if (notificationSettings.notifyOnComplete || notificationSettings.notifyOnError) {
+      void requestNotificationPermission()
+    }
+
+    resetJobState('queued')
+    openedJobId.current = ''
 
     try {
-      const formUrlSnapshot = formUrl
-      const response = await apiFetch('/api/form-fill', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ userId, formUrl }),
+      const formReferenceSnapshot = targetFormReference
+      setJobFormReference(formReferenceSnapshot)
+      if (formReferenceSnapshot.formUrl) void markFormUsed(formReferenceSnapshot.formUrl)
+      const response = await createFormFillJob({
+        userId,
+        formReference: formReferenceSnapshot,
+        documentSlugs: selectedDocumentSlugs,
+        profile: activeProfilePayload,
       })
 
+      await saveJobHistoryEntry({
+        jobId: response.jobId,
+        userId,
+        ...formReferenceSnapshot,
+        formName: formSource === 'file' ? uploadedForm?.name ?? '' : '',
+        createdAt: new Date().toISOString(),
+        ...summarizeJob(response),
+      })
+      void refreshJobHistory()
+
+      openedJobId.current = response.jobId
       applyJobResponse(response)
+      navigate(`/jobs/${encodeURIComponent(response.jobId)}`)
 
-      if (response.status === 'complete' || response.status === 'error') {
+      if (isTerminalJobStatus(response.status)) {
         return
       }
 
-      scheduleJobPoll(response.jobId, formUrlSnapshot)
+      trackJob(response.jobId, formReferenceSnapshot)
+    } catch (error) {
+      setJobStatus('error')
+      setJobError(errorMessage(error, 'jobErrors.start'))
+    }
+  }
+
+  // Deep links may name a job this browser has never seen, so the form
+  // reference from local history is a hint rather than a requirement.
+  const openJob = async (targetJobId, formReferenceHint = null) => {
+    if (openedJobId.current === targetJobId) return
+    openedJobId.current = targetJobId
+
+    const entry = await getJobHistoryEntry(targetJobId)
+    if (openedJobId.current !== targetJobId) return
+    const formReference = entry ? historyEntryFormReference(entry) : formReferenceHint
+
+    resetJobState(entry?.status ?? 'queued')
+    setJobId(targetJobId)
+    setJobFormReference(formReference)
+
+    try {
+      const response = await getFormFillJob({ userId, jobId: targetJobId, formReference: formReference ?? {} })
+      if (openedJobId.current !== targetJobId) return
+      applyJobResponse(response)
+
+      if (!isTerminalJobStatus(response.status) && !jobTrackers.current.has(response.jobId)) {
+        trackJob(response.jobId, formReference ?? {})
+      }
     } catch (error) {
+      if (openedJobId.current !== targetJobId) return
       setJobStatus('error')
-      setJobError(error.message || 'Failed to start form filling')
+      setJobError(errorMessage(error, 'jobErrors.load'))
+    }
+  }
+
+  const handleOpenJob = (entry) => {
+    navigate(`/jobs/${encodeURIComponent(entry.jobId)}`)
+  }
+
+  // A job route opened on this visit takes precedence over the stored pointer.
+  const resumeActiveJob = useEffectEvent((activeJob) => {
+    if (openedJobId.current) return
+    void openJob(activeJob.jobId, activeJob.formId ? { formId: activeJob.formId } : { formUrl: activeJob.formUrl })
+  })
+
+  useEffect(() => {
+    const activeJob = readActiveJob(userId)
+    if (activeJob) {
+      resumeActiveJob(activeJob)
+    }
+  }, [userId])
+
+  const handleCancelJob = async () => {
+    if (!jobId || !isRunningJobStatus(jobStatus)) return
+
+    setJobActionPending('cancel')
+    try {
+      const response = await cancelFormFillJob({ userId, jobId })
+      applyJobResponse(response)
+      if (isTerminalJobStatus(response.status)) {
+        stopJobTracking(jobId)
+      }
+    } catch (error) {
+      setJobError(errorMessage(error, 'jobErrors.cancel'))
+    } finally {
+      setJobActionPending('')
+    }
+  }
+
+  const handleRetryFields = async (status) => {
+    const fieldNames = fieldStatuses.filter((field) => field.status === status).map((field) => field.fieldName)
+    if (!jobId || fieldNames.length === 0) return
+
+    stopJobTracking(jobId)
+    setJobActionPending(status)
+    setJobError('')
+    setCorrectionsError('')
+
+    try {
+      const response = await retryFormFillFields({ userId, jobId, fieldNames })
+      applyJobResponse(response)
+      if (!isTerminalJobStatus(response.status)) {
+        trackJob(response.jobId, jobFormReference)
+      }
+    } catch (error) {
+      setJobError(errorMessage(error, 'jobErrors.retry'))
+    } finally {
+      setJobActionPending('')
+    }
+  }
+
+  const handleRemoveJob = async (entry) => {
+    await deleteJobHistoryEntry(entry.jobId)
+    void refreshJobHistory()
+  }
+
+  const handleSubmitCorrections = async (corrections) => {
+    if (!jobId || corrections.length === 0) return false
+
+    stopJobTracking(jobId)
+    setCorrectionsSubmitting(true)
+    setCorrectionsError('')
+
+    try {
+      const response = await updateFormFillJob({ userId, jobId, fields: corrections })
+
+      applyJobResponse(response)
+
+      if (!isTerminalJobStatus(response.status)) {
+        trackJob(response.jobId, jobFormReference)
+      }
+      return true
+    } catch (error) {
+      setCorrectionsError(errorMessage(error, 'jobErrors.corrections'))
+      return false
+    } finally {
+      setCorrectionsSubmitting(false)
     }
   }
 
   const renderStatusChip = (file) => {
     if (file.deleting) {
-      return <Chip size="small" label="Deleting" color="warning" />
+      return <Chip size="small" label={t('uploadStatus.deleting')} color="warning" />
     }
 
-    const label = statusLabelMap[file.status] ?? file.status
+    const label = t(`uploadStatus.${file.status}`, { defaultValue: file.status })
     const isComplete = COMPLETE_UPLOAD_STATUSES.has(file.status)
-    const color = isComplete ? 'success' : file.status === 'error' ? 'error' : 'info'
+    const color = isComplete
+      ? 'success'
+      : file.status === 'error' || file.status === 'rejected'
+        ? 'error'
+        : file.status === 'paused'
+          ? 'default'
+          : 'info'
     const variant = isComplete ? 'outlined' : 'filled'
     return <Chip size="small" label={label} color={color} variant={variant} />
   }
 
-  const showFileProgress = (file) => file.deleting || file.status === 'uploading' || file.status === 'processing'
+  const showFileProgress = (file) =>
+    file.deleting || file.status === 'validating' || file.status === 'uploading' || file.status === 'processing'
 
-  const fieldProgressSummary = useMemo(() => {
-    const completed = Math.min(
-      fieldProgress.total,
-      fieldProgress.filled + fieldProgress.skipped + fieldProgress.errors,
-    )
-    const percent = fieldProgress.total > 0 ? Math.round((completed / fieldProgress.total) * 100) : 0
-    return { completed, percent }
-  }, [fieldProgress])
+  const isChunkedUploadActive = (file) => !file.deleting && Boolean(file.uploadId) && (file.status === 'uploading' || file.status === 'paused')
+
+  const canResumeUpload = (file) => !file.slug && !file.deleting && (file.status === 'paused' || file.status === 'error')
 
-  const recentFieldStatuses = useMemo(() => {
-    return fieldStatuses
-      .filter((field) => FIELD_PROGRESS_STATUSES.includes(field.status))
-      .slice(-5)
-      .reverse()
-  }, [fieldStatuses])
+  const describeUploadProgress = (file) => {
+    const size = formatBytes(file.size)
+    if (file.slug) return t('documents.progress.stored', { size })
+    if (file.status === 'rejected') return t('documents.progress.rejected', { size })
+    if (file.status === 'editing') return t('documents.progress.editing', { size })
+    if (isChunkedUploadActive(file)) {
+      return t('documents.progress.uploading', {
+        uploaded: formatBytes(file.uploadedBytes),
+        size,
+        percent: uploadPercent(file),
+      })
+    }
+    return t('documents.progress.preparing', { size })
+  }
 
   return (
     <Box
@@ -543,239 +1139,394 @@ function App() {
           <Stack spacing={4}>
             <Stack spacing={1}>
               <Typography variant="h4" fontWeight={600} textAlign="center">
-                PDF Form Fill MVP
+                {t('app.title')}
               </Typography>
               <Typography variant="body2" color="text.secondary" textAlign="center">
-                Upload supporting documents, capture the target form link, and trigger the filling pipeline once
-                everything is ready. Session ID {userId} keeps your assets grouped in S3.
+                {t('app.intro')}
               </Typography>
-            </Stack>
-
-            <TextField
-              label="Target form link"
-              placeholder="https://s3.amazonaws.com/forms/blank.pdf"
-              type="url"
-              fullWidth
-              value={formUrl}
-              onChange={(event) => setFormUrl(event.target.value)}
-              error={Boolean(formUrl) && !formUrlIsValid}
-              helperText={
-                !formUrlIsValid && formUrl
-                  ? 'Enter a valid HTTPS link to the blank form.'
-                  : 'Public link to the blank PDF form users need filled.'
-              }
-            />
-
-            <Divider />
-
-            <Stack spacing={2}>
-              <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ xs: 'flex-start', sm: 'center' }} justifyContent="space-between" spacing={1}>
-                <Typography variant="h6">Supporting documents</Typography>
-                <Stack direction="row" spacing={1} alignItems="center">
-                  <Tooltip title="Upload PDFs or images one at a time (16 MB cap)">
-                    <span>
-                      <Button component="label" startIcon={<CloudUploadIcon />} variant="contained" color="primary">
-                        Upload Files
-                        <input type="file" hidden multiple onChange={handleFilesSelected} />
-                      </Button>
-                    </span>
-                  </Tooltip>
-                  <Tooltip title="Fetch the latest data from the backend">
-                    <span>
-                      <Button
-                        variant="outlined"
-                        color="secondary"
-                        startIcon={<RefreshOutlinedIcon />}
-                        onClick={handleRefreshUploads}
-                        disabled={manifestLoading}
-                      >
-                        Refresh
-                      </Button>
-                    </span>
-                  </Tooltip>
-                </Stack>
+              <Stack direction="row" spacing={1} justifyContent="center" alignItems="center" flexWrap="wrap" useFlexGap>
+                <Typography variant="body2" color="text.secondary">
+                  {t('app.signedInAs', { name: user.email || user.name })}
+                </Typography>
+                <Button size="small" startIcon={<LogoutIcon />} onClick={() => void signOut()}>
+                  {t('app.signOut')}
+                </Button>
+                <NotificationSettingsMenu settings={notificationSettings} onChange={handleNotificationSettingsChange} />
+                <LanguageSwitcher />
               </Stack>
-              <Typography variant="caption" color="text.secondary">
-                Files upload immediately and include the form link once you provide it. Add the link before starting the
-                fill job.
-              </Typography>
+              {location.state?.anonymousMigrationFailed && <Alert severity="warning">{t('app.migrationFailed')}</Alert>}
+            </Stack>
 
-              {manifestError && <Alert severity="warning">{manifestError}</Alert>}
-
-              {files.length === 0 ? (
-                manifestLoading ? (
-                  <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
-                    <Typography color="text.secondary">Loading your saved files...</Typography>
-                  </Paper>
-                ) : (
-                  <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
-                    <Typography color="text.secondary">No uploads yet. Add files to kick things off.</Typography>
-                  </Paper>
-                )
-              ) : (
-                <List disablePadding sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
-                  {files.map((file) => (
-                    <Paper key={file.id} variant="outlined" sx={{ borderColor: 'divider' }}>
-                      <ListItem
-                        secondaryAction={
-                          <Stack direction="row" spacing={1} alignItems="center">
-                            {file.s3Url ? (
-                              <MuiLink href={file.s3Url} target="_blank" rel="noopener" underline="hover">
-                                <Stack direction="row" spacing={0.5} alignItems="center">
-                                  <Typography variant="body2">View on S3</Typography>
-                                  <LaunchIcon fontSize="small" />
-                                </Stack>
-                              </MuiLink>
-                            ) : (
-                              <Chip size="small" label="Pending link" variant="outlined" />
-                            )}
-                            <Tooltip title="Delete file">
-                              <span>
-                                <IconButton
-                                  edge="end"
-                                  color="error"
-                                  disabled={file.deleting}
-                                  onClick={() => handleDelete(file)}
-                                >
-                                  <DeleteOutlineIcon />
-                                </IconButton>
-                              </span>
-                            </Tooltip>
-                          </Stack>
-                        }
-                      >
-                        <ListItemIcon>
-                          <InsertDriveFileOutlinedIcon
-                            color={file.status === 'uploaded' ? 'primary' : file.status === 'error' ? 'error' : 'action'}
-                          />
-                        </ListItemIcon>
-                        <ListItemText
-                          primary={
+            <Tabs value={navigationTab(location.pathname)} centered>
+              <Tab label={t('app.tabs.workspace')} value="/" component={RouterLink} to="/" />
+              <Tab label={t('app.tabs.history')} value="/jobs" component={RouterLink} to="/jobs" />
+            </Tabs>
+
+            <Routes>
+              <Route
+                path="/"
+                element={
+                  <Stack spacing={4}>
+                    <Stack spacing={1.5}>
+                      <TargetFormInput
+                        source={formSource}
+                        onSourceChange={setFormSource}
+                        formUrl={formUrl}
+                        onFormUrlChange={setFormUrl}
+                        formUrlIsValid={formUrlIsValid}
+                        uploadedForm={uploadedForm}
+                        onFormFileSelected={handleFormFileSelected}
+                        onRemoveForm={() => setUploadedForm(null)}
+                      />
+                      <FormLibrary
+                        entries={formLibrary}
+                        currentFormUrl={formSource === 'url' ? formUrl : ''}
+                        error={formLibraryError ? errorMessage(formLibraryError, 'formLibrary.loadFailed') : ''}
+                        onChoose={handleChooseLibraryForm}
+                        onSave={handleSaveLibraryEntry}
+                        onTogglePinned={handleToggleLibraryPinned}
+                        onDelete={handleDeleteLibraryEntry}
+                      />
+                    </Stack>
+
+                    <Divider />
+
+                    <Stack spacing={2}>
+                      <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ xs: 'flex-start', sm: 'center' }} justifyContent="space-between" spacing={1}>
+                        <Typography variant="h6">{t('documents.title')}</Typography>
+                        <Stack direction="row" spacing={1} alignItems="center">
+                          <Tooltip title={t('documents.uploadFilesHint', { limit: formatBytes(MAX_UPLOAD_BYTES) })}>
+                            <span>
+                              <Button component="label" startIcon={<CloudUploadIcon />} variant="contained" color="primary">
+                                {t('documents.uploadFiles')}
+                                <input
+                                  type="file"
+                                  hidden
+                                  multiple
+                                  accept={[...ACCEPTED_UPLOAD_TYPES, ...HEIC_PICKER_TYPES].join(',')}
+                                  onChange={handleFilesSelected}
+                                />
+                              </Button>
+                            </span>
+                          </Tooltip>
+                          <Tooltip title={t('documents.uploadFolderHint')}>
+                            <span>
+                              <Button component="label" startIcon={<DriveFolderUploadOutlinedIcon />} variant="outlined" color="primary">
+                                {t('documents.uploadFolder')}
+                                <input type="file" hidden multiple webkitdirectory="" onChange={handleFolderSelected} />
+                              </Button>
+                            </span>
+                          </Tooltip>
+                          <Tooltip title={t('documents.refreshHint')}>
+                            <span>
+                              <Button
+                                variant="outlined"
+                                color="secondary"
+                                startIcon={<RefreshOutlinedIcon />}
+                                onClick={handleRefreshUploads}
+                                disabled={manifestLoading}
+                              >
+                                {t('documents.refresh')}
+                              </Button>
+                            </span>
+                          </Tooltip>
+                        </Stack>
+                      </Stack>
+                      <Typography variant="caption" color="text.secondary">
+                        {t('documents.helper')}
+                      </Typography>
+
+                      {manifestError && (
+                        <Alert severity="warning">{errorMessage(manifestError, 'documents.loadFailed')}</Alert>
+                      )}
+                      {addFilesNotice && (
+                        <Alert severity="info" onClose={() => setAddFilesNotice('')}>
+                          {addFilesNotice}
+                        </Alert>
+                      )}
+
+                      <DocumentDropZone onDrop={handleDocumentsDropped} onPaste={handleDocumentsPasted}>
+
+                        {files.length === 0 ? (
+                          manifestLoading ? (
+                            <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
+                              <Typography color="text.secondary">{t('documents.loading')}</Typography>
+                            </Paper>
+                          ) : (
+                            <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
+                              <Typography color="text.secondary">{t('documents.empty')}</Typography>
+                            </Paper>
+                          )
+                        ) : (
+                          <>
                             <Stack direction="row" spacing={1} alignItems="center">
-                              <Typography variant="subtitle1">{file.name}</Typography>
-                              {renderStatusChip(file)}
-                            </Stack>
-                          }
-                          secondary={
-                            <Stack spacing={0.5}>
+                              <Checkbox
+                                checked={selectedFiles.length === files.length}
+                                indeterminate={selectedFiles.length > 0 && selectedFiles.length < files.length}
+                                onChange={(event) => handleSelectAll(event.target.checked)}
+                                slotProps={{ input: { 'aria-label': t('documents.selectAll') } }}
+                              />
                               <Typography variant="body2" color="text.secondary">
-                                {formatBytes(file.size)} • {file.slug ? 'Stored in S3' : 'Preparing upload'}
+                                {t('documents.selectedCount', { count: selectedFiles.length, total: files.length })}
                               </Typography>
-                              {file.error && (
-                                <Typography variant="body2" color="error.main">
-                                  {file.error}
-                                </Typography>
-                              )}
                             </Stack>
-                          }
-                        />
-                      </ListItem>
-                      {showFileProgress(file) && <LinearProgress color="info" />}
-                    </Paper>
-                  ))}
-                </List>
-              )}
-            </Stack>
-
-            <Divider />
-
-            <Stack spacing={2}>
-              <Typography variant="h6">Form filling pipeline</Typography>
-              <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ xs: 'stretch', sm: 'center' }}>
-                <Button
-                  variant="contained"
-                  size="large"
-                  startIcon={<PlayCircleOutlineIcon />}
-                  disabled={!canStartFill}
-                  onClick={handleStartFill}
-                >
-                  Start Form Fill
-                </Button>
-                <Chip
-                  label={jobStatusLabel[jobStatus] ?? jobStatus}
-                  color={jobStatusColor[jobStatus] ?? 'default'}
-                />
-              </Stack>
-
-              {jobId && (
-                <Typography variant="caption" color="text.secondary">
-                  Job ID: {jobId}
-                </Typography>
-              )}
-
-              {(jobStatus === 'queued' || jobStatus === 'filling') && <LinearProgress color="info" />}
-
-              {fieldProgress.total > 0 && (
-                <Stack spacing={1}>
-                  <Stack direction="row" justifyContent="space-between" alignItems="center">
-                    <Typography variant="body2" color="text.secondary">
-                      Fields processed: {fieldProgressSummary.completed}/{fieldProgress.total}
-                    </Typography>
-                    <Typography variant="body2" color="text.secondary">
-                      Filled {fieldProgress.filled} • Skipped {fieldProgress.skipped} • Errors {fieldProgress.errors}
-                    </Typography>
-                  </Stack>
-                  <LinearProgress
-                    variant="determinate"
-                    value={fieldProgressSummary.percent}
-                    color="info"
-                  />
-                </Stack>
-              )}
-
-              {recentFieldStatuses.length > 0 && (
-                <Paper variant="outlined" sx={{ p: 2 }}>
-                  <Stack spacing={1}>
-                    <Typography variant="subtitle2">Recent field updates</Typography>
-                    {recentFieldStatuses.map((field) => (
-                      <Stack
-                        key={`${field.fieldName}-${field.status}-${field.value ?? ''}`}
-                        direction={{ xs: 'column', sm: 'row' }}
-                        spacing={1}
-                        justifyContent="space-between"
-                        alignItems={{ xs: 'flex-start', sm: 'center' }}
-                      >
-                        <Typography variant="body2" fontWeight={600}>
-                          {field.fieldName}
-                        </Typography>
-                        <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap">
-                          <Chip
-                            size="small"
-                            label={formatFieldStatusLabel(field.status)}
-                            color={fieldStatusColor(field.status)}
-                          />
-                          {field.value && (
-                            <Typography variant="body2" color="text.secondary">
-                              {field.value}
-                            </Typography>
-                          )}
-                          {field.reason && (
-                            <Typography variant="body2" color="text.secondary">
-                              {field.reason}
-                            </Typography>
-                          )}
-                        </Stack>
+                            <List disablePadding sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                              {files.map((file) => (
+                                <Paper key={file.id} variant="outlined" sx={{ borderColor: 'divider' }}>
+                                  <ListItem
+                                    secondaryAction={
+                                      <Stack direction="row" spacing={1} alignItems="center">
+                                        {file.s3Url ? (
+                                          <MuiLink href={file.s3Url} target="_blank" rel="noopener" underline="hover">
+                                            <Stack direction="row" spacing={0.5} alignItems="center">
+                                              <Typography variant="body2">{t('documents.viewOnS3')}</Typography>
+                                              <LaunchIcon fontSize="small" />
+                                            </Stack>
+                                          </MuiLink>
+                                        ) : (
+                                          <Chip size="small" label={t('documents.pendingLink')} variant="outlined" />
+                                        )}
+                                        {file.status === 'uploading' && !file.slug && (
+                                          <Tooltip title={t('documents.pause')}>
+                                            <IconButton onClick={() => handlePauseUpload(file)}>
+                                              <PauseCircleOutlineIcon />
+                                            </IconButton>
+                                          </Tooltip>
+                                        )}
+                                        {canResumeUpload(file) && (
+                                          <Tooltip title={t('documents.resume')}>
+                                            <IconButton color="primary" onClick={() => handleResumeUpload(file)}>
+                                              <ReplayOutlinedIcon />
+                                            </IconButton>
+                                          </Tooltip>
+                                        )}
+                                        <Tooltip title={file.slug ? t('documents.delete') : t('documents.cancel')}>
+                                          <span>
+                                            <IconButton
+                                              edge="end"
+                                              color="error"
+                                              disabled={file.deleting}
+                                              onClick={() => handleDelete(file)}
+                                            >
+                                              {file.slug ? <DeleteOutlineIcon /> : <CloseIcon />}
+                                            </IconButton>
+                                          </span>
+                                        </Tooltip>
+                                      </Stack>
+                                    }
+                                  >
+                                    <ListItemIcon sx={{ minWidth: 0, mr: 1 }}>
+                                      <Checkbox
+                                        edge="start"
+                                        checked={file.selected}
+                                        onChange={() => handleToggleSelected(file)}
+                                        slotProps={{ input: { 'aria-label': t('documents.useInJob', { name: file.name }) } }}
+                                      />
+                                    </ListItemIcon>
+                                    <ListItemIcon>
+                                      <InsertDriveFileOutlinedIcon
+                                        color={
+                                          file.status === 'uploaded'
+                                            ? 'primary'
+                                            : file.status === 'error' || file.status === 'rejected'
+                                              ? 'error'
+                                              : 'action'
+                                        }
+                                      />
+                                    </ListItemIcon>
+                                    <ListItemText
+                                      primary={
+                                        <Stack direction="row" spacing={1} alignItems="center">
+                                          <Typography variant="subtitle1">{file.name}</Typography>
+                                          {renderStatusChip(file)}
+                                        </Stack>
+                                      }
+                                      secondary={
+                                        <Stack spacing={0.5}>
+                                          <Typography variant="body2" color="text.secondary">
+                                            {describeUploadProgress(file)}
+                                          </Typography>
+                                          <Stack direction="row" spacing={1} alignItems="center">
+                                            <TextField
+                                              select
+                                              size="small"
+                                              variant="standard"
+                                              value={file.documentType || ''}
+                                              disabled={!file.slug}
+                                              onChange={(event) => handleDocumentTypeChange(file, event.target.value)}
+                                              slotProps={{
+                                                select: {
+                                                  displayEmpty: true,
+                                                  renderValue: (value) =>
+                                                    value ? t(`documentType.${value}`) : t('documents.typeUnset'),
+                                                  SelectDisplayProps: { 'aria-label': t('documents.type') },
+                                                },
+                                              }}
+                                              sx={{ minWidth: 140 }}
+                                            >
+                                              {DOCUMENT_TYPES.map((type) => (
+                                                <MenuItem key={type} value={type}>
+                                                  {t(`documentType.${type}`)}
+                                                </MenuItem>
+                                              ))}
+                                            </TextField>
+                                            {!file.documentType && file.slug && (
+                                              <Chip
+                                                size="small"
+                                                variant="outlined"
+                                                label={t('documents.acceptSuggestion', {
+                                                  type: t(`documentType.${suggestDocumentType(file.name)}`),
+                                                })}
+                                                onClick={() => handleDocumentTypeChange(file, suggestDocumentType(file.name))}
+                                              />
+                                            )}
+                                          </Stack>
+                                          {file.error && (
+                                            <Typography variant="body2" color="error.main">
+                                              {file.error}
+                                            </Typography>
+                                          )}
+                                        </Stack>
+                                      }
+                                    />
+                                  </ListItem>
+                                  {isChunkedUploadActive(file) ? (
+                                    <LinearProgress
+                                      variant="determinate"
+                                      value={uploadPercent(file)}
+                                      color={file.status === 'paused' ? 'inherit' : 'info'}
+                                    />
+                                  ) : (
+                                    showFileProgress(file) && <LinearProgress color="info" />
+                                  )}
+                                </Paper>
+                              ))}
+                            </List>
+                          </>
+                        )}
+                      </DocumentDropZone>
+                    </Stack>
+
+                    <Divider />
+
+                    <ApplicantProfilePanel
+                      profiles={profiles}
+                      activeProfileId={activeProfileId}
+                      onSelect={selectProfile}
+                      onCreate={handleCreateProfile}
+                      onSave={handleSaveProfile}
+                      onDelete={handleDeleteProfile}
+                      error={profileError}
+                    />
+
+                    <Divider />
+
+                    <Stack spacing={2}>
+                      <Typography variant="h6">{t('pipeline.title')}</Typography>
+                      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ xs: 'stretch', sm: 'center' }}>
+                        <Button
+                          variant="contained"
+                          size="large"
+                          startIcon={<PlayCircleOutlineIcon />}
+                          disabled={!canStartFill}
+                          onClick={handleStartFill}
+                        >
+                          {t('pipeline.start')}
+                        </Button>
+                        {jobId && (
+                          <>
+                            <Chip
+                              label={formatJobStatusLabel(jobStatus, t)}
+                              color={jobStatusColor[jobStatus] ?? 'default'}
+                            />
+                            <Button component={RouterLink} to={`/jobs/${encodeURIComponent(jobId)}`} endIcon={<LaunchIcon />}>
+                              {t('pipeline.viewJob')}
+                            </Button>
+                          </>
+                        )}
                       </Stack>
-                    ))}
+                      {files.length > 0 && selectedFiles.length === 0 && (
+                        <Typography variant="body2" color="text.secondary">
+                          {t('pipeline.noDocumentsSelected')}
+                        </Typography>
+                      )}
+                      {activeProfilePayload && (
+                        <Typography variant="body2" color="text.secondary">
+                          {t('pipeline.usingProfile', { name: activeProfilePayload.name })}
+                        </Typography>
+                      )}
+                      {isRunningJobStatus(jobStatus) && <LinearProgress color="info" />}
+                      {!jobId && jobError && <Alert severity="error">{jobError}</Alert>}
+                    </Stack>
+
+                    <Divider />
+
+                    <BatchQueue
+                      batch={batch}
+                      documentsReady={selectedDocumentsReady}
+                      currentForm={
+                        targetFormReference
+                          ? { formReference: targetFormReference, label: formSource === 'file' ? uploadedForm?.name ?? '' : '' }
+                          : null
+                      }
+                    />
                   </Stack>
-                </Paper>
-              )}
-
-              {jobError && <Alert severity="error">{jobError}</Alert>}
-              {jobMessage && jobStatus !== 'error' && <Alert severity="info">{jobMessage}</Alert>}
-
-              {filledFormUrl && jobStatus === 'complete' && (
-                <Alert severity="success">
-                  Filled form ready.{' '}
-                  <MuiLink href={filledFormUrl} target="_blank" rel="noopener" underline="hover">
-                    Open filled PDF
-                  </MuiLink>
-                </Alert>
-              )}
-            </Stack>
+                }
+              />
+              <Route
+                path="/jobs"
+                element={
+                  <JobHistoryPanel
+                    entries={jobHistory}
+                    activeJobId={jobId}
+                    onOpen={handleOpenJob}
+                    onRemove={handleRemoveJob}
+                    disabled={correctionsSubmitting}
+                  />
+                }
+              />
+              <Route
+                path="/jobs/:jobId"
+                element={
+                  <JobRoute loadedJobId={jobId} onOpenJob={openJob}>
+                    <JobDetail
+                      job={{
+                        jobId,
+                        status: jobStatus,
+                        message: jobMessage,
+                        error: jobError,
+                        filledFormUrl,
+                        completedAt: jobCompletedAt,
+                        fieldProgress,
+                        fieldStatuses,
+                        formReference: jobFormReference,
+                      }}
+                      documents={files.filter((file) => file.slug)}
+                      actionPending={jobActionPending}
+                      correctionsSubmitting={correctionsSubmitting}
+                      correctionsError={correctionsError}
+                      onCancel={handleCancelJob}
+                      onRetryFields={handleRetryFields}
+                      onSubmitCorrections={handleSubmitCorrections}
+                    />
+                  </JobRoute>
+                }
+              />
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
           </Stack>
         </Paper>
       </Container>
+
+      {imageEdits.length > 0 && (
+        <ImageEditorDialog
+          key={imageEdits[0].entryId}
+          file={imageEdits[0].file}
+          onConfirm={(file) => finishImageEdit(imageEdits[0].entryId, file)}
+          onUseOriginal={() => finishImageEdit(imageEdits[0].entryId, imageEdits[0].file)}
+          onDiscard={() => finishImageEdit(imageEdits[0].entryId, null)}
+        />
+      )}
     </Box>
   )
 }
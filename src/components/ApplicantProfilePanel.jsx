@@ -0,0 +1,200 @@
+import { useState } from 'react'
+import {
+  Alert,
+  Autocomplete,
+  Button,
+  IconButton,
+  MenuItem,
+  Paper,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import AddIcon from '@mui/icons-material/Add'
+import BadgeOutlinedIcon from '@mui/icons-material/BadgeOutlined'
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline'
+import RemoveCircleOutlineIcon from '@mui/icons-material/RemoveCircleOutline'
+import SaveOutlinedIcon from '@mui/icons-material/SaveOutlined'
+import { COMMON_PROFILE_KEYS, profileValues } from '../lib/applicantProfile'
+import { useI18n } from '../lib/i18n'
+
+const NO_PROFILE = ''
+
+// Rows get a local id so removing one in the middle does not hand its input
+// state to the next row; the id never leaves the editor.
+const toFactRows = (facts) => facts.map((fact) => ({ ...fact, rowId: crypto.randomUUID() }))
+
+const fromFactRows = (rows) => rows.map(({ key, value }) => ({ key, value }))
+
+const sameFacts = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+// Drafts live here until saved; the parent remounts the editor per profile
+// revision, so switching or saving starts from the stored facts again.
+function ProfileEditor({ profile, onSave, onDelete, disabled }) {
+  const { t, errorMessage } = useI18n()
+  const [name, setName] = useState(profile.name)
+  const [facts, setFacts] = useState(() => toFactRows(profile.facts))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const dirty = name !== profile.name || !sameFacts(fromFactRows(facts), profile.facts)
+  const usedKeys = new Set(facts.map((fact) => fact.key.trim()))
+  const valueCount = Object.keys(profileValues({ facts })).length
+
+  const updateFact = (rowId, patch) => {
+    setFacts((prev) => prev.map((fact) => (fact.rowId === rowId ? { ...fact, ...patch } : fact)))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      await onSave({ ...profile, name: name.trim() || profile.name, facts: fromFactRows(facts), updatedAt: new Date().toISOString() })
+    } catch (saveError) {
+      setError(errorMessage(saveError, 'profiles.saveFailed'))
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <TextField
+          size="small"
+          label={t('profiles.name')}
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          disabled={disabled}
+          sx={{ flex: 1 }}
+        />
+        <Tooltip title={t('profiles.delete')}>
+          <span>
+            <IconButton color="error" disabled={disabled || saving} onClick={() => onDelete(profile)}>
+              <DeleteOutlineIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+      </Stack>
+
+      {facts.map((fact) => (
+        <Stack key={fact.rowId} direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems={{ xs: 'stretch', sm: 'center' }}>
+          <Autocomplete
+            freeSolo
+            options={COMMON_PROFILE_KEYS.filter((key) => key === fact.key.trim() || !usedKeys.has(key))}
+            inputValue={fact.key}
+            onInputChange={(_event, key) => updateFact(fact.rowId, { key })}
+            disabled={disabled}
+            sx={{ flex: 1 }}
+            renderInput={(params) => <TextField {...params} size="small" label={t('profiles.factKey')} />}
+          />
+          <TextField
+            size="small"
+            label={t('profiles.factValue')}
+            value={fact.value}
+            onChange={(event) => updateFact(fact.rowId, { value: event.target.value })}
+            disabled={disabled}
+            sx={{ flex: 1 }}
+          />
+          <Tooltip title={t('profiles.removeFact')}>
+            <span>
+              <IconButton
+                disabled={disabled}
+                onClick={() => setFacts((prev) => prev.filter((row) => row.rowId !== fact.rowId))}
+              >
+                <RemoveCircleOutlineIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Stack>
+      ))}
+
+      <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+        <Button
+          startIcon={<AddIcon />}
+          disabled={disabled}
+          onClick={() => setFacts((prev) => [...prev, ...toFactRows([{ key: '', value: '' }])])}
+        >
+          {t('profiles.addFact')}
+        </Button>
+        <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+          {t('profiles.valueCount', { count: valueCount })}
+        </Typography>
+        <Button
+          disabled={!dirty || saving}
+          onClick={() => {
+            setName(profile.name)
+            setFacts(toFactRows(profile.facts))
+          }}
+        >
+          {t('profiles.discard')}
+        </Button>
+        <Button variant="contained" startIcon={<SaveOutlinedIcon />} disabled={!dirty || saving || disabled} onClick={handleSave}>
+          {saving ? t('profiles.saving') : t('profiles.save')}
+        </Button>
+      </Stack>
+      {error && <Alert severity="error">{error}</Alert>}
+    </Stack>
+  )
+}
+
+function ApplicantProfilePanel({ profiles, activeProfileId, onSelect, onCreate, onSave, onDelete, error = '', disabled = false }) {
+  const { t } = useI18n()
+  const activeProfile = profiles.find((profile) => profile.id === activeProfileId) ?? null
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ xs: 'flex-start', sm: 'center' }} justifyContent="space-between" spacing={1}>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <BadgeOutlinedIcon color="action" />
+          <Typography variant="h6">{t('profiles.title')}</Typography>
+        </Stack>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField
+            select
+            size="small"
+            label={t('profiles.useForJobs')}
+            value={activeProfile ? activeProfile.id : NO_PROFILE}
+            onChange={(event) => onSelect(event.target.value)}
+            disabled={disabled}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value={NO_PROFILE}>{t('profiles.none')}</MenuItem>
+            {profiles.map((profile) => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button startIcon={<AddIcon />} disabled={disabled} onClick={onCreate}>
+            {t('profiles.new')}
+          </Button>
+        </Stack>
+      </Stack>
+      <Typography variant="caption" color="text.secondary">
+        {t('profiles.helper')}
+      </Typography>
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {activeProfile ? (
+        <Paper variant="outlined" sx={{ p: 2 }}>
+          <ProfileEditor
+            key={`${activeProfile.id}:${activeProfile.updatedAt}`}
+            profile={activeProfile}
+            onSave={onSave}
+            onDelete={onDelete}
+            disabled={disabled}
+          />
+        </Paper>
+      ) : (
+        <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
+          <Typography color="text.secondary">
+            {profiles.length === 0 ? t('profiles.empty') : t('profiles.noneSelected')}
+          </Typography>
+        </Paper>
+      )}
+    </Stack>
+  )
+}
+
+export default ApplicantProfilePanel
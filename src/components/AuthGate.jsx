@@ -0,0 +1,127 @@
+import { useEffect, useRef, useState, useSyncExternalStore } from 'react'
+import { useLocation, useNavigate } from 'react-router'
+import { Alert, Box, Button, CircularProgress, CssBaseline, Paper, Stack, Typography } from '@mui/material'
+import LoginIcon from '@mui/icons-material/Login'
+import LanguageSwitcher from './LanguageSwitcher'
+import { migrateAnonymousSession } from '../lib/anonymousSession'
+import { AUTH_CALLBACK_PATH, beginSignIn, completeSignIn, getAuthSession, subscribeAuth } from '../lib/auth'
+import { useI18n } from '../lib/i18n'
+
+function AuthShell({ children }) {
+  const { t } = useI18n()
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        bgcolor: (theme) => theme.palette.grey[100],
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        p: { xs: 2, md: 4 },
+      }}
+    >
+      <CssBaseline />
+      <Paper elevation={6} sx={{ p: { xs: 3, md: 5 }, borderRadius: 4, maxWidth: 440, width: '100%' }}>
+        <Stack spacing={3} alignItems="center" textAlign="center">
+          <Typography variant="h4" fontWeight={600}>
+            {t('app.title')}
+          </Typography>
+          {children}
+          <LanguageSwitcher />
+        </Stack>
+      </Paper>
+    </Box>
+  )
+}
+
+function SignInScreen({ returnTo, error = '' }) {
+  const { t, errorMessage } = useI18n()
+  const [starting, setStarting] = useState(false)
+  const [startError, setStartError] = useState('')
+
+  const handleSignIn = async () => {
+    setStarting(true)
+    setStartError('')
+    try {
+      await beginSignIn({ returnTo })
+    } catch (signInError) {
+      setStartError(errorMessage(signInError, 'auth.startFailed'))
+      setStarting(false)
+    }
+  }
+
+  return (
+    <AuthShell>
+      <Typography variant="body2" color="text.secondary">
+        {t('auth.intro')}
+      </Typography>
+      {(startError || error) && (
+        <Alert severity="error" sx={{ width: '100%', textAlign: 'left' }}>
+          {startError || error}
+        </Alert>
+      )}
+      <Button variant="contained" size="large" startIcon={<LoginIcon />} disabled={starting} onClick={handleSignIn}>
+        {starting ? t('auth.redirecting') : t('auth.signIn')}
+      </Button>
+    </AuthShell>
+  )
+}
+
+function AuthCallback() {
+  const { t, errorMessage } = useI18n()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+  // The code can only be exchanged once; StrictMode runs effects twice.
+  const started = useRef(false)
+
+  useEffect(() => {
+    if (started.current) return
+    started.current = true
+
+    const finishSignIn = async () => {
+      const { returnTo } = await completeSignIn(location.search)
+      const user = getAuthSession()?.user
+      let migrationFailed = false
+      try {
+        await migrateAnonymousSession(user.sub)
+      } catch {
+        migrationFailed = true
+      }
+      navigate(returnTo, { replace: true, state: migrationFailed ? { anonymousMigrationFailed: true } : null })
+    }
+
+    finishSignIn().catch((signInError) => setError(errorMessage(signInError, 'auth.failed')))
+  }, [location.search, navigate, errorMessage])
+
+  if (error) {
+    return <SignInScreen returnTo="/" error={error} />
+  }
+
+  return (
+    <AuthShell>
+      <CircularProgress />
+      <Typography variant="body2" color="text.secondary">
+        {t('auth.signingIn')}
+      </Typography>
+    </AuthShell>
+  )
+}
+
+// Renders `children(user)` once there is a signed-in session, and the sign-in
+// screen or the OIDC callback handler otherwise.
+function AuthGate({ children }) {
+  const session = useSyncExternalStore(subscribeAuth, getAuthSession)
+  const location = useLocation()
+
+  if (location.pathname === AUTH_CALLBACK_PATH) {
+    return <AuthCallback />
+  }
+  if (!session) {
+    return <SignInScreen returnTo={`${location.pathname}${location.search}`} />
+  }
+  return children(session.user)
+}
+
+export default AuthGate
@@ -0,0 +1,263 @@
+import { useState } from 'react'
+import {
+  Alert,
+  Button,
+  Chip,
+  Collapse,
+  IconButton,
+  LinearProgress,
+  Link as MuiLink,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import AddIcon from '@mui/icons-material/Add'
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline'
+import DownloadIcon from '@mui/icons-material/Download'
+import ExpandLessIcon from '@mui/icons-material/ExpandLess'
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore'
+import LaunchIcon from '@mui/icons-material/Launch'
+import PlaylistPlayIcon from '@mui/icons-material/PlaylistPlay'
+import StopCircleOutlinedIcon from '@mui/icons-material/StopCircleOutlined'
+import { batchItemPercent } from '../lib/batchQueue'
+import { buildZipBundle, saveBlob } from '../lib/download'
+import { fieldStatusColor, formatFieldStatusLabel } from '../lib/fieldStatus'
+import { useI18n } from '../lib/i18n'
+import { formatJobStatusLabel, isRunningJobStatus, jobStatusColor } from '../lib/jobStatus'
+import { isValidHttpUrl } from '../lib/url'
+
+const describeFormUrl = (formUrl) => {
+  const { hostname, pathname } = new URL(formUrl)
+  const lastSegment = pathname.split('/').filter(Boolean).pop()
+  return lastSegment ? `${hostname} – ${decodeURIComponent(lastSegment)}` : hostname
+}
+
+// The queue itself is driven by `useBatchQueue` in the app shell; this
+// component only renders it and holds view state such as the URL draft.
+function BatchQueue({ batch, documentsReady, currentForm }) {
+  const { t, errorMessage } = useI18n()
+  const { items, runMode, setRunMode, running, addItem, removeItem, runBatch, stopBatch } = batch
+  const [formUrlDraft, setFormUrlDraft] = useState('')
+  const [expandedId, setExpandedId] = useState('')
+  const [bundling, setBundling] = useState(false)
+  const [bundleError, setBundleError] = useState('')
+
+  const handleAddUrl = () => {
+    if (!isValidHttpUrl(formUrlDraft)) return
+    addItem({ formUrl: formUrlDraft }, describeFormUrl(formUrlDraft))
+    setFormUrlDraft('')
+  }
+
+  const handleRunBatch = () => {
+    setBundleError('')
+    void runBatch()
+  }
+
+  const completedItems = items.filter((item) => item.status === 'complete' && item.filledFormUrl)
+
+  const handleDownloadAll = async () => {
+    setBundling(true)
+    setBundleError('')
+    try {
+      const bundle = await buildZipBundle(completedItems.map((item) => ({ name: item.label, url: item.filledFormUrl })))
+      saveBlob(bundle, 'filled-forms.zip')
+    } catch (error) {
+      setBundleError(errorMessage(error, 'batch.bundleFailed'))
+    } finally {
+      setBundling(false)
+    }
+  }
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} justifyContent="space-between" alignItems={{ xs: 'flex-start', sm: 'center' }}>
+        <Stack spacing={0.5}>
+          <Typography variant="h6">{t('batch.title')}</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {t('batch.description')}
+          </Typography>
+        </Stack>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={runMode}
+          disabled={running}
+          onChange={(_event, next) => {
+            if (next) setRunMode(next)
+          }}
+        >
+          <ToggleButton value="sequential">{t('batch.sequential')}</ToggleButton>
+          <ToggleButton value="concurrent">{t('batch.concurrent')}</ToggleButton>
+        </ToggleButtonGroup>
+      </Stack>
+
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems={{ xs: 'stretch', sm: 'flex-start' }}>
+        <TextField
+          size="small"
+          fullWidth
+          label={t('batch.formUrl')}
+          placeholder="https://example.com/forms/application.pdf"
+          value={formUrlDraft}
+          onChange={(event) => setFormUrlDraft(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === 'Enter') handleAddUrl()
+          }}
+          error={Boolean(formUrlDraft) && !isValidHttpUrl(formUrlDraft)}
+        />
+        <Button variant="outlined" startIcon={<AddIcon />} disabled={!isValidHttpUrl(formUrlDraft)} onClick={handleAddUrl}>
+          {t('batch.add')}
+        </Button>
+        <Button
+          variant="text"
+          disabled={!currentForm}
+          onClick={() => addItem(currentForm.formReference, currentForm.label || describeFormUrl(currentForm.formReference.formUrl))}
+          sx={{ whiteSpace: 'nowrap' }}
+        >
+          {t('batch.addCurrent')}
+        </Button>
+      </Stack>
+
+      {items.length === 0 ? (
+        <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
+          <Typography color="text.secondary">{t('batch.empty')}</Typography>
+        </Paper>
+      ) : (
+        <Paper variant="outlined">
+          <List disablePadding>
+            {items.map((item) => {
+              const isRunning = isRunningJobStatus(item.status)
+              const isExpanded = expandedId === item.id
+              return (
+                <ListItem key={item.id} divider sx={{ display: 'block' }}>
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <ListItemText
+                      sx={{ minWidth: 0 }}
+                      primary={
+                        <Stack direction="row" spacing={1} alignItems="center" sx={{ minWidth: 0 }}>
+                          <Typography variant="subtitle2" noWrap title={item.label}>
+                            {item.label}
+                          </Typography>
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            label={item.status === 'pending' ? t('batch.pending') : formatJobStatusLabel(item.status, t)}
+                            color={jobStatusColor[item.status] ?? 'default'}
+                          />
+                        </Stack>
+                      }
+                      secondary={
+                        item.totalFields > 0
+                          ? t('fieldCounts.summaryOfTotal', {
+                              filled: item.filledFields,
+                              skipped: item.skippedFields,
+                              errors: item.errorFields,
+                              total: item.totalFields,
+                            })
+                          : item.message || null
+                      }
+                    />
+                    {item.filledFormUrl && (
+                      <Tooltip title={t('jobDetail.openFilled')}>
+                        <IconButton size="small" component={MuiLink} href={item.filledFormUrl} target="_blank" rel="noreferrer">
+                          <LaunchIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    <Tooltip title={isExpanded ? t('batch.hideFields') : t('batch.showFields')}>
+                      <span>
+                        <IconButton
+                          size="small"
+                          disabled={item.fields.length === 0}
+                          onClick={() => setExpandedId(isExpanded ? '' : item.id)}
+                        >
+                          {isExpanded ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title={t('batch.remove')}>
+                      <span>
+                        <IconButton size="small" disabled={isRunning} onClick={() => removeItem(item.id)}>
+                          <DeleteOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </Stack>
+
+                  {isRunning && (
+                    <LinearProgress
+                      variant={item.totalFields > 0 ? 'determinate' : 'indeterminate'}
+                      value={batchItemPercent(item)}
+                      sx={{ mt: 1 }}
+                    />
+                  )}
+                  {item.error && (
+                    <Alert severity="error" sx={{ mt: 1 }}>
+                      {item.error}
+                    </Alert>
+                  )}
+
+                  <Collapse in={isExpanded} unmountOnExit>
+                    <Stack spacing={0.75} sx={{ mt: 1, pl: 1 }}>
+                      {item.fields.map((field) => (
+                        <Stack key={field.fieldName} direction="row" spacing={1} alignItems="center">
+                          <Chip size="small" label={formatFieldStatusLabel(field.status, t)} color={fieldStatusColor(field.status)} />
+                          <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+                            {field.fieldName}
+                            {field.value ? ` — ${field.value}` : ''}
+                            {field.reason ? ` (${field.reason})` : ''}
+                          </Typography>
+                        </Stack>
+                      ))}
+                    </Stack>
+                  </Collapse>
+                </ListItem>
+              )
+            })}
+          </List>
+        </Paper>
+      )}
+
+      {bundleError && <Alert severity="error">{bundleError}</Alert>}
+      {!documentsReady && items.length > 0 && (
+        <Alert severity="info">{t('batch.documentsNotReady')}</Alert>
+      )}
+
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1}>
+        <Button
+          variant="contained"
+          startIcon={<PlaylistPlayIcon />}
+          disabled={running || !documentsReady || items.every((item) => item.status === 'complete')}
+          onClick={handleRunBatch}
+        >
+          {running ? t('batch.running') : t('batch.run')}
+        </Button>
+        {running && (
+          <Button color="warning" startIcon={<StopCircleOutlinedIcon />} onClick={stopBatch}>
+            {t('batch.stop')}
+          </Button>
+        )}
+        <Button
+          variant="outlined"
+          startIcon={<DownloadIcon />}
+          disabled={bundling || completedItems.length === 0}
+          onClick={handleDownloadAll}
+        >
+          {bundling
+            ? t('batch.bundling')
+            : completedItems.length > 0
+              ? t('batch.downloadAllCount', { count: completedItems.length })
+              : t('batch.downloadAll')}
+        </Button>
+      </Stack>
+    </Stack>
+  )
+}
+
+export default BatchQueue
@@ -0,0 +1,97 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react'
+import { Box, Stack, Typography } from '@mui/material'
+import { alpha } from '@mui/material/styles'
+import CloudUploadIcon from '@mui/icons-material/CloudUpload'
+import { useI18n } from '../lib/i18n'
+
+const hasFiles = (transfer) => Array.from(transfer?.types ?? []).includes('Files')
+
+// A pasted image belongs to whatever field has focus, not to the document list.
+const isEditableTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || Boolean(target.closest('input, textarea, select')))
+
+function DocumentDropZone({ onDrop, onPaste, children }) {
+  const { t } = useI18n()
+  const [dragging, setDragging] = useState(false)
+  // dragenter/dragleave fire for every child element, so count the nesting
+  // instead of toggling on each event.
+  const dragDepth = useRef(0)
+
+  const handleDragEnter = (event) => {
+    if (!hasFiles(event.dataTransfer)) return
+    event.preventDefault()
+    dragDepth.current += 1
+    setDragging(true)
+  }
+
+  const handleDragOver = (event) => {
+    if (!hasFiles(event.dataTransfer)) return
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'copy'
+  }
+
+  const handleDragLeave = (event) => {
+    if (!hasFiles(event.dataTransfer)) return
+    dragDepth.current = Math.max(0, dragDepth.current - 1)
+    if (dragDepth.current === 0) setDragging(false)
+  }
+
+  const handleDrop = (event) => {
+    if (!hasFiles(event.dataTransfer)) return
+    event.preventDefault()
+    dragDepth.current = 0
+    setDragging(false)
+    onDrop(event.dataTransfer)
+  }
+
+  // Pastes are picked up page-wide, but only while the drop zone (and so the
+  // document list it adds to) is on screen.
+  const handlePaste = useEffectEvent((event) => {
+    if (!hasFiles(event.clipboardData) || isEditableTarget(event.target)) return
+    event.preventDefault()
+    onPaste(event.clipboardData)
+  })
+
+  useEffect(() => {
+    const listener = (event) => handlePaste(event)
+    window.addEventListener('paste', listener)
+    return () => {
+      window.removeEventListener('paste', listener)
+    }
+  }, [])
+
+  return (
+    <Box
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      sx={{ position: 'relative' }}
+    >
+      {children}
+      {dragging && (
+        <Stack
+          alignItems="center"
+          justifyContent="center"
+          spacing={1}
+          sx={{
+            position: 'absolute',
+            inset: 0,
+            minHeight: 120,
+            border: 2,
+            borderStyle: 'dashed',
+            borderColor: 'primary.main',
+            borderRadius: 1,
+            bgcolor: (theme) => alpha(theme.palette.primary.main, 0.08),
+            pointerEvents: 'none',
+          }}
+        >
+          <CloudUploadIcon color="primary" fontSize="large" />
+          <Typography color="primary">{t('documents.dropHere')}</Typography>
+        </Stack>
+      )}
+    </Box>
+  )
+}
+
+export default DocumentDropZone
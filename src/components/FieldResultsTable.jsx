@@ -0,0 +1,245 @@
+import { useMemo, useState } from 'react'
+import {
+  Chip,
+  InputAdornment,
+  Link as MuiLink,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  TableSortLabel,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import SearchIcon from '@mui/icons-material/Search'
+import { fieldSourceColor, fieldStatusColor, formatFieldSourceLabel, formatFieldStatusLabel } from '../lib/fieldStatus'
+import { useI18n } from '../lib/i18n'
+
+const STATUS_FILTERS = ['filled', 'skipped', 'error']
+const ROWS_PER_PAGE_OPTIONS = [25, 50, 100]
+
+const COLUMNS = [
+  { id: 'order', width: 56 },
+  { id: 'fieldName', labelKey: 'fieldColumns.field' },
+  { id: 'status', labelKey: 'fieldColumns.status', width: 140 },
+  { id: 'value', labelKey: 'fieldColumns.value' },
+  { id: 'source', labelKey: 'fieldColumns.source', width: 180 },
+]
+
+const compareRows = (orderBy, locale) => (a, b) => {
+  if (orderBy === 'order') return a.order - b.order
+  const compared = String(a.field[orderBy] ?? '').localeCompare(String(b.field[orderBy] ?? ''), locale, {
+    numeric: true,
+    sensitivity: 'base',
+  })
+  return compared || a.order - b.order
+}
+
+function FieldResultsTable({ fields, onOpenProvenance }) {
+  const { locale, t, formatNumber } = useI18n()
+  const [query, setQuery] = useState('')
+  const [statusFilter, setStatusFilter] = useState([])
+  const [orderBy, setOrderBy] = useState('order')
+  const [direction, setDirection] = useState('asc')
+  const [page, setPage] = useState(0)
+  const [rowsPerPage, setRowsPerPage] = useState(ROWS_PER_PAGE_OPTIONS[0])
+
+  const rows = useMemo(
+    () => fields.filter((field) => field?.fieldName).map((field, index) => ({ field, order: index + 1 })),
+    [fields],
+  )
+
+  const statusCounts = useMemo(() => {
+    const counts = {}
+    rows.forEach(({ field }) => {
+      counts[field.status] = (counts[field.status] ?? 0) + 1
+    })
+    return counts
+  }, [rows])
+
+  const visibleRows = useMemo(() => {
+    const needle = query.trim().toLowerCase()
+    const filtered = rows.filter(({ field }) => {
+      if (statusFilter.length > 0 && !statusFilter.includes(field.status)) return false
+      if (!needle) return true
+      return (
+        field.fieldName.toLowerCase().includes(needle) ||
+        String(field.value ?? '').toLowerCase().includes(needle) ||
+        String(field.provenance?.documentName ?? '').toLowerCase().includes(needle)
+      )
+    })
+    const sorted = filtered.sort(compareRows(orderBy, locale))
+    return direction === 'desc' ? sorted.reverse() : sorted
+  }, [direction, locale, orderBy, query, rows, statusFilter])
+
+  const formatProvenance = (provenance) =>
+    t('fieldResults.provenance', {
+      name: provenance.documentName || provenance.documentSlug,
+      page: formatNumber(provenance.page ?? 1),
+    })
+
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / rowsPerPage))
+  const currentPage = Math.min(page, pageCount - 1)
+  const pageRows = visibleRows.slice(currentPage * rowsPerPage, (currentPage + 1) * rowsPerPage)
+
+  const handleSort = (columnId) => {
+    if (orderBy === columnId) {
+      setDirection((prev) => (prev === 'asc' ? 'desc' : 'asc'))
+    } else {
+      setOrderBy(columnId)
+      setDirection('asc')
+    }
+  }
+
+  const toggleStatus = (status) => {
+    setStatusFilter((prev) => (prev.includes(status) ? prev.filter((item) => item !== status) : [...prev, status]))
+    setPage(0)
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} justifyContent="space-between" alignItems={{ xs: 'stretch', sm: 'center' }}>
+          <Typography variant="subtitle2">{t('fieldResults.title', { count: rows.length })}</Typography>
+          <TextField
+            size="small"
+            placeholder={t('fieldResults.search')}
+            value={query}
+            onChange={(event) => {
+              setQuery(event.target.value)
+              setPage(0)
+            }}
+            slotProps={{
+              input: {
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon fontSize="small" />
+                  </InputAdornment>
+                ),
+              },
+            }}
+          />
+        </Stack>
+
+        <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+          {STATUS_FILTERS.map((status) => {
+            const selected = statusFilter.includes(status)
+            return (
+              <Chip
+                key={status}
+                size="small"
+                label={`${formatFieldStatusLabel(status, t)} (${formatNumber(statusCounts[status] ?? 0)})`}
+                color={fieldStatusColor(status)}
+                variant={selected ? 'filled' : 'outlined'}
+                onClick={() => toggleStatus(status)}
+              />
+            )
+          })}
+        </Stack>
+
+        <TableContainer sx={{ maxHeight: 520 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                {COLUMNS.map((column) => (
+                  <TableCell key={column.id} sx={{ width: column.width }} sortDirection={orderBy === column.id ? direction : false}>
+                    <TableSortLabel
+                      active={orderBy === column.id}
+                      direction={orderBy === column.id ? direction : 'asc'}
+                      onClick={() => handleSort(column.id)}
+                    >
+                      {column.labelKey ? t(column.labelKey) : '#'}
+                    </TableSortLabel>
+                  </TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {pageRows.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={COLUMNS.length}>
+                    <Typography variant="body2" color="text.secondary" textAlign="center">
+                      {rows.length === 0 ? t('fieldResults.empty') : t('fieldResults.noMatch')}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ) : (
+                pageRows.map(({ field, order }) => (
+                  <TableRow key={field.fieldName} hover>
+                    <TableCell>
+                      <Typography variant="body2" color="text.secondary">
+                        {order}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={600} sx={{ wordBreak: 'break-word' }}>
+                        {field.fieldName}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip size="small" label={formatFieldStatusLabel(field.status, t)} color={fieldStatusColor(field.status)} />
+                    </TableCell>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+                        {String(field.value ?? '')}
+                      </Typography>
+                      {field.reason && (field.status === 'skipped' || field.status === 'error') && (
+                        <Typography variant="caption" color={field.status === 'error' ? 'error.main' : 'text.secondary'}>
+                          {field.reason}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {field.source && (
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          label={formatFieldSourceLabel(field.source, t)}
+                          color={fieldSourceColor(field.source)}
+                        />
+                      )}
+                      {field.provenance && (
+                        <Tooltip title={field.provenance.snippet ?? ''}>
+                          <Typography variant="caption" component="div" sx={{ mt: 0.5, wordBreak: 'break-word' }}>
+                            {onOpenProvenance ? (
+                              <MuiLink component="button" type="button" onClick={() => onOpenProvenance(field)}>
+                                {formatProvenance(field.provenance)}
+                              </MuiLink>
+                            ) : (
+                              formatProvenance(field.provenance)
+                            )}
+                          </Typography>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <TablePagination
+          component="div"
+          count={visibleRows.length}
+          page={currentPage}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={ROWS_PER_PAGE_OPTIONS}
+          onPageChange={(_event, nextPage) => setPage(nextPage)}
+          onRowsPerPageChange={(event) => {
+            setRowsPerPage(Number(event.target.value))
+            setPage(0)
+          }}
+        />
+      </Stack>
+    </Paper>
+  )
+}
+
+export default FieldResultsTable
@@ -0,0 +1,160 @@
+import { useMemo, useState } from 'react'
+import {
+  Alert,
+  Button,
+  Chip,
+  IconButton,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import BackspaceOutlinedIcon from '@mui/icons-material/BackspaceOutlined'
+import SaveOutlinedIcon from '@mui/icons-material/SaveOutlined'
+import UndoOutlinedIcon from '@mui/icons-material/UndoOutlined'
+import { fieldStatusColor, formatFieldStatusLabel } from '../lib/fieldStatus'
+import { useI18n } from '../lib/i18n'
+
+function FieldReviewTable({ fields, onSubmit, submitting = false, error = '' }) {
+  const { t } = useI18n()
+  const [edits, setEdits] = useState({})
+
+  const rows = useMemo(() => fields.filter((field) => field?.fieldName), [fields])
+  const corrections = useMemo(
+    () =>
+      rows
+        .filter((field) => field.fieldName in edits && edits[field.fieldName] !== String(field.value ?? ''))
+        .map((field) => ({ fieldName: field.fieldName, value: edits[field.fieldName] })),
+    [edits, rows],
+  )
+  const editedNames = new Set(corrections.map((correction) => correction.fieldName))
+
+  const setDraft = (fieldName, value) => {
+    setEdits((prev) => ({ ...prev, [fieldName]: value }))
+  }
+
+  const revertDraft = (fieldName) => {
+    setEdits((prev) => {
+      const next = { ...prev }
+      delete next[fieldName]
+      return next
+    })
+  }
+
+  const handleSubmit = async () => {
+    if (corrections.length === 0 || submitting) return
+    const applied = await onSubmit(corrections)
+    if (applied) {
+      setEdits({})
+    }
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} justifyContent="space-between" alignItems={{ xs: 'flex-start', sm: 'center' }}>
+          <Stack spacing={0.5}>
+            <Typography variant="subtitle2">{t('fieldReview.title')}</Typography>
+            <Typography variant="caption" color="text.secondary">
+              {t('fieldReview.helper')}
+            </Typography>
+          </Stack>
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Button size="small" startIcon={<UndoOutlinedIcon />} disabled={corrections.length === 0 || submitting} onClick={() => setEdits({})}>
+              {t('fieldReview.discard')}
+            </Button>
+            <Button
+              size="small"
+              variant="contained"
+              startIcon={<SaveOutlinedIcon />}
+              disabled={corrections.length === 0 || submitting}
+              onClick={handleSubmit}
+            >
+              {submitting
+                ? t('fieldReview.regenerating')
+                : corrections.length > 0
+                  ? t('fieldReview.applyCount', { count: corrections.length })
+                  : t('fieldReview.apply')}
+            </Button>
+          </Stack>
+        </Stack>
+
+        {error && <Alert severity="error">{error}</Alert>}
+
+        <TableContainer sx={{ maxHeight: 480 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t('fieldColumns.field')}</TableCell>
+                <TableCell>{t('fieldColumns.status')}</TableCell>
+                <TableCell sx={{ width: '45%' }}>{t('fieldColumns.value')}</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map((field) => {
+                const draft = field.fieldName in edits ? edits[field.fieldName] : String(field.value ?? '')
+                const isEdited = editedNames.has(field.fieldName)
+                return (
+                  <TableRow key={field.fieldName} hover selected={isEdited}>
+                    <TableCell>
+                      <Typography variant="body2" fontWeight={600} sx={{ wordBreak: 'break-word' }}>
+                        {field.fieldName}
+                      </Typography>
+                      {field.reason && (
+                        <Typography variant="caption" color="text.secondary">
+                          {field.reason}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Stack direction="row" spacing={0.5} flexWrap="wrap">
+                        <Chip size="small" label={formatFieldStatusLabel(field.status, t)} color={fieldStatusColor(field.status)} />
+                        {isEdited && <Chip size="small" label={t('fieldReview.edited')} variant="outlined" color="primary" />}
+                      </Stack>
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        fullWidth
+                        value={draft}
+                        disabled={submitting}
+                        placeholder={field.status === 'skipped' ? t('fieldReview.enterValue') : ''}
+                        onChange={(event) => setDraft(field.fieldName, event.target.value)}
+                      />
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title={t('fieldReview.clear')}>
+                        <span>
+                          <IconButton size="small" disabled={submitting || draft === ''} onClick={() => setDraft(field.fieldName, '')}>
+                            <BackspaceOutlinedIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                      <Tooltip title={t('fieldReview.revert')}>
+                        <span>
+                          <IconButton size="small" disabled={submitting || !isEdited} onClick={() => revertDraft(field.fieldName)}>
+                            <UndoOutlinedIcon fontSize="small" />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                )
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Stack>
+    </Paper>
+  )
+}
+
+export default FieldReviewTable
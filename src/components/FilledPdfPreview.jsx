@@ -0,0 +1,163 @@
+import { useEffect, useEffectEvent, useMemo, useRef, useState } from 'react'
+import { Alert, Box, Chip, IconButton, LinearProgress, Paper, Stack, Tooltip, Typography } from '@mui/material'
+import { alpha } from '@mui/material/styles'
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft'
+import ChevronRightIcon from '@mui/icons-material/ChevronRight'
+import { extractFieldRects, loadPdfDocument } from '../lib/pdf'
+import { fieldStatusColor, formatFieldStatusLabel } from '../lib/fieldStatus'
+import { useI18n } from '../lib/i18n'
+
+const RENDER_SCALE = 1.5
+const LEGEND_STATUSES = ['filled', 'skipped', 'error']
+
+const overlayColor = (theme, status) => {
+  const color = fieldStatusColor(status)
+  return color === 'default' ? theme.palette.grey[500] : theme.palette[color].main
+}
+
+function FilledPdfPreview({ url, fieldStatuses }) {
+  const { t, errorMessage } = useI18n()
+  const canvasRef = useRef(null)
+  const [pdfDocument, setPdfDocument] = useState(null)
+  const [pageNumber, setPageNumber] = useState(1)
+  const [renderedPage, setRenderedPage] = useState(null)
+  const [error, setError] = useState('')
+
+  const reportError = useEffectEvent((failure, fallbackKey) => setError(errorMessage(failure, fallbackKey)))
+
+  useEffect(() => {
+    const loadingTask = loadPdfDocument(url)
+    loadingTask.promise
+      .then((loadedDocument) => setPdfDocument(loadedDocument))
+      .catch((loadError) => reportError(loadError, 'preview.loadFailed'))
+    return () => {
+      void loadingTask.destroy()
+    }
+  }, [url])
+
+  useEffect(() => {
+    if (!pdfDocument) return undefined
+
+    let cancelled = false
+    let renderTask = null
+
+    const renderPage = async () => {
+      const page = await pdfDocument.getPage(pageNumber)
+      if (cancelled) return
+      const viewport = page.getViewport({ scale: RENDER_SCALE })
+      const canvas = canvasRef.current
+      canvas.width = Math.floor(viewport.width)
+      canvas.height = Math.floor(viewport.height)
+      renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport })
+      const [annotations] = await Promise.all([page.getAnnotations({ intent: 'display' }), renderTask.promise])
+      if (cancelled) return
+      setRenderedPage({ pageNumber, fieldRects: extractFieldRects(annotations, viewport) })
+    }
+
+    renderPage().catch((renderError) => {
+      if (cancelled || renderError?.name === 'RenderingCancelledException') return
+      reportError(renderError, 'preview.renderFailed')
+    })
+
+    return () => {
+      cancelled = true
+      renderTask?.cancel()
+    }
+  }, [pdfDocument, pageNumber])
+
+  const statusByFieldName = useMemo(() => {
+    const lookup = new Map()
+    fieldStatuses.forEach((field) => {
+      if (field?.fieldName) lookup.set(field.fieldName, field)
+    })
+    return lookup
+  }, [fieldStatuses])
+
+  const pageCount = pdfDocument?.numPages ?? 0
+  const isRendering = !error && renderedPage?.pageNumber !== pageNumber
+  const overlays = renderedPage
+    ? renderedPage.fieldRects
+        .map((rect) => ({ ...rect, field: statusByFieldName.get(rect.fieldName) }))
+        .filter((rect) => rect.field)
+    : []
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Stack spacing={2}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} justifyContent="space-between" alignItems={{ xs: 'flex-start', sm: 'center' }}>
+          <Typography variant="subtitle2">{t('preview.title')}</Typography>
+          <Stack direction="row" spacing={1} alignItems="center">
+            {LEGEND_STATUSES.map((status) => (
+              <Chip key={status} size="small" variant="outlined" label={formatFieldStatusLabel(status, t)} color={fieldStatusColor(status)} />
+            ))}
+          </Stack>
+        </Stack>
+
+        {error ? (
+          <Alert severity="warning">{error}</Alert>
+        ) : (
+          <Box sx={{ position: 'relative', border: 1, borderColor: 'divider', bgcolor: 'common.white', lineHeight: 0 }}>
+            <canvas ref={canvasRef} style={{ width: '100%', height: 'auto', display: 'block' }} />
+            {!isRendering &&
+              overlays.map((rect) => (
+                <Tooltip
+                  key={rect.id}
+                  title={
+                    <Stack spacing={0.5}>
+                      <Typography variant="caption" fontWeight={600}>
+                        {rect.fieldName}
+                      </Typography>
+                      <Typography variant="caption">
+                        {formatFieldStatusLabel(rect.field.status, t)}
+                        {rect.field.value ? ` • ${rect.field.value}` : ''}
+                      </Typography>
+                      {rect.field.reason && <Typography variant="caption">{rect.field.reason}</Typography>}
+                    </Stack>
+                  }
+                >
+                  <Box
+                    sx={{
+                      position: 'absolute',
+                      left: `${rect.left}%`,
+                      top: `${rect.top}%`,
+                      width: `${rect.width}%`,
+                      height: `${rect.height}%`,
+                      border: 2,
+                      borderColor: (theme) => overlayColor(theme, rect.field.status),
+                      bgcolor: (theme) => alpha(overlayColor(theme, rect.field.status), 0.15),
+                      borderRadius: 0.5,
+                    }}
+                  />
+                </Tooltip>
+              ))}
+            {isRendering && <LinearProgress color="info" sx={{ position: 'absolute', top: 0, left: 0, right: 0 }} />}
+          </Box>
+        )}
+
+        {pageCount > 0 && (
+          <Stack direction="row" spacing={1} justifyContent="center" alignItems="center">
+            <IconButton
+              aria-label={t('preview.previousPage')}
+              disabled={pageNumber <= 1}
+              onClick={() => setPageNumber((prev) => Math.max(1, prev - 1))}
+            >
+              <ChevronLeftIcon />
+            </IconButton>
+            <Typography variant="body2" color="text.secondary">
+              {t('preview.page', { page: pageNumber, count: pageCount })}
+            </Typography>
+            <IconButton
+              aria-label={t('preview.nextPage')}
+              disabled={pageNumber >= pageCount}
+              onClick={() => setPageNumber((prev) => Math.min(pageCount, prev + 1))}
+            >
+              <ChevronRightIcon />
+            </IconButton>
+          </Stack>
+        )}
+      </Stack>
+    </Paper>
+  )
+}
+
+export default FilledPdfPreview
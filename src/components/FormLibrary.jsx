@@ -0,0 +1,282 @@
+import { useState } from 'react'
+import {
+  Alert,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  InputAdornment,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Stack,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import BookmarkAddOutlinedIcon from '@mui/icons-material/BookmarkAddOutlined'
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline'
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined'
+import HistoryIcon from '@mui/icons-material/History'
+import LibraryBooksOutlinedIcon from '@mui/icons-material/LibraryBooksOutlined'
+import SearchIcon from '@mui/icons-material/Search'
+import StarIcon from '@mui/icons-material/Star'
+import StarBorderIcon from '@mui/icons-material/StarBorder'
+import { parseTags, recentFormLibraryEntries, searchFormLibrary, sortFormLibrary } from '../lib/formLibrary'
+import { useI18n } from '../lib/i18n'
+import { isValidHttpUrl } from '../lib/url'
+
+function FormLibraryEntryDialog({ entry, onSave, onClose }) {
+  const { t, errorMessage } = useI18n()
+  const [name, setName] = useState(entry.name ?? '')
+  const [formUrl, setFormUrl] = useState(entry.formUrl ?? '')
+  const [description, setDescription] = useState(entry.description ?? '')
+  const [tags, setTags] = useState((entry.tags ?? []).join(', '))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const canSave = Boolean(name.trim()) && isValidHttpUrl(formUrl) && !saving
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!canSave) return
+    setSaving(true)
+    setError('')
+    try {
+      await onSave({ name: name.trim(), formUrl, description: description.trim(), tags: parseTags(tags) })
+      onClose()
+    } catch (saveError) {
+      setError(errorMessage(saveError, 'formLibrary.saveFailed'))
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open fullWidth maxWidth="sm" onClose={saving ? undefined : onClose}>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{entry.id ? t('formLibrary.editTitle') : t('formLibrary.saveTitle')}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <TextField label={t('formLibrary.name')} value={name} onChange={(event) => setName(event.target.value)} required autoFocus />
+            <TextField
+              label={t('targetForm.urlLabel')}
+              type="url"
+              value={formUrl}
+              onChange={(event) => setFormUrl(event.target.value)}
+              error={Boolean(formUrl) && !isValidHttpUrl(formUrl)}
+              required
+            />
+            <TextField
+              label={t('formLibrary.description')}
+              value={description}
+              onChange={(event) => setDescription(event.target.value)}
+              multiline
+              minRows={2}
+            />
+            <TextField
+              label={t('formLibrary.tags')}
+              helperText={t('formLibrary.tagsHelper')}
+              value={tags}
+              onChange={(event) => setTags(event.target.value)}
+            />
+            {error && <Alert severity="error">{error}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={saving}>
+            {t('formLibrary.cancel')}
+          </Button>
+          <Button type="submit" variant="contained" disabled={!canSave}>
+            {saving ? t('formLibrary.saving') : t('formLibrary.save')}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  )
+}
+
+function FormLibraryDialog({ entries, onChoose, onEdit, onTogglePinned, onDelete, onClose }) {
+  const { locale, t } = useI18n()
+  const [query, setQuery] = useState('')
+  const visibleEntries = searchFormLibrary(sortFormLibrary(entries, locale), query)
+
+  return (
+    <Dialog open fullWidth maxWidth="md" onClose={onClose}>
+      <DialogTitle>{t('formLibrary.title')}</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ pt: 1 }}>
+          <TextField
+            size="small"
+            placeholder={t('formLibrary.search')}
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            autoFocus
+            slotProps={{
+              input: {
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon fontSize="small" />
+                  </InputAdornment>
+                ),
+              },
+            }}
+          />
+          {visibleEntries.length === 0 ? (
+            <Typography color="text.secondary" textAlign="center" sx={{ py: 2 }}>
+              {entries.length === 0 ? t('formLibrary.empty') : t('formLibrary.noMatch')}
+            </Typography>
+          ) : (
+            <List disablePadding>
+              {visibleEntries.map((entry) => (
+                <ListItem
+                  key={entry.id}
+                  divider
+                  disablePadding
+                  secondaryAction={
+                    <Stack direction="row" spacing={0.5}>
+                      <Tooltip title={entry.pinned ? t('formLibrary.unpin') : t('formLibrary.pin')}>
+                        <IconButton onClick={() => onTogglePinned(entry)}>
+                          {entry.pinned ? <StarIcon color="warning" /> : <StarBorderIcon />}
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title={t('formLibrary.edit')}>
+                        <IconButton onClick={() => onEdit(entry)}>
+                          <EditOutlinedIcon />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title={t('formLibrary.delete')}>
+                        <IconButton edge="end" color="error" onClick={() => onDelete(entry)}>
+                          <DeleteOutlineIcon />
+                        </IconButton>
+                      </Tooltip>
+                    </Stack>
+                  }
+                >
+                  <ListItemButton onClick={() => onChoose(entry)} sx={{ pr: 18 }}>
+                    <ListItemText
+                      primary={entry.name}
+                      secondary={
+                        <Stack component="span" spacing={0.5}>
+                          {entry.description && <span>{entry.description}</span>}
+                          <Typography component="span" variant="caption" color="text.secondary" noWrap>
+                            {entry.formUrl}
+                          </Typography>
+                          {entry.tags.length > 0 && (
+                            <Stack component="span" direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                              {entry.tags.map((tag) => (
+                                <Chip
+                                  key={tag}
+                                  component="span"
+                                  size="small"
+                                  label={tag}
+                                  onClick={(event) => {
+                                    event.stopPropagation()
+                                    setQuery(tag)
+                                  }}
+                                />
+                              ))}
+                            </Stack>
+                          )}
+                        </Stack>
+                      }
+                    />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('formLibrary.close')}</Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+// Quick picks for pinned and recently used forms, plus the dialogs to browse
+// and edit the library. Choosing an entry is left to the parent, which fills
+// the target form input with it.
+function FormLibrary({ entries, currentFormUrl, error = '', onChoose, onSave, onTogglePinned, onDelete }) {
+  const { locale, t } = useI18n()
+  const [browsing, setBrowsing] = useState(false)
+  const [editing, setEditing] = useState(null)
+
+  const pinned = sortFormLibrary(entries.filter((entry) => entry.pinned), locale)
+  const recent = recentFormLibraryEntries(entries.filter((entry) => !entry.pinned))
+  const savedCurrent = entries.find((entry) => entry.formUrl === currentFormUrl)
+
+  const handleChoose = (entry) => {
+    setBrowsing(false)
+    onChoose(entry)
+  }
+
+  return (
+    <Stack spacing={1}>
+      <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+        <Button size="small" startIcon={<LibraryBooksOutlinedIcon />} onClick={() => setBrowsing(true)}>
+          {t('formLibrary.browse', { count: entries.length })}
+        </Button>
+        <Tooltip title={savedCurrent ? t('formLibrary.alreadySaved', { name: savedCurrent.name }) : ''}>
+          <span>
+            <Button
+              size="small"
+              startIcon={<BookmarkAddOutlinedIcon />}
+              disabled={!isValidHttpUrl(currentFormUrl) || Boolean(savedCurrent)}
+              onClick={() => setEditing({ formUrl: currentFormUrl })}
+            >
+              {t('formLibrary.saveCurrent')}
+            </Button>
+          </span>
+        </Tooltip>
+        {pinned.map((entry) => (
+          <Chip
+            key={entry.id}
+            size="small"
+            icon={<StarIcon />}
+            label={entry.name}
+            color={entry.formUrl === currentFormUrl ? 'primary' : 'default'}
+            onClick={() => handleChoose(entry)}
+          />
+        ))}
+        {recent.map((entry) => (
+          <Chip
+            key={entry.id}
+            size="small"
+            variant="outlined"
+            icon={<HistoryIcon />}
+            label={entry.name}
+            color={entry.formUrl === currentFormUrl ? 'primary' : 'default'}
+            onClick={() => handleChoose(entry)}
+          />
+        ))}
+      </Stack>
+      {error && <Alert severity="warning">{error}</Alert>}
+
+      {browsing && (
+        <FormLibraryDialog
+          entries={entries}
+          onChoose={handleChoose}
+          onEdit={setEditing}
+          onTogglePinned={onTogglePinned}
+          onDelete={onDelete}
+          onClose={() => setBrowsing(false)}
+        />
+      )}
+      {editing && (
+        <FormLibraryEntryDialog
+          key={editing.id ?? 'new'}
+          entry={editing}
+          onSave={(fields) => onSave(fields, editing.id)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </Stack>
+  )
+}
+
+export default FormLibrary
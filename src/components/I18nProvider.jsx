@@ -0,0 +1,49 @@
+import { useEffect, useMemo, useState } from 'react'
+import createCache from '@emotion/cache'
+import { CacheProvider } from '@emotion/react'
+import { createTheme, ThemeProvider } from '@mui/material/styles'
+import { deDE, enUS, esES, ukUA } from '@mui/material/locale'
+import rtlPlugin from 'stylis-plugin-rtl'
+import { createI18n, detectLocale, I18nContext, persistLocale } from '../lib/i18n'
+
+// Built-in MUI strings (pagination, autocomplete, ...) for each app locale.
+const MUI_LOCALES = { en: enUS, es: esES, uk: ukUA, de: deDE }
+
+// Right-to-left pages need every generated style mirrored, which is done at
+// the emotion level rather than per component.
+const styleCaches = {
+  ltr: createCache({ key: 'mui' }),
+  rtl: createCache({ key: 'mui-rtl', stylisPlugins: [rtlPlugin] }),
+}
+
+function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(detectLocale)
+
+  const i18n = useMemo(
+    () => ({
+      ...createI18n(locale),
+      setLocale: (next) => {
+        persistLocale(next)
+        setLocale(next)
+      },
+    }),
+    [locale],
+  )
+
+  const theme = useMemo(() => createTheme({ direction: i18n.dir }, MUI_LOCALES[i18n.locale] ?? enUS), [i18n.dir, i18n.locale])
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.locale
+    document.documentElement.dir = i18n.dir
+  }, [i18n.dir, i18n.locale])
+
+  return (
+    <I18nContext value={i18n}>
+      <CacheProvider value={styleCaches[i18n.dir]}>
+        <ThemeProvider theme={theme}>{children}</ThemeProvider>
+      </CacheProvider>
+    </I18nContext>
+  )
+}
+
+export default I18nProvider
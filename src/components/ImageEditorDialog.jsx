@@ -0,0 +1,230 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react'
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  LinearProgress,
+  Slider,
+  Stack,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import CropFreeIcon from '@mui/icons-material/CropFree'
+import RotateLeftIcon from '@mui/icons-material/RotateLeft'
+import RotateRightIcon from '@mui/icons-material/RotateRight'
+import { useI18n } from '../lib/i18n'
+import { compressCanvas, FULL_CROP, isHeicFile, loadEditableImage, renderImage, toJpegFile } from '../lib/imageProcessing'
+
+const PREVIEW_DIMENSION = 900
+const MIN_CROP_FRACTION = 0.02
+const STRAIGHTEN_LIMIT = 15
+
+const clamp = (value) => Math.min(1, Math.max(0, value))
+
+const pointerFraction = (event, element) => {
+  const bounds = element.getBoundingClientRect()
+  return {
+    x: clamp((event.clientX - bounds.left) / bounds.width),
+    y: clamp((event.clientY - bounds.top) / bounds.height),
+  }
+}
+
+const isFullCrop = (crop) => crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1
+
+function ImageEditorDialog({ file, onConfirm, onUseOriginal, onDiscard }) {
+  const { t, errorMessage, formatBytes, formatNumber } = useI18n()
+  const canvasRef = useRef(null)
+  const cropStart = useRef(null)
+  const [image, setImage] = useState(null)
+  const [loadError, setLoadError] = useState('')
+  const [quarterTurns, setQuarterTurns] = useState(0)
+  const [straighten, setStraighten] = useState(0)
+  const [crop, setCrop] = useState(FULL_CROP)
+  const [processing, setProcessing] = useState(false)
+  const [processError, setProcessError] = useState('')
+
+  // The backend does not accept HEIC, so these can only be uploaded converted.
+  const canUseOriginal = !isHeicFile(file)
+
+  const reportLoadError = useEffectEvent((error) => setLoadError(errorMessage(error, 'imageEditor.loadFailed')))
+
+  useEffect(() => {
+    let cancelled = false
+    let loadedImage = null
+    loadEditableImage(file)
+      .then((decoded) => {
+        loadedImage = decoded
+        if (cancelled) {
+          decoded.close?.()
+        } else {
+          setImage(decoded)
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) reportLoadError(error)
+      })
+    return () => {
+      cancelled = true
+      loadedImage?.close?.()
+    }
+  }, [file])
+
+  const rotation = quarterTurns * 90 + straighten
+
+  useEffect(() => {
+    if (!image || !canvasRef.current) return
+    const preview = renderImage(image, { rotation, maxDimension: PREVIEW_DIMENSION })
+    const canvas = canvasRef.current
+    canvas.width = preview.width
+    canvas.height = preview.height
+    canvas.getContext('2d').drawImage(preview, 0, 0)
+  }, [image, rotation])
+
+  const rotateBy = (turns) => {
+    setQuarterTurns((prev) => (prev + turns + 4) % 4)
+    setCrop(FULL_CROP)
+  }
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId)
+    cropStart.current = pointerFraction(event, event.currentTarget)
+  }
+
+  const handlePointerMove = (event) => {
+    const start = cropStart.current
+    if (!start) return
+    const point = pointerFraction(event, event.currentTarget)
+    setCrop({
+      x: Math.min(start.x, point.x),
+      y: Math.min(start.y, point.y),
+      width: Math.abs(point.x - start.x),
+      height: Math.abs(point.y - start.y),
+    })
+  }
+
+  const handlePointerUp = () => {
+    cropStart.current = null
+    setCrop((prev) => (prev.width < MIN_CROP_FRACTION || prev.height < MIN_CROP_FRACTION ? FULL_CROP : prev))
+  }
+
+  const handleConfirm = async () => {
+    setProcessing(true)
+    setProcessError('')
+    try {
+      const blob = await compressCanvas(renderImage(image, { rotation, crop }))
+      onConfirm(toJpegFile(blob, file.name))
+    } catch (error) {
+      setProcessError(errorMessage(error, 'imageEditor.processFailed'))
+      setProcessing(false)
+    }
+  }
+
+  return (
+    <Dialog open fullWidth maxWidth="md" onClose={processing ? undefined : onDiscard}>
+      <DialogTitle>{t('imageEditor.title')}</DialogTitle>
+      <DialogContent dividers>
+        <Stack spacing={2}>
+          <Typography variant="body2" color="text.secondary">
+            {t('imageEditor.intro', { name: file.name, size: formatBytes(file.size) })}
+          </Typography>
+
+          {loadError ? (
+            <Alert severity="warning">
+              {loadError} {canUseOriginal ? t('imageEditor.useOriginalHint') : t('imageEditor.heicConvertHint')}
+            </Alert>
+          ) : !image ? (
+            <LinearProgress />
+          ) : (
+            <>
+              <Box sx={{ display: 'flex', justifyContent: 'center', bgcolor: 'grey.100', p: 1 }}>
+                <Box
+                  sx={{ position: 'relative', lineHeight: 0, cursor: 'crosshair', touchAction: 'none', userSelect: 'none' }}
+                  onPointerDown={handlePointerDown}
+                  onPointerMove={handlePointerMove}
+                  onPointerUp={handlePointerUp}
+                  onPointerCancel={handlePointerUp}
+                >
+                  <canvas ref={canvasRef} style={{ maxWidth: '100%', maxHeight: '60vh', display: 'block' }} />
+                  {!isFullCrop(crop) && (
+                    <Box
+                      sx={{
+                        position: 'absolute',
+                        left: `${crop.x * 100}%`,
+                        top: `${crop.y * 100}%`,
+                        width: `${crop.width * 100}%`,
+                        height: `${crop.height * 100}%`,
+                        border: 2,
+                        borderColor: 'primary.main',
+                        boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.45)',
+                        pointerEvents: 'none',
+                      }}
+                    />
+                  )}
+                </Box>
+              </Box>
+
+              <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ xs: 'stretch', sm: 'center' }}>
+                <Stack direction="row" spacing={1}>
+                  <Tooltip title={t('imageEditor.rotateLeft')}>
+                    <IconButton disabled={processing} onClick={() => rotateBy(-1)}>
+                      <RotateLeftIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('imageEditor.rotateRight')}>
+                    <IconButton disabled={processing} onClick={() => rotateBy(1)}>
+                      <RotateRightIcon />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title={t('imageEditor.resetCrop')}>
+                    <span>
+                      <IconButton disabled={processing || isFullCrop(crop)} onClick={() => setCrop(FULL_CROP)}>
+                        <CropFreeIcon />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </Stack>
+                <Stack spacing={0} sx={{ flex: 1, px: 1 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    {t('imageEditor.straighten', { degrees: formatNumber(straighten) })}
+                  </Typography>
+                  <Slider
+                    size="small"
+                    min={-STRAIGHTEN_LIMIT}
+                    max={STRAIGHTEN_LIMIT}
+                    step={0.5}
+                    value={straighten}
+                    disabled={processing}
+                    onChange={(_event, value) => {
+                      setStraighten(value)
+                      setCrop(FULL_CROP)
+                    }}
+                  />
+                </Stack>
+              </Stack>
+            </>
+          )}
+
+          {processError && <Alert severity="error">{processError}</Alert>}
+        </Stack>
+      </DialogContent>
+      <DialogActions>
+        <Button color="inherit" disabled={processing} onClick={onDiscard}>
+          {t('imageEditor.discard')}
+        </Button>
+        <Button disabled={processing || !canUseOriginal} onClick={onUseOriginal}>
+          {t('imageEditor.uploadOriginal')}
+        </Button>
+        <Button variant="contained" disabled={processing || !image} onClick={handleConfirm}>
+          {processing ? t('imageEditor.processing') : t('imageEditor.upload')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  )
+}
+
+export default ImageEditorDialog
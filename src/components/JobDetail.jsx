@@ -0,0 +1,185 @@
+import { lazy, Suspense, useMemo, useState } from 'react'
+import { Link as RouterLink } from 'react-router'
+import { Alert, Button, Chip, LinearProgress, Link as MuiLink, Stack, Typography } from '@mui/material'
+import ArrowBackIcon from '@mui/icons-material/ArrowBack'
+import DownloadIcon from '@mui/icons-material/Download'
+import CancelOutlinedIcon from '@mui/icons-material/CancelOutlined'
+import RestartAltIcon from '@mui/icons-material/RestartAlt'
+import FieldResultsTable from './FieldResultsTable'
+import FieldReviewTable from './FieldReviewTable'
+import { saveBlob } from '../lib/download'
+import { FIELD_EXPORT_FORMATS } from '../lib/fieldExport'
+import { useI18n } from '../lib/i18n'
+import { formatJobStatusLabel, isRunningJobStatus, isTerminalJobStatus, jobStatusColor } from '../lib/jobStatus'
+
+const FilledPdfPreview = lazy(() => import('./FilledPdfPreview'))
+const SourceDocumentViewer = lazy(() => import('./SourceDocumentViewer'))
+
+function JobDetail({
+  job,
+  documents = [],
+  actionPending,
+  correctionsSubmitting,
+  correctionsError,
+  onCancel,
+  onRetryFields,
+  onSubmitCorrections,
+}) {
+  const { t } = useI18n()
+  const { jobId, status, message, error, filledFormUrl, completedAt, fieldProgress, fieldStatuses, formReference } = job
+  const [sourceField, setSourceField] = useState(null)
+
+  const fieldProgressSummary = useMemo(() => {
+    const completed = Math.min(
+      fieldProgress.total,
+      fieldProgress.filled + fieldProgress.skipped + fieldProgress.errors,
+    )
+    const percent = fieldProgress.total > 0 ? Math.round((completed / fieldProgress.total) * 100) : 0
+    return { completed, percent }
+  }, [fieldProgress])
+
+  const retryableFieldCounts = useMemo(
+    () => ({
+      error: fieldStatuses.filter((field) => field.status === 'error').length,
+      skipped: fieldStatuses.filter((field) => field.status === 'skipped').length,
+    }),
+    [fieldStatuses],
+  )
+
+  const handleExport = (format) => {
+    const content = format.build({ jobId, formReference, completedAt, fields: fieldStatuses })
+    saveBlob(new Blob([content], { type: format.type }), `form-fill-${jobId}.${format.id}`)
+  }
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} justifyContent="space-between" alignItems={{ xs: 'flex-start', sm: 'center' }}>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <Button component={RouterLink} to="/jobs" size="small" startIcon={<ArrowBackIcon />}>
+            {t('jobDetail.allJobs')}
+          </Button>
+          <Typography variant="h6">{t('jobDetail.title')}</Typography>
+        </Stack>
+        <Stack direction="row" spacing={1} alignItems="center">
+          {isRunningJobStatus(status) && (
+            <Button
+              variant="outlined"
+              color="warning"
+              startIcon={<CancelOutlinedIcon />}
+              disabled={Boolean(actionPending)}
+              onClick={onCancel}
+            >
+              {actionPending === 'cancel' ? t('jobDetail.cancelling') : t('jobDetail.cancel')}
+            </Button>
+          )}
+          <Chip label={formatJobStatusLabel(status, t)} color={jobStatusColor[status] ?? 'default'} />
+        </Stack>
+      </Stack>
+
+      <Typography variant="caption" color="text.secondary">
+        {t('jobDetail.jobId', { jobId })}
+      </Typography>
+
+      {isTerminalJobStatus(status) && (retryableFieldCounts.error > 0 || retryableFieldCounts.skipped > 0) && (
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1}>
+          <Button
+            size="small"
+            variant="outlined"
+            color="error"
+            startIcon={<RestartAltIcon />}
+            disabled={retryableFieldCounts.error === 0 || Boolean(actionPending) || correctionsSubmitting}
+            onClick={() => onRetryFields('error')}
+          >
+            {t('jobDetail.retryFailed', { count: retryableFieldCounts.error })}
+          </Button>
+          <Button
+            size="small"
+            variant="outlined"
+            color="warning"
+            startIcon={<RestartAltIcon />}
+            disabled={retryableFieldCounts.skipped === 0 || Boolean(actionPending) || correctionsSubmitting}
+            onClick={() => onRetryFields('skipped')}
+          >
+            {t('jobDetail.retrySkipped', { count: retryableFieldCounts.skipped })}
+          </Button>
+        </Stack>
+      )}
+
+      {isRunningJobStatus(status) && <LinearProgress color="info" />}
+
+      {fieldProgress.total > 0 && (
+        <Stack spacing={1}>
+          <Stack direction="row" justifyContent="space-between" alignItems="center">
+            <Typography variant="body2" color="text.secondary">
+              {t('jobDetail.fieldsProcessed', { completed: fieldProgressSummary.completed, total: fieldProgress.total })}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {t('fieldCounts.summary', {
+                filled: fieldProgress.filled,
+                skipped: fieldProgress.skipped,
+                errors: fieldProgress.errors,
+              })}
+            </Typography>
+          </Stack>
+          <LinearProgress variant="determinate" value={fieldProgressSummary.percent} color="info" />
+        </Stack>
+      )}
+
+      {isTerminalJobStatus(status) && fieldStatuses.length > 0 && (
+        <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap" useFlexGap>
+          <Typography variant="body2" color="text.secondary">
+            {t('jobDetail.export')}
+          </Typography>
+          {FIELD_EXPORT_FORMATS.map((format) => (
+            <Button key={format.id} size="small" variant="outlined" startIcon={<DownloadIcon />} onClick={() => handleExport(format)}>
+              {format.label}
+            </Button>
+          ))}
+        </Stack>
+      )}
+
+      {fieldStatuses.length > 0 && <FieldResultsTable key={jobId} fields={fieldStatuses} onOpenProvenance={setSourceField} />}
+
+      {sourceField && (
+        <Suspense fallback={null}>
+          <SourceDocumentViewer
+            key={`${sourceField.fieldName}:${sourceField.provenance.documentSlug}`}
+            field={sourceField}
+            documentUrl={documents.find((document) => document.slug === sourceField.provenance.documentSlug)?.s3Url ?? ''}
+            onClose={() => setSourceField(null)}
+          />
+        </Suspense>
+      )}
+
+      {error && <Alert severity="error">{error}</Alert>}
+      {message && status !== 'error' && <Alert severity="info">{message}</Alert>}
+
+      {filledFormUrl && status === 'complete' && (
+        <Alert severity="success">
+          {t('jobDetail.filledReady')}{' '}
+          <MuiLink href={filledFormUrl} target="_blank" rel="noopener" underline="hover">
+            {t('jobDetail.openFilled')}
+          </MuiLink>
+        </Alert>
+      )}
+
+      {filledFormUrl && status === 'complete' && (
+        <Suspense fallback={<LinearProgress color="info" />}>
+          <FilledPdfPreview key={filledFormUrl} url={filledFormUrl} fieldStatuses={fieldStatuses} />
+        </Suspense>
+      )}
+
+      {status === 'complete' && fieldStatuses.length > 0 && (
+        <FieldReviewTable
+          key={jobId}
+          fields={fieldStatuses}
+          onSubmit={onSubmitCorrections}
+          submitting={correctionsSubmitting}
+          error={correctionsError}
+        />
+      )}
+    </Stack>
+  )
+}
+
+export default JobDetail
@@ -0,0 +1,93 @@
+import {
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Paper,
+  Stack,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline'
+import HistoryIcon from '@mui/icons-material/History'
+import { useI18n } from '../lib/i18n'
+import { formatJobStatusLabel, jobStatusColor } from '../lib/jobStatus'
+
+function JobHistoryPanel({ entries, activeJobId, onOpen, onRemove, disabled = false }) {
+  const { t, formatDate } = useI18n()
+
+  const describeForm = (entry) => entry.formName || entry.formUrl || entry.formId || t('history.unknownForm')
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <HistoryIcon color="action" />
+        <Typography variant="h6">{t('history.title')}</Typography>
+      </Stack>
+
+      {entries.length === 0 ? (
+        <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
+          <Typography color="text.secondary">{t('history.empty')}</Typography>
+        </Paper>
+      ) : (
+        <Paper variant="outlined" sx={{ maxHeight: 360, overflowY: 'auto' }}>
+          <List disablePadding>
+            {entries.map((entry) => (
+              <ListItem
+                key={entry.jobId}
+                divider
+                selected={entry.jobId === activeJobId}
+                secondaryAction={
+                  <Stack direction="row" spacing={1} alignItems="center">
+                    <Button size="small" disabled={disabled} onClick={() => onOpen(entry)}>
+                      {t('history.open')}
+                    </Button>
+                    <Tooltip title={t('history.remove')}>
+                      <span>
+                        <IconButton edge="end" size="small" disabled={entry.jobId === activeJobId} onClick={() => onRemove(entry)}>
+                          <DeleteOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </Stack>
+                }
+                sx={{ pr: 18 }}
+              >
+                <ListItemText
+                  primary={
+                    <Stack direction="row" spacing={1} alignItems="center" sx={{ minWidth: 0 }}>
+                      <Typography variant="subtitle2" noWrap title={describeForm(entry)}>
+                        {describeForm(entry)}
+                      </Typography>
+                      <Chip
+                        size="small"
+                        label={formatJobStatusLabel(entry.status, t)}
+                        color={jobStatusColor[entry.status] ?? 'default'}
+                        variant="outlined"
+                      />
+                    </Stack>
+                  }
+                  secondary={
+                    <Typography variant="body2" color="text.secondary" component="span">
+                      {formatDate(entry.createdAt)}
+                      {entry.totalFields > 0 &&
+                        ` • ${t('fieldCounts.summary', {
+                          filled: entry.filledFields ?? 0,
+                          skipped: entry.skippedFields ?? 0,
+                          errors: entry.errorFields ?? 0,
+                        })}`}
+                    </Typography>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+    </Stack>
+  )
+}
+
+export default JobHistoryPanel
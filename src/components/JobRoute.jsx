@@ -0,0 +1,24 @@
+import { useEffect, useEffectEvent } from 'react'
+import { useParams } from 'react-router'
+import { LinearProgress } from '@mui/material'
+
+// Loads the job named in the URL into the shared job state, so deep links and
+// back/forward navigation between jobs show the right one.
+function JobRoute({ loadedJobId, onOpenJob, children }) {
+  const { jobId } = useParams()
+
+  const openJob = useEffectEvent((routeJobId) => {
+    onOpenJob(routeJobId)
+  })
+
+  useEffect(() => {
+    openJob(jobId)
+  }, [jobId])
+
+  if (loadedJobId !== jobId) {
+    return <LinearProgress color="info" />
+  }
+  return children
+}
+
+export default JobRoute
@@ -0,0 +1,35 @@
+import { InputAdornment, MenuItem, TextField } from '@mui/material'
+import TranslateIcon from '@mui/icons-material/Translate'
+import { LOCALES, useI18n } from '../lib/i18n'
+
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n()
+
+  return (
+    <TextField
+      select
+      size="small"
+      label={t('app.language')}
+      value={locale}
+      onChange={(event) => setLocale(event.target.value)}
+      slotProps={{
+        input: {
+          startAdornment: (
+            <InputAdornment position="start">
+              <TranslateIcon fontSize="small" />
+            </InputAdornment>
+          ),
+        },
+      }}
+      sx={{ minWidth: 160 }}
+    >
+      {LOCALES.map((option) => (
+        <MenuItem key={option.code} value={option.code} lang={option.code}>
+          {option.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,65 @@
+import { useState } from 'react'
+import { Alert, Button, FormControlLabel, IconButton, Popover, Stack, Switch, Tooltip, Typography } from '@mui/material'
+import NotificationsActiveOutlinedIcon from '@mui/icons-material/NotificationsActiveOutlined'
+import NotificationsOffOutlinedIcon from '@mui/icons-material/NotificationsOffOutlined'
+import { useI18n } from '../lib/i18n'
+import { notificationPermission, requestNotificationPermission } from '../lib/jobNotifications'
+
+const EVENT_SETTINGS = ['notifyOnComplete', 'notifyOnError', 'sound']
+
+function NotificationSettingsMenu({ settings, onChange }) {
+  const { t } = useI18n()
+  const [anchor, setAnchor] = useState(null)
+  const [permission, setPermission] = useState(notificationPermission)
+
+  const enabled = settings.notifyOnComplete || settings.notifyOnError || settings.sound
+
+  const askPermission = async () => {
+    setPermission(await requestNotificationPermission())
+  }
+
+  const handleToggle = (key, checked) => {
+    onChange({ ...settings, [key]: checked })
+    if (checked && key !== 'sound') void askPermission()
+  }
+
+  return (
+    <>
+      <Tooltip title={t('notifications.settings')}>
+        <IconButton size="small" onClick={(event) => setAnchor(event.currentTarget)}>
+          {enabled ? <NotificationsActiveOutlinedIcon fontSize="small" /> : <NotificationsOffOutlinedIcon fontSize="small" />}
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={Boolean(anchor)}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Stack spacing={1} sx={{ p: 2, maxWidth: 340 }}>
+          <Typography variant="subtitle2">{t('notifications.settings')}</Typography>
+          <Typography variant="caption" color="text.secondary">
+            {t('notifications.helper')}
+          </Typography>
+          {EVENT_SETTINGS.map((key) => (
+            <FormControlLabel
+              key={key}
+              control={<Switch checked={settings[key]} onChange={(event) => handleToggle(key, event.target.checked)} />}
+              label={t(`notifications.${key}`)}
+            />
+          ))}
+          {permission === 'default' && (settings.notifyOnComplete || settings.notifyOnError) && (
+            <Button size="small" variant="outlined" onClick={askPermission}>
+              {t('notifications.allow')}
+            </Button>
+          )}
+          {permission === 'denied' && <Alert severity="warning">{t('notifications.blocked')}</Alert>}
+          {permission === 'unsupported' && <Alert severity="info">{t('notifications.unsupported')}</Alert>}
+        </Stack>
+      </Popover>
+    </>
+  )
+}
+
+export default NotificationSettingsMenu
@@ -0,0 +1,213 @@
+import { useEffect, useEffectEvent, useRef, useState } from 'react'
+import {
+  Alert,
+  Box,
+  Drawer,
+  IconButton,
+  LinearProgress,
+  Link as MuiLink,
+  Paper,
+  Stack,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import { alpha } from '@mui/material/styles'
+import CloseIcon from '@mui/icons-material/Close'
+import LaunchIcon from '@mui/icons-material/Launch'
+import { sniffFileType } from '../lib/fileValidation'
+import { useI18n } from '../lib/i18n'
+import { loadPdfDocument, toViewportPercentRect } from '../lib/pdf'
+
+const RENDER_SCALE = 1.5
+
+// Image bounding boxes are in pixels from the top-left corner.
+const imagePercentRect = ([x0, y0, x1, y1], image) => ({
+  left: (Math.min(x0, x1) / image.naturalWidth) * 100,
+  top: (Math.min(y0, y1) / image.naturalHeight) * 100,
+  width: (Math.abs(x1 - x0) / image.naturalWidth) * 100,
+  height: (Math.abs(y1 - y0) / image.naturalHeight) * 100,
+})
+
+const hasBbox = (provenance) => Array.isArray(provenance?.bbox) && provenance.bbox.length === 4
+
+// Side panel showing the page a field value was extracted from, with the
+// cited region highlighted. The document is downloaded once and sniffed, so
+// PDFs and images both work whatever their file name says.
+function SourceDocumentViewer({ field, documentUrl, onClose }) {
+  const { t, errorMessage, formatNumber } = useI18n()
+  const { provenance } = field
+  const pageNumber = provenance.page ?? 1
+  const canvasRef = useRef(null)
+  const highlightRef = useRef(null)
+  const [source, setSource] = useState(null)
+  const [highlight, setHighlight] = useState(null)
+  const [rendered, setRendered] = useState(false)
+  const [error, setError] = useState('')
+
+  const reportError = useEffectEvent((failure, fallbackKey) => setError(errorMessage(failure, fallbackKey)))
+
+  useEffect(() => {
+    if (!documentUrl) return undefined
+
+    const controller = new AbortController()
+    let loadingTask = null
+    let objectUrl = ''
+
+    const load = async () => {
+      const response = await fetch(documentUrl, { signal: controller.signal })
+      if (!response.ok) {
+        reportError(null, 'sourceViewer.loadFailed')
+        return
+      }
+      const blob = await response.blob()
+      const type = await sniffFileType(blob)
+      if (controller.signal.aborted) return
+      if (type === 'application/pdf') {
+        loadingTask = loadPdfDocument({ data: new Uint8Array(await blob.arrayBuffer()) })
+        const pdfDocument = await loadingTask.promise
+        if (!controller.signal.aborted) setSource({ kind: 'pdf', pdfDocument })
+      } else if (type.startsWith('image/')) {
+        objectUrl = URL.createObjectURL(blob)
+        setSource({ kind: 'image', url: objectUrl })
+      } else {
+        reportError(null, 'sourceViewer.unsupported')
+      }
+    }
+
+    load().catch((loadError) => {
+      if (!controller.signal.aborted) reportError(loadError, 'sourceViewer.loadFailed')
+    })
+
+    return () => {
+      controller.abort()
+      void loadingTask?.destroy()
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [documentUrl])
+
+  useEffect(() => {
+    if (source?.kind !== 'pdf') return undefined
+
+    let cancelled = false
+    let renderTask = null
+
+    const renderPage = async () => {
+      const page = await source.pdfDocument.getPage(Math.min(pageNumber, source.pdfDocument.numPages))
+      if (cancelled) return
+      const viewport = page.getViewport({ scale: RENDER_SCALE })
+      const canvas = canvasRef.current
+      canvas.width = Math.floor(viewport.width)
+      canvas.height = Math.floor(viewport.height)
+      renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport })
+      await renderTask.promise
+      if (cancelled) return
+      setHighlight(hasBbox(provenance) ? toViewportPercentRect(provenance.bbox, viewport) : null)
+      setRendered(true)
+    }
+
+    renderPage().catch((renderError) => {
+      if (cancelled || renderError?.name === 'RenderingCancelledException') return
+      reportError(renderError, 'sourceViewer.renderFailed')
+    })
+
+    return () => {
+      cancelled = true
+      renderTask?.cancel()
+    }
+  }, [pageNumber, provenance, source])
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' })
+  }, [highlight])
+
+  const handleImageLoad = (event) => {
+    setHighlight(hasBbox(provenance) ? imagePercentRect(provenance.bbox, event.currentTarget) : null)
+    setRendered(true)
+  }
+
+  const documentName = provenance.documentName || provenance.documentSlug
+
+  return (
+    <Drawer anchor="right" open onClose={onClose} slotProps={{ paper: { sx: { width: { xs: '100%', sm: 560 } } } }}>
+      <Stack spacing={2} sx={{ p: 2 }}>
+        <Stack direction="row" spacing={1} alignItems="flex-start">
+          <Stack spacing={0.5} sx={{ flexGrow: 1, minWidth: 0 }}>
+            <Typography variant="subtitle1" fontWeight={600} sx={{ wordBreak: 'break-word' }}>
+              {field.fieldName}
+            </Typography>
+            <Typography variant="body2" sx={{ wordBreak: 'break-word' }}>
+              {String(field.value ?? '')}
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ wordBreak: 'break-word' }}>
+              {t('sourceViewer.location', { name: documentName, page: formatNumber(pageNumber) })}
+            </Typography>
+          </Stack>
+          {documentUrl && (
+            <Tooltip title={t('sourceViewer.openOriginal')}>
+              <IconButton component={MuiLink} href={documentUrl} target="_blank" rel="noopener">
+                <LaunchIcon />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title={t('sourceViewer.close')}>
+            <IconButton edge="end" onClick={onClose}>
+              <CloseIcon />
+            </IconButton>
+          </Tooltip>
+        </Stack>
+
+        {provenance.snippet && (
+          <Paper variant="outlined" sx={{ p: 1.5, bgcolor: 'action.hover' }}>
+            <Typography variant="body2" sx={{ fontStyle: 'italic', wordBreak: 'break-word' }}>
+              {provenance.snippet}
+            </Typography>
+          </Paper>
+        )}
+
+        {!documentUrl ? (
+          <Alert severity="info">{t('sourceViewer.unavailable')}</Alert>
+        ) : error ? (
+          <Alert severity="warning">{error}</Alert>
+        ) : (
+          <Box sx={{ position: 'relative', border: 1, borderColor: 'divider', bgcolor: 'common.white', lineHeight: 0 }}>
+            {source?.kind === 'image' ? (
+              <img
+                src={source.url}
+                alt={documentName}
+                onLoad={handleImageLoad}
+                onError={() => setError(t('sourceViewer.renderFailed'))}
+                style={{ width: '100%', height: 'auto', display: 'block' }}
+              />
+            ) : (
+              <canvas ref={canvasRef} style={{ width: '100%', height: 'auto', display: 'block' }} />
+            )}
+            {rendered && highlight && (
+              <Box
+                ref={highlightRef}
+                sx={{
+                  position: 'absolute',
+                  left: `${highlight.left}%`,
+                  top: `${highlight.top}%`,
+                  width: `${highlight.width}%`,
+                  height: `${highlight.height}%`,
+                  border: 2,
+                  borderColor: 'warning.main',
+                  bgcolor: (theme) => alpha(theme.palette.warning.main, 0.25),
+                  borderRadius: 0.5,
+                }}
+              />
+            )}
+            {!rendered && <LinearProgress color="info" sx={{ position: 'absolute', top: 0, left: 0, right: 0 }} />}
+          </Box>
+        )}
+        {rendered && !highlight && !error && (
+          <Typography variant="caption" color="text.secondary">
+            {t('sourceViewer.noRegion')}
+          </Typography>
+        )}
+      </Stack>
+    </Drawer>
+  )
+}
+
+export default SourceDocumentViewer
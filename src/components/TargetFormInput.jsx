@@ -0,0 +1,138 @@
+import {
+  Alert,
+  Button,
+  Chip,
+  IconButton,
+  LinearProgress,
+  Link as MuiLink,
+  Paper,
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material'
+import CloseIcon from '@mui/icons-material/Close'
+import LinkIcon from '@mui/icons-material/Link'
+import PictureAsPdfOutlinedIcon from '@mui/icons-material/PictureAsPdfOutlined'
+import UploadFileIcon from '@mui/icons-material/UploadFile'
+import { useI18n } from '../lib/i18n'
+
+function TargetFormInput({
+  source,
+  onSourceChange,
+  formUrl,
+  onFormUrlChange,
+  formUrlIsValid,
+  uploadedForm,
+  onFormFileSelected,
+  onRemoveForm,
+}) {
+  const { t, formatBytes } = useI18n()
+
+  const handleFileChange = (event) => {
+    const [file] = Array.from(event.target.files ?? [])
+    if (file) onFormFileSelected(file)
+    event.target.value = ''
+  }
+
+  return (
+    <Stack spacing={1.5}>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} justifyContent="space-between" alignItems={{ xs: 'flex-start', sm: 'center' }}>
+        <Typography variant="h6">{t('targetForm.title')}</Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={source}
+          onChange={(_event, next) => {
+            if (next) onSourceChange(next)
+          }}
+        >
+          <ToggleButton value="url">
+            <LinkIcon fontSize="small" sx={{ mr: 0.5 }} />
+            {t('targetForm.sourceLink')}
+          </ToggleButton>
+          <ToggleButton value="file">
+            <UploadFileIcon fontSize="small" sx={{ mr: 0.5 }} />
+            {t('targetForm.sourceUpload')}
+          </ToggleButton>
+        </ToggleButtonGroup>
+      </Stack>
+
+      {source === 'url' ? (
+        <TextField
+          label={t('targetForm.urlLabel')}
+          placeholder="https://s3.amazonaws.com/forms/blank.pdf"
+          type="url"
+          fullWidth
+          value={formUrl}
+          onChange={(event) => onFormUrlChange(event.target.value)}
+          error={Boolean(formUrl) && !formUrlIsValid}
+          helperText={!formUrlIsValid && formUrl ? t('targetForm.urlInvalid') : t('targetForm.urlHelper')}
+        />
+      ) : uploadedForm ? (
+        <Paper variant="outlined">
+          <Stack direction="row" spacing={2} alignItems="center" sx={{ p: 2 }}>
+            <PictureAsPdfOutlinedIcon color={uploadedForm.status === 'error' ? 'error' : 'primary'} />
+            <Stack spacing={0.5} sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Stack direction="row" spacing={1} alignItems="center">
+                <Typography variant="subtitle1" noWrap>
+                  {uploadedForm.name}
+                </Typography>
+                <Chip
+                  size="small"
+                  label={
+                    uploadedForm.status === 'uploaded'
+                      ? t('targetForm.ready')
+                      : uploadedForm.status === 'error'
+                        ? t('targetForm.error')
+                        : t('targetForm.uploading')
+                  }
+                  color={uploadedForm.status === 'uploaded' ? 'success' : uploadedForm.status === 'error' ? 'error' : 'info'}
+                  variant={uploadedForm.status === 'uploaded' ? 'outlined' : 'filled'}
+                />
+              </Stack>
+              <Typography variant="body2" color="text.secondary">
+                {formatBytes(uploadedForm.size)}
+                {uploadedForm.s3Url && (
+                  <>
+                    {' • '}
+                    <MuiLink href={uploadedForm.s3Url} target="_blank" rel="noopener" underline="hover">
+                      {t('targetForm.viewBlank')}
+                    </MuiLink>
+                  </>
+                )}
+              </Typography>
+            </Stack>
+            <Tooltip title={t('targetForm.remove')}>
+              <span>
+                <IconButton color="error" disabled={uploadedForm.status === 'uploading'} onClick={onRemoveForm}>
+                  <CloseIcon />
+                </IconButton>
+              </span>
+            </Tooltip>
+          </Stack>
+          {uploadedForm.status === 'uploading' && <LinearProgress color="info" />}
+          {uploadedForm.error && (
+            <Alert severity="error" sx={{ borderRadius: 0 }}>
+              {uploadedForm.error}
+            </Alert>
+          )}
+        </Paper>
+      ) : (
+        <Paper variant="outlined" sx={{ p: 3, textAlign: 'center', borderStyle: 'dashed' }}>
+          <Stack spacing={1.5} alignItems="center">
+            <Typography color="text.secondary">{t('targetForm.uploadHint')}</Typography>
+            <Button component="label" variant="outlined" startIcon={<UploadFileIcon />}>
+              {t('targetForm.choose')}
+              <input type="file" hidden accept="application/pdf" onChange={handleFileChange} />
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+    </Stack>
+  )
+}
+
+export default TargetFormInput
@@ -0,0 +1,41 @@
+const ACTIVE_JOB_PREFIX = 'active_job_'
+
+const activeJobKey = (userId) => `${ACTIVE_JOB_PREFIX}${userId}`
+
+// The in-flight job pointer is tiny and must be readable synchronously on
+// mount, so it lives in localStorage rather than IndexedDB.
+export const readActiveJob = (userId) => {
+  if (typeof localStorage === 'undefined' || !userId) return null
+  try {
+    const parsed = JSON.parse(localStorage.getItem(activeJobKey(userId)) ?? 'null')
+    return parsed?.jobId ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+export const writeActiveJob = (userId, activeJob) => {
+  if (typeof localStorage === 'undefined' || !userId) return
+  try {
+    localStorage.setItem(activeJobKey(userId), JSON.stringify(activeJob))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const clearActiveJob = (userId, jobId) => {
+  if (typeof localStorage === 'undefined' || !userId) return
+  if (jobId && readActiveJob(userId)?.jobId !== jobId) return
+  try {
+    localStorage.removeItem(activeJobKey(userId))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const migrateActiveJob = (fromUserId, toUserId) => {
+  const activeJob = readActiveJob(fromUserId)
+  if (!activeJob) return
+  writeActiveJob(toUserId, activeJob)
+  clearActiveJob(fromUserId)
+}
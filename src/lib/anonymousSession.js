@@ -0,0 +1,37 @@
+import { migrateActiveJob } from './activeJob'
+import { migrateAnonymousAccount } from './apiClient'
+import { migrateActiveProfile } from './applicantProfile'
+import { migrateUserData } from './clientStore'
+import { migrateNotificationSettings } from './notificationSettings'
+
+const ANONYMOUS_USER_COOKIE = 'user_id'
+
+// Before sign-in existed every browser got a random `user_id` cookie that
+// owned its uploads and jobs.
+export const readAnonymousUserId = () => {
+  if (typeof document === 'undefined') return ''
+  const cookie = document.cookie
+    .split('; ')
+    .find((row) => row.startsWith(`${ANONYMOUS_USER_COOKIE}=`))
+  return cookie ? cookie.split('=')[1] : ''
+}
+
+const clearAnonymousUserId = () => {
+  document.cookie = `${ANONYMOUS_USER_COOKIE}=; path=/; max-age=0; samesite=lax`
+}
+
+// Moves an anonymous session's server-side files and jobs, and the locally
+// cached state, to the signed-in account. The cookie is only dropped once the
+// backend confirmed the move, so a failed attempt is retried on the next sign-in.
+export const migrateAnonymousSession = async (userId) => {
+  const anonymousUserId = readAnonymousUserId()
+  if (!anonymousUserId || anonymousUserId === userId) return null
+
+  const result = await migrateAnonymousAccount({ userId, anonymousUserId })
+  await migrateUserData(anonymousUserId, userId)
+  migrateActiveJob(anonymousUserId, userId)
+  migrateActiveProfile(anonymousUserId, userId)
+  migrateNotificationSettings(anonymousUserId, userId)
+  clearAnonymousUserId()
+  return result
+}
@@ -0,0 +1,126 @@
+import { getAccessToken } from './auth'
+import { ClientError } from './errors'
+import { SchemaError } from './schema'
+
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL ?? 'http://localhost:8000'
+
+const RETRY_ATTEMPTS = 4
+const RETRY_BASE_DELAY_MS = 500
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE'])
+
+export class ApiError extends ClientError {
+  constructor(message, { status = 0, endpoint = '', reason, params } = {}) {
+    super(message, { reason, params })
+    this.name = 'ApiError'
+    this.status = status
+    this.endpoint = endpoint
+  }
+}
+
+// Raised when a response does not match the schema the client expects, so a
+// backend contract change surfaces as one clear message instead of undefined
+// values deep in the UI.
+export class ApiContractError extends ClientError {
+  constructor(endpoint, cause) {
+    super(`Unexpected response from ${endpoint}: ${cause.message}`, { reason: 'unexpectedResponse' })
+    this.name = 'ApiContractError'
+    this.endpoint = endpoint
+    this.cause = cause
+  }
+}
+
+export const apiUrl = (path) => {
+  const normalized = path.startsWith('/') ? path : `/${path}`
+  return new URL(normalized, API_BASE_URL).toString()
+}
+
+const endpointLabel = (method, path) => `${method} ${path.split('?')[0]}`
+
+export const wait = (delayMs, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, delayMs)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+
+const sendRequest = async (path, options, endpoint) => {
+  let response
+  try {
+    response = await fetch(apiUrl(path), options)
+  } catch (error) {
+    if (options.signal?.aborted) throw error
+    throw new ApiError('Unable to reach the server. Check your connection and try again.', { endpoint, reason: 'network' })
+  }
+
+  const contentType = response.headers.get('content-type') ?? ''
+  const isJson = contentType.includes('application/json')
+  const data = isJson ? await response.json() : await response.text()
+
+  if (!response.ok) {
+    const detail =
+      (typeof data === 'string' && data) || (typeof data === 'object' && data !== null && (data.detail || data.message))
+    if (detail) throw new ApiError(detail, { status: response.status, endpoint })
+    throw new ApiError(`Request failed (${response.status})`, {
+      status: response.status,
+      endpoint,
+      reason: 'requestFailed',
+      params: { status: String(response.status) },
+    })
+  }
+
+  return data
+}
+
+const withAuthorization = async (options, forceRefresh) => {
+  const token = await getAccessToken({ forceRefresh })
+  if (!token) return options
+  return { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } }
+}
+
+const isRetryable = (error) => error instanceof ApiError && (error.status === 0 || error.status >= 500)
+
+// Every request carries the signed-in user's bearer token. A 401 triggers one
+// token refresh and a resend. Network failures and 5xx responses are retried
+// with exponential backoff; non-idempotent requests are sent once unless the
+// caller opts in with `retry: true`.
+export const apiFetch = async (path, { schema, retry, ...options } = {}) => {
+  const method = (options.method ?? 'GET').toUpperCase()
+  const endpoint = endpointLabel(method, path)
+  const attempts = (retry ?? IDEMPOTENT_METHODS.has(method)) ? RETRY_ATTEMPTS : 1
+
+  let data
+  let refreshedToken = false
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      data = await sendRequest(path, await withAuthorization(options, refreshedToken), endpoint)
+      break
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 401 && !refreshedToken && !options.signal?.aborted) {
+        refreshedToken = true
+        attempt -= 1
+        continue
+      }
+      if (options.signal?.aborted || attempt >= attempts || !isRetryable(error)) throw error
+      const jitter = 1 + Math.random() * 0.25
+      await wait(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * jitter, options.signal)
+    }
+  }
+
+  if (!schema) return data
+  try {
+    return schema(data, '')
+  } catch (error) {
+    if (error instanceof SchemaError) throw new ApiContractError(endpoint, error)
+    throw error
+  }
+}
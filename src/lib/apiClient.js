@@ -0,0 +1,275 @@
+import { apiFetch, apiUrl, ApiContractError } from './api'
+import { array, boolean, literal, number, object, optional, string, SchemaError, union } from './schema'
+
+const manifestEntrySchema = object({
+  slug: optional(string()),
+  fileName: optional(string()),
+  status: optional(string()),
+  s3Url: optional(string()),
+  size: optional(number()),
+  documentType: optional(string()),
+})
+
+const uploadsListSchema = object({
+  files: array(manifestEntrySchema),
+})
+
+const uploadSessionSchema = object({
+  uploadId: string(),
+  chunkSize: optional(number()),
+  uploadedBytes: optional(number()),
+  size: optional(number()),
+})
+
+const storedUploadSchema = object({
+  slug: string(),
+  fileName: optional(string()),
+  status: optional(string()),
+  s3Url: optional(string()),
+  size: optional(number()),
+  documentType: optional(string()),
+})
+
+const formUploadSchema = object({
+  formId: string(),
+  s3Url: optional(string()),
+  size: optional(number()),
+})
+
+const formLibraryEntrySchema = object({
+  id: string(),
+  name: string(),
+  formUrl: string(),
+  description: optional(string()),
+  tags: optional(array(string())),
+  pinned: optional(boolean()),
+  createdAt: optional(string()),
+  lastUsedAt: optional(string()),
+})
+
+const formLibrarySchema = object({
+  forms: array(formLibraryEntrySchema),
+})
+
+const applicantProfileSchema = object({
+  id: string(),
+  name: string(),
+  facts: array(object({ key: string(), value: string() })),
+  updatedAt: optional(string()),
+})
+
+const applicantProfilesSchema = object({
+  profiles: array(applicantProfileSchema),
+})
+
+// Where an extracted value was found. `page` is 1-based; `bbox` is
+// [x0, y0, x1, y1] in the document's own units: PDF points from the
+// bottom-left corner for PDFs, pixels from the top-left corner for images.
+const provenanceSchema = object({
+  documentSlug: string(),
+  documentName: optional(string()),
+  page: optional(number()),
+  snippet: optional(string()),
+  bbox: optional(array(number())),
+})
+
+const fieldResultSchema = object({
+  fieldName: string(),
+  status: string(),
+  value: optional(union(string(), number(), boolean())),
+  reason: optional(string()),
+  source: optional(string()),
+  provenance: optional(provenanceSchema),
+})
+
+const jobShape = {
+  jobId: string(),
+  status: literal('queued', 'filling', 'complete', 'error', 'cancelled'),
+  message: optional(string()),
+  filledFormUrl: optional(string()),
+  completedAt: optional(string()),
+  totalFields: optional(number()),
+  filledFields: optional(number()),
+  skippedFields: optional(number()),
+  errorFields: optional(number()),
+  fields: optional(array(fieldResultSchema)),
+}
+
+const jobSchema = object(jobShape)
+
+const jobEventSchema = object({
+  ...jobShape,
+  field: optional(fieldResultSchema),
+})
+
+const streamTicketSchema = object({
+  ticket: string(),
+  expiresIn: optional(number()),
+})
+
+const accountMigrationSchema = object({
+  migratedFiles: optional(number()),
+  migratedJobs: optional(number()),
+})
+
+const withQuery = (path, params) => `${path}?${new URLSearchParams(params)}`
+
+const jsonRequest = (method, body, signal) => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+  signal,
+})
+
+const uploadSessionPath = (uploadId, suffix = '') => `/api/uploads/sessions/${encodeURIComponent(uploadId)}${suffix}`
+
+export const listUploads = ({ userId, signal }) =>
+  apiFetch(withQuery('/api/uploads', { userId }), { schema: uploadsListSchema, signal })
+
+export const getUpload = ({ userId, slug, signal }) =>
+  apiFetch(withQuery(`/api/uploads/${encodeURIComponent(slug)}`, { userId }), { schema: storedUploadSchema, signal })
+
+export const deleteUpload = ({ userId, slug, signal }) =>
+  apiFetch(withQuery(`/api/uploads/${encodeURIComponent(slug)}`, { userId }), { method: 'DELETE', signal })
+
+export const updateUpload = ({ userId, slug, documentType, signal }) =>
+  apiFetch(withQuery(`/api/uploads/${encodeURIComponent(slug)}`, { userId }), {
+    ...jsonRequest('PATCH', { userId, documentType }, signal),
+    schema: storedUploadSchema,
+  })
+
+export const createUploadSession = ({ userId, file, formReference, signal }) =>
+  apiFetch('/api/uploads/sessions', {
+    ...jsonRequest(
+      'POST',
+      {
+        userId,
+        fileName: file.name,
+        size: file.size,
+        mimeType: file.type || 'application/octet-stream',
+        ...formReference,
+      },
+      signal,
+    ),
+    schema: uploadSessionSchema,
+  })
+
+export const getUploadSession = ({ userId, uploadId, signal }) =>
+  apiFetch(withQuery(uploadSessionPath(uploadId), { userId }), { schema: uploadSessionSchema, signal })
+
+export const uploadSessionChunkUrl = ({ userId, uploadId }) => apiUrl(withQuery(uploadSessionPath(uploadId), { userId }))
+
+export const completeUploadSession = ({ userId, uploadId, signal }) =>
+  apiFetch(withQuery(uploadSessionPath(uploadId, '/complete'), { userId }), {
+    method: 'POST',
+    retry: true,
+    schema: storedUploadSchema,
+    signal,
+  })
+
+export const cancelUploadSession = ({ userId, uploadId }) =>
+  apiFetch(withQuery(uploadSessionPath(uploadId), { userId }), { method: 'DELETE' })
+
+export const uploadForm = ({ userId, file, signal }) => {
+  const formData = new FormData()
+  formData.append('userId', userId)
+  formData.append('file', file)
+  return apiFetch('/api/forms', { method: 'POST', body: formData, schema: formUploadSchema, signal })
+}
+
+export const listFormLibrary = ({ userId, signal }) =>
+  apiFetch(withQuery('/api/form-library', { userId }), { schema: formLibrarySchema, signal })
+
+export const createFormLibraryEntry = ({ userId, entry, signal }) =>
+  apiFetch('/api/form-library', { ...jsonRequest('POST', { userId, ...entry }, signal), schema: formLibraryEntrySchema })
+
+export const updateFormLibraryEntry = ({ userId, id, patch, signal }) =>
+  apiFetch(withQuery(`/api/form-library/${encodeURIComponent(id)}`, { userId }), {
+    ...jsonRequest('PATCH', { userId, ...patch }, signal),
+    schema: formLibraryEntrySchema,
+  })
+
+export const deleteFormLibraryEntry = ({ userId, id, signal }) =>
+  apiFetch(withQuery(`/api/form-library/${encodeURIComponent(id)}`, { userId }), { method: 'DELETE', signal })
+
+// Profiles hold personal data such as SSNs, so they are kept with the account
+// on the backend rather than in the browser.
+export const listApplicantProfiles = ({ userId, signal }) =>
+  apiFetch(withQuery('/api/profiles', { userId }), { schema: applicantProfilesSchema, signal })
+
+export const saveApplicantProfile = ({ userId, profile, signal }) =>
+  apiFetch(withQuery(`/api/profiles/${encodeURIComponent(profile.id)}`, { userId }), {
+    ...jsonRequest('PUT', { userId, name: profile.name, facts: profile.facts, updatedAt: profile.updatedAt }, signal),
+    schema: applicantProfileSchema,
+  })
+
+export const deleteApplicantProfile = ({ userId, id, signal }) =>
+  apiFetch(withQuery(`/api/profiles/${encodeURIComponent(id)}`, { userId }), { method: 'DELETE', signal })
+
+// `profile` carries known applicant values ({ profileId, name, values }) that
+// the pipeline uses instead of extracting them from the documents.
+export const createFormFillJob = ({ userId, formReference, documentSlugs, profile, signal }) =>
+  apiFetch('/api/form-fill', {
+    ...jsonRequest('POST', { userId, ...formReference, documentSlugs, profile }, signal),
+    schema: jobSchema,
+  })
+
+export const getFormFillJob = ({ userId, jobId, formReference, signal }) =>
+  apiFetch(withQuery(`/api/form-fill/${encodeURIComponent(jobId)}`, { userId, ...formReference }), {
+    schema: jobSchema,
+    signal,
+  })
+
+export const updateFormFillJob = ({ userId, jobId, fields, signal }) =>
+  apiFetch(withQuery(`/api/form-fill/${encodeURIComponent(jobId)}`, { userId }), {
+    ...jsonRequest('PATCH', { userId, fields }, signal),
+    schema: jobSchema,
+  })
+
+export const cancelFormFillJob = ({ userId, jobId, signal }) =>
+  apiFetch(withQuery(`/api/form-fill/${encodeURIComponent(jobId)}/cancel`, { userId }), {
+    ...jsonRequest('POST', { userId }, signal),
+    retry: true,
+    schema: jobSchema,
+  })
+
+export const retryFormFillFields = ({ userId, jobId, fieldNames, signal }) =>
+  apiFetch(withQuery(`/api/form-fill/${encodeURIComponent(jobId)}/retry`, { userId }), {
+    ...jsonRequest('POST', { userId, fieldNames }, signal),
+    schema: jobSchema,
+  })
+
+// EventSource cannot send an Authorization header. Rather than putting the
+// access token in the URL, where it would end up in access logs and browser
+// history, a signed-in user trades it for a short-lived, single-use ticket
+// that only opens this job's stream.
+export const createFormFillStreamTicket = ({ userId, jobId, signal }) =>
+  apiFetch(withQuery(`/api/form-fill/${encodeURIComponent(jobId)}/events/ticket`, { userId }), {
+    ...jsonRequest('POST', { userId }, signal),
+    retry: true,
+    schema: streamTicketSchema,
+  })
+
+export const formFillEventsUrl = ({ userId, jobId, formReference, ticket }) =>
+  apiUrl(
+    withQuery(`/api/form-fill/${encodeURIComponent(jobId)}/events`, {
+      userId,
+      ...formReference,
+      ...(ticket ? { ticket } : {}),
+    }),
+  )
+
+export const migrateAnonymousAccount = ({ userId, anonymousUserId, signal }) =>
+  apiFetch('/api/account/migrate', {
+    ...jsonRequest('POST', { userId, anonymousUserId }, signal),
+    schema: accountMigrationSchema,
+  })
+
+export const parseFormFillEvent = (data) => {
+  try {
+    return jobEventSchema(data, '')
+  } catch (error) {
+    if (error instanceof SchemaError) throw new ApiContractError('form-fill event stream', error)
+    throw error
+  }
+}
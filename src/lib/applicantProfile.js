@@ -0,0 +1,82 @@
+import { saveApplicantProfile } from './apiClient'
+import { deleteLocalApplicantProfile, listLocalApplicantProfiles } from './clientStore'
+
+const ACTIVE_PROFILE_PREFIX = 'active_profile_'
+
+// Fact keys the editor offers first; they match the field names forms and the
+// pipeline commonly use, but any key is accepted.
+export const COMMON_PROFILE_KEYS = [
+  'full_name',
+  'date_of_birth',
+  'ssn',
+  'street_address',
+  'city',
+  'state',
+  'zip_code',
+  'phone',
+  'email',
+  'employer_name',
+]
+
+export const createApplicantProfile = (userId, name) => ({
+  id: crypto.randomUUID(),
+  userId,
+  name,
+  facts: [{ key: '', value: '' }],
+  updatedAt: new Date().toISOString(),
+})
+
+// Only complete facts are sent; a repeated key keeps its last value.
+export const profileValues = (profile) =>
+  Object.fromEntries(
+    (profile?.facts ?? [])
+      .map(({ key, value }) => [key.trim(), value.trim()])
+      .filter(([key, value]) => key && value),
+  )
+
+export const toProfilePayload = (profile) => {
+  const values = profileValues(profile)
+  if (Object.keys(values).length === 0) return undefined
+  return { profileId: profile.id, name: profile.name, values }
+}
+
+// Moves profiles an older version kept in this browser to the account. Each
+// one is removed locally only after the backend stored it, so a failure
+// leaves the rest for the next visit.
+export const migrateLocalApplicantProfiles = async (userId) => {
+  for (const profile of await listLocalApplicantProfiles(userId)) {
+    await saveApplicantProfile({ userId, profile })
+    await deleteLocalApplicantProfile(profile.id)
+  }
+}
+
+const activeProfileKey = (userId) => `${ACTIVE_PROFILE_PREFIX}${userId}`
+
+export const readActiveProfileId = (userId) => {
+  if (typeof localStorage === 'undefined' || !userId) return ''
+  try {
+    return localStorage.getItem(activeProfileKey(userId)) ?? ''
+  } catch {
+    return ''
+  }
+}
+
+export const writeActiveProfileId = (userId, profileId) => {
+  if (typeof localStorage === 'undefined' || !userId) return
+  try {
+    if (profileId) {
+      localStorage.setItem(activeProfileKey(userId), profileId)
+    } else {
+      localStorage.removeItem(activeProfileKey(userId))
+    }
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const migrateActiveProfile = (fromUserId, toUserId) => {
+  const profileId = readActiveProfileId(fromUserId)
+  if (!profileId) return
+  writeActiveProfileId(toUserId, profileId)
+  writeActiveProfileId(fromUserId, '')
+}
@@ -0,0 +1,279 @@
+// OpenID Connect sign-in using the authorization code flow with PKCE. The
+// session (tokens plus the user's ID token claims) lives in localStorage so it
+// survives reloads and is shared between tabs; access tokens are refreshed
+// silently shortly before they expire.
+
+import { ClientError } from './errors'
+
+export const OIDC_ISSUER = import.meta.env.VITE_OIDC_ISSUER ?? 'http://localhost:8000/oidc'
+const OIDC_CLIENT_ID = import.meta.env.VITE_OIDC_CLIENT_ID ?? 'pdf-form-fill'
+const OIDC_SCOPE = import.meta.env.VITE_OIDC_SCOPE ?? 'openid profile email offline_access'
+
+export const AUTH_CALLBACK_PATH = '/auth/callback'
+
+const SESSION_STORAGE_KEY = 'auth_session'
+const PENDING_SIGN_IN_KEY = 'auth_pending_sign_in'
+const REFRESH_MARGIN_MS = 60 * 1000
+
+// `code` is the OAuth error code from the identity provider, when it sent one.
+export class AuthError extends ClientError {
+  constructor(message, { code = '', reason, params } = {}) {
+    super(message, { reason, params })
+    this.name = 'AuthError'
+    this.code = code
+  }
+}
+
+const redirectUri = () => `${window.location.origin}${AUTH_CALLBACK_PATH}`
+
+const base64UrlEncode = (bytes) =>
+  btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+
+const randomString = (byteLength = 32) => base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)))
+
+const sha256 = async (text) => new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)))
+
+// The ID token is only read for display claims and the nonce check; the
+// backend validates the access token signature on every request.
+const decodeJwtPayload = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    const json = decodeURIComponent(
+      Array.from(atob(payload), (char) => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''),
+    )
+    return JSON.parse(json)
+  } catch {
+    return null
+  }
+}
+
+let discoveryPromise = null
+
+const discover = () => {
+  if (!discoveryPromise) {
+    discoveryPromise = fetch(`${OIDC_ISSUER}/.well-known/openid-configuration`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new AuthError(`Identity provider discovery failed (${response.status})`, {
+            reason: 'discoveryFailed',
+            params: { status: String(response.status) },
+          })
+        }
+        return response.json()
+      })
+      .catch((error) => {
+        discoveryPromise = null
+        throw error instanceof AuthError
+          ? error
+          : new AuthError('Unable to reach the identity provider.', { reason: 'identityProviderUnreachable' })
+      })
+  }
+  return discoveryPromise
+}
+
+// Session store -----------------------------------------------------------------
+
+const readStoredSession = () => {
+  if (typeof localStorage === 'undefined') return null
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) ?? 'null')
+    return parsed?.accessToken && parsed.user?.sub ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+let session = readStoredSession()
+let refreshTimer = null
+let refreshPromise = null
+const listeners = new Set()
+
+const scheduleRefresh = () => {
+  clearTimeout(refreshTimer)
+  if (!session?.refreshToken) return
+  const delay = Math.max(0, session.expiresAt - Date.now() - REFRESH_MARGIN_MS)
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {})
+  }, delay)
+}
+
+const setSession = (next, { persist = true } = {}) => {
+  session = next
+  if (persist) {
+    try {
+      if (next) {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(next))
+      } else {
+        localStorage.removeItem(SESSION_STORAGE_KEY)
+      }
+    } catch {
+      // Ignore storage errors
+    }
+  }
+  scheduleRefresh()
+  listeners.forEach((listener) => listener())
+}
+
+if (typeof window !== 'undefined') {
+  scheduleRefresh()
+  // Another tab signed in, refreshed or signed out.
+  window.addEventListener('storage', (event) => {
+    if (event.key === SESSION_STORAGE_KEY) setSession(readStoredSession(), { persist: false })
+  })
+}
+
+export const getAuthSession = () => session
+
+export const subscribeAuth = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+const sessionFromTokens = (tokens, previous = null) => {
+  const claims = tokens.id_token ? decodeJwtPayload(tokens.id_token) : null
+  const user = claims?.sub
+    ? { sub: claims.sub, email: claims.email ?? '', name: claims.name ?? claims.email ?? claims.sub }
+    : previous?.user
+  if (!tokens.access_token || !user) {
+    throw new AuthError('The identity provider returned an incomplete token response.', { reason: 'incompleteTokens' })
+  }
+  return {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token ?? previous?.refreshToken ?? '',
+    idToken: tokens.id_token ?? previous?.idToken ?? '',
+    expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+    user,
+    claims: claims ?? previous?.claims ?? null,
+  }
+}
+
+const requestTokens = async (params) => {
+  const { token_endpoint: tokenEndpoint } = await discover()
+  let response
+  try {
+    response = await fetch(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ client_id: OIDC_CLIENT_ID, ...params }),
+    })
+  } catch {
+    throw new AuthError('Unable to reach the identity provider.', { reason: 'identityProviderUnreachable' })
+  }
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    // The provider's own description is passed through; only a bare failure
+    // gets a translated message.
+    throw new AuthError(data.error_description || data.error || `Token request failed (${response.status})`, {
+      code: data.error ?? '',
+      reason: data.error_description || data.error ? '' : 'tokenRequestFailed',
+      params: { status: String(response.status) },
+    })
+  }
+  return data
+}
+
+// Single-flight: concurrent API calls that find an expiring token share one
+// refresh. Only a rejected refresh token ends the session; network failures
+// keep it so the next call can try again.
+export const refreshSession = () => {
+  if (!session?.refreshToken) return Promise.resolve(null)
+  if (!refreshPromise) {
+    const current = session
+    refreshPromise = requestTokens({ grant_type: 'refresh_token', refresh_token: current.refreshToken })
+      .then((tokens) => {
+        if (session === current) setSession(sessionFromTokens(tokens, current))
+        return session
+      })
+      .catch((error) => {
+        if (error.code === 'invalid_grant' && session === current) setSession(null)
+        throw error
+      })
+      .finally(() => {
+        refreshPromise = null
+      })
+  }
+  return refreshPromise
+}
+
+export const getAccessToken = async ({ forceRefresh = false } = {}) => {
+  if (!session) return null
+  if (forceRefresh || session.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+    try {
+      await refreshSession()
+    } catch {
+      // Fall through with whatever session is left; the request reports the failure.
+    }
+  }
+  return session?.accessToken ?? null
+}
+
+// Sign-in flow ------------------------------------------------------------------
+
+export const beginSignIn = async ({ returnTo = '/' } = {}) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover()
+  const pending = { state: randomString(16), nonce: randomString(16), codeVerifier: randomString(32), returnTo }
+  sessionStorage.setItem(PENDING_SIGN_IN_KEY, JSON.stringify(pending))
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: redirectUri(),
+    scope: OIDC_SCOPE,
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: base64UrlEncode(await sha256(pending.codeVerifier)),
+    code_challenge_method: 'S256',
+  })
+  window.location.assign(`${authorizationEndpoint}?${params}`)
+}
+
+// Exchanges the authorization code in the callback URL for tokens. Resolves
+// with the path the user was on before signing in.
+export const completeSignIn = async (search) => {
+  const params = new URLSearchParams(search)
+  let pending = null
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_SIGN_IN_KEY) ?? 'null')
+  } catch {
+    pending = null
+  }
+  sessionStorage.removeItem(PENDING_SIGN_IN_KEY)
+
+  if (params.get('error')) {
+    throw new AuthError(params.get('error_description') || params.get('error'), { code: params.get('error') })
+  }
+  if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+    throw new AuthError('This sign-in link is no longer valid. Please sign in again.', { reason: 'signInLinkExpired' })
+  }
+
+  const tokens = await requestTokens({
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: redirectUri(),
+    code_verifier: pending.codeVerifier,
+  })
+  const next = sessionFromTokens(tokens)
+  if (next.claims?.nonce !== pending.nonce) {
+    throw new AuthError('The identity provider response did not match this sign-in attempt.', { reason: 'signInMismatch' })
+  }
+  setSession(next)
+  return { returnTo: pending.returnTo || '/' }
+}
+
+export const signOut = async () => {
+  const idToken = session?.idToken
+  setSession(null)
+  try {
+    const { end_session_endpoint: endSessionEndpoint } = await discover()
+    if (endSessionEndpoint) {
+      const params = new URLSearchParams({ post_logout_redirect_uri: window.location.origin, client_id: OIDC_CLIENT_ID })
+      if (idToken) params.set('id_token_hint', idToken)
+      window.location.assign(`${endSessionEndpoint}?${params}`)
+    }
+  } catch {
+    // The local session is gone either way.
+  }
+}
@@ -0,0 +1,166 @@
+import { useEffect, useRef, useState } from 'react'
+import { cancelFormFillJob, createFormFillJob } from './apiClient'
+import { saveJobHistoryEntry, updateJobHistoryEntry } from './clientStore'
+import { mergeFieldUpdate } from './fieldStatus'
+import { useI18n } from './i18n'
+import { isRunningJobStatus, isTerminalJobStatus, summarizeJob } from './jobStatus'
+import { trackFormFillJob } from './jobTracker'
+
+const createBatchItem = (formReference, label) => ({
+  id: crypto.randomUUID(),
+  label,
+  formReference,
+  status: 'pending',
+  jobId: '',
+  message: '',
+  error: '',
+  filledFormUrl: '',
+  totalFields: 0,
+  filledFields: 0,
+  skippedFields: 0,
+  errorFields: 0,
+  fields: [],
+})
+
+const applyJobUpdate = (item, response, fallbackError) => {
+  let fields = item.fields
+  if (Array.isArray(response.fields)) {
+    fields = response.fields
+  } else if (response.field?.fieldName) {
+    fields = mergeFieldUpdate(item.fields, response.field)
+  }
+  return {
+    ...item,
+    ...summarizeJob(response),
+    jobId: response.jobId ?? item.jobId,
+    message: response.message ?? '',
+    error: response.status === 'error' ? response.message || fallbackError : '',
+    fields,
+  }
+}
+
+export const batchItemPercent = (item) =>
+  item.totalFields > 0
+    ? Math.round(((item.filledFields + item.skippedFields + item.errorFields) / item.totalFields) * 100)
+    : 0
+
+// Batch state and job trackers live with the caller that stays mounted (the
+// app shell), so moving between pages does not stop a running batch.
+// `onJobOutcome` receives the final response of every job the batch followed
+// to completion or failure, the same way a single job is announced.
+export const useBatchQueue = ({ userId, documentsReady, documentSlugs, profile, onHistoryChange, onJobOutcome }) => {
+  const { t, errorMessage } = useI18n()
+  const [items, setItems] = useState([])
+  const [runMode, setRunMode] = useState('sequential')
+  const [running, setRunning] = useState(false)
+  const trackers = useRef(new Map())
+  const stopRequested = useRef(false)
+
+  useEffect(() => {
+    const activeTrackers = trackers.current
+    return () => {
+      activeTrackers.forEach((stop) => stop())
+      activeTrackers.clear()
+    }
+  }, [])
+
+  const updateItem = (id, next) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...next } : item)))
+  }
+
+  const addItem = (formReference, label) => {
+    setItems((prev) => [...prev, createBatchItem(formReference, label)])
+  }
+
+  const removeItem = (id) => {
+    setItems((prev) => prev.filter((item) => item.id !== id))
+  }
+
+  const followJob = (item, jobId) =>
+    new Promise((resolve) => {
+      const finish = () => {
+        trackers.current.delete(item.id)
+        resolve()
+      }
+      const stop = trackFormFillJob({
+        userId,
+        jobId,
+        formReference: item.formReference,
+        onUpdate: (response) => {
+          setItems((prev) => prev.map((entry) => (entry.id === item.id ? applyJobUpdate(entry, response, t('jobErrors.pipeline')) : entry)))
+          if (isTerminalJobStatus(response.status)) {
+            void updateJobHistoryEntry(jobId, summarizeJob(response)).then(onHistoryChange)
+            if (response.status === 'complete' || response.status === 'error') onJobOutcome({ ...response, jobId })
+            finish()
+          }
+        },
+        onError: (error) => {
+          updateItem(item.id, { status: 'error', error: errorMessage(error, 'jobErrors.lostTrack') })
+          finish()
+        },
+      })
+      trackers.current.set(item.id, stop)
+    })
+
+  const runItem = async (item) => {
+    if (stopRequested.current) return
+
+    updateItem(item.id, { ...createBatchItem(item.formReference, item.label), id: item.id, status: 'queued' })
+
+    try {
+      const response = await createFormFillJob({
+        userId,
+        formReference: item.formReference,
+        documentSlugs,
+        profile,
+      })
+      await saveJobHistoryEntry({
+        jobId: response.jobId,
+        userId,
+        ...item.formReference,
+        formName: item.formReference.formId ? item.label : '',
+        createdAt: new Date().toISOString(),
+        ...summarizeJob(response),
+      })
+      onHistoryChange()
+
+      setItems((prev) => prev.map((entry) => (entry.id === item.id ? applyJobUpdate(entry, response, t('jobErrors.pipeline')) : entry)))
+      if (isTerminalJobStatus(response.status)) return
+
+      await followJob(item, response.jobId)
+    } catch (error) {
+      updateItem(item.id, { status: 'error', error: errorMessage(error, 'jobErrors.start') })
+    }
+  }
+
+  const runBatch = async () => {
+    const queued = items.filter((item) => item.status !== 'complete' && !isRunningJobStatus(item.status))
+    if (queued.length === 0 || !documentsReady) return
+
+    stopRequested.current = false
+    setRunning(true)
+
+    if (runMode === 'concurrent') {
+      await Promise.all(queued.map(runItem))
+    } else {
+      for (const item of queued) {
+        await runItem(item)
+      }
+    }
+
+    setRunning(false)
+  }
+
+  const stopBatch = () => {
+    stopRequested.current = true
+    items
+      .filter((item) => item.jobId && isRunningJobStatus(item.status))
+      .forEach((item) => {
+        cancelFormFillJob({ userId, jobId: item.jobId }).catch((error) => {
+          updateItem(item.id, { error: errorMessage(error, 'batch.cancelFailed') })
+        })
+      })
+  }
+
+  return { items, runMode, setRunMode, running, addItem, removeItem, runBatch, stopBatch }
+}
@@ -0,0 +1,93 @@
+import { ApiError, wait } from './api'
+import { completeUploadSession, getUpload, uploadSessionChunkUrl } from './apiClient'
+import { getAccessToken } from './auth'
+
+export const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024
+
+const CHUNK_ENDPOINT = 'PUT upload chunk'
+const PROCESSING_POLL_INTERVAL_MS = 1500
+
+const parseXhrError = (xhr) => {
+  const data = xhr.response
+  const detail = typeof data === 'object' && data !== null && (data.detail || data.message)
+  if (detail) return new ApiError(detail, { status: xhr.status, endpoint: CHUNK_ENDPOINT })
+  return new ApiError(`Chunk upload failed (${xhr.status})`, {
+    status: xhr.status,
+    endpoint: CHUNK_ENDPOINT,
+    reason: 'chunkFailed',
+    params: { status: String(xhr.status) },
+  })
+}
+
+// fetch() cannot report upload progress, so chunks go through XHR to get
+// byte-level progress events.
+const sendChunk = (url, chunk, { range, accessToken, signal, onProgress }) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Upload aborted', 'AbortError'))
+      return
+    }
+
+    const xhr = new XMLHttpRequest()
+    xhr.open('PUT', url)
+    xhr.responseType = 'json'
+    xhr.setRequestHeader('Content-Type', 'application/octet-stream')
+    xhr.setRequestHeader('Content-Range', range)
+    if (accessToken) xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`)
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) onProgress(event.loaded)
+    })
+    xhr.addEventListener('load', () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.response ?? {})
+      } else {
+        reject(parseXhrError(xhr))
+      }
+    })
+    xhr.addEventListener('error', () =>
+      reject(new ApiError('Network error while uploading', { endpoint: CHUNK_ENDPOINT, reason: 'uploadNetwork' })),
+    )
+    xhr.addEventListener('abort', () => reject(new DOMException('Upload aborted', 'AbortError')))
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true })
+    xhr.send(chunk)
+  })
+
+// Sends the remaining chunks starting at `uploadedBytes` and finalizes the
+// session. Resolves with the stored file's manifest entry.
+export const runChunkedUpload = async ({ userId, upload, signal, onProgress, onChunkStored }) => {
+  const chunkUrl = uploadSessionChunkUrl({ userId, uploadId: upload.uploadId })
+  const chunkSize = upload.chunkSize || UPLOAD_CHUNK_SIZE
+  const { file } = upload
+  let offset = upload.uploadedBytes ?? 0
+
+  while (offset < file.size) {
+    const end = Math.min(offset + chunkSize, file.size)
+    const chunkStart = offset
+    const response = await sendChunk(chunkUrl, file.slice(chunkStart, end), {
+      range: `bytes ${chunkStart}-${end - 1}/${file.size}`,
+      accessToken: await getAccessToken(),
+      signal,
+      onProgress: (loaded) => onProgress(chunkStart + loaded),
+    })
+    offset = typeof response.uploadedBytes === 'number' ? response.uploadedBytes : end
+    if (offset <= chunkStart) {
+      throw new ApiError('Upload session did not accept the chunk', { endpoint: CHUNK_ENDPOINT, reason: 'chunkRejected' })
+    }
+    onProgress(offset)
+    onChunkStored(offset)
+  }
+
+  return completeUploadSession({ userId, uploadId: upload.uploadId, signal })
+}
+
+// The backend may still be processing a file after its session completes.
+// Polls the stored file until it leaves "processing" and resolves with its
+// final manifest entry.
+export const waitForUploadProcessing = async ({ userId, entry, signal }) => {
+  let current = entry
+  while (current.status === 'processing') {
+    await wait(PROCESSING_POLL_INTERVAL_MS, signal)
+    current = await getUpload({ userId, slug: entry.slug, signal })
+  }
+  return current
+}
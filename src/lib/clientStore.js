@@ -0,0 +1,277 @@
+import { ClientError } from './errors'
+
+const DB_NAME = 'pdf-form-filling-app'
+const PENDING_UPLOADS_STORE = 'pendingUploads'
+const JOB_HISTORY_STORE = 'jobHistory'
+const MANIFESTS_STORE = 'manifests'
+const APPLICANT_PROFILES_STORE = 'applicantProfiles'
+const MANIFEST_SCHEMA_VERSION = 1
+const MANIFEST_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000
+const MANIFEST_CACHE_TTL_MS = 5 * 60 * 1000
+const LEGACY_MANIFEST_COOKIE_PREFIX = 'manifest_cache_'
+
+const readLegacyManifestCookies = () => {
+  if (typeof document === 'undefined' || !document.cookie) return []
+  return document.cookie
+    .split(';')
+    .map((cookie) => cookie.trim())
+    .filter((cookie) => cookie.startsWith(LEGACY_MANIFEST_COOKIE_PREFIX))
+    .map((cookie) => {
+      const separatorIndex = cookie.indexOf('=')
+      const name = cookie.substring(0, separatorIndex)
+      try {
+        const parsed = JSON.parse(decodeURIComponent(cookie.substring(separatorIndex + 1)))
+        if (!parsed || !Array.isArray(parsed.files)) return { name, manifest: null }
+        return { name, manifest: parsed, userId: name.substring(LEGACY_MANIFEST_COOKIE_PREFIX.length) }
+      } catch {
+        return { name, manifest: null }
+      }
+    })
+}
+
+const expireCookie = (name) => {
+  document.cookie = `${name}=; path=/; max-age=0; samesite=lax`
+}
+
+// Manifests used to live in a URL-encoded cookie that browsers silently drop
+// past ~4 KB. Copy whatever is still there into the store and expire the
+// cookies once the upgrade has committed.
+const migrateLegacyManifestCookies = (store, transaction) => {
+  const legacyCookies = readLegacyManifestCookies()
+  legacyCookies.forEach(({ manifest, userId }) => {
+    if (manifest && userId) {
+      store.put({ userId, schemaVersion: MANIFEST_SCHEMA_VERSION, updatedAt: manifest.updatedAt ?? '', files: manifest.files })
+    }
+  })
+  transaction.addEventListener('complete', () => {
+    legacyCookies.forEach(({ name }) => expireCookie(name))
+  })
+}
+
+// One entry per schema version (the database version is the list length);
+// each upgrade only runs the steps newer than the version already on disk.
+const SCHEMA_MIGRATIONS = [
+  (database) => {
+    const store = database.createObjectStore(PENDING_UPLOADS_STORE, { keyPath: 'id' })
+    store.createIndex('userId', 'userId')
+  },
+  (database) => {
+    const store = database.createObjectStore(JOB_HISTORY_STORE, { keyPath: 'jobId' })
+    store.createIndex('userId', 'userId')
+  },
+  (database, transaction) => {
+    const store = database.createObjectStore(MANIFESTS_STORE, { keyPath: 'userId' })
+    migrateLegacyManifestCookies(store, transaction)
+  },
+  (database) => {
+    const store = database.createObjectStore(APPLICANT_PROFILES_STORE, { keyPath: 'id' })
+    store.createIndex('userId', 'userId')
+  },
+]
+
+let databasePromise = null
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new ClientError('IndexedDB is not available', { reason: 'storageUnavailable' }))
+  }
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, SCHEMA_MIGRATIONS.length)
+      request.onupgradeneeded = (event) => {
+        SCHEMA_MIGRATIONS.slice(event.oldVersion).forEach((migrate) => migrate(request.result, request.transaction))
+      }
+      request.onsuccess = () => {
+        const database = request.result
+        // Let a newer tab upgrade the schema instead of blocking it.
+        database.onversionchange = () => {
+          database.close()
+          databasePromise = null
+        }
+        resolve(database)
+      }
+      request.onerror = () => reject(request.error)
+    })
+    databasePromise.catch(() => {
+      databasePromise = null
+    })
+  }
+
+  return databasePromise
+}
+
+const runTransaction = async (storeName, mode, operation) => {
+  const database = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+// Pending uploads keep the File blob next to the upload session so an
+// interrupted upload can continue after a reload. Persistence is best-effort:
+// a failing store must never break the upload itself.
+export const listPendingUploads = async (userId) => {
+  try {
+    return (await runTransaction(PENDING_UPLOADS_STORE, 'readonly', (store) => store.index('userId').getAll(userId))) ?? []
+  } catch {
+    return []
+  }
+}
+
+export const savePendingUpload = async (record) => {
+  try {
+    await runTransaction(PENDING_UPLOADS_STORE, 'readwrite', (store) => store.put(record))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const deletePendingUpload = async (id) => {
+  try {
+    await runTransaction(PENDING_UPLOADS_STORE, 'readwrite', (store) => store.delete(id))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const listJobHistory = async (userId) => {
+  try {
+    const entries = (await runTransaction(JOB_HISTORY_STORE, 'readonly', (store) => store.index('userId').getAll(userId))) ?? []
+    return entries.sort((a, b) => (b.createdAt ?? '').localeCompare(a.createdAt ?? ''))
+  } catch {
+    return []
+  }
+}
+
+export const getJobHistoryEntry = async (jobId) => {
+  try {
+    return (await runTransaction(JOB_HISTORY_STORE, 'readonly', (store) => store.get(jobId))) ?? null
+  } catch {
+    return null
+  }
+}
+
+export const saveJobHistoryEntry = async (entry) => {
+  try {
+    await runTransaction(JOB_HISTORY_STORE, 'readwrite', (store) => store.put(entry))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const updateJobHistoryEntry = async (jobId, patch) => {
+  try {
+    await runTransaction(JOB_HISTORY_STORE, 'readwrite', (store) => {
+      const request = store.get(jobId)
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, ...patch })
+      }
+      return request
+    })
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const deleteJobHistoryEntry = async (jobId) => {
+  try {
+    await runTransaction(JOB_HISTORY_STORE, 'readwrite', (store) => store.delete(jobId))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+// Profiles used to be kept only in this browser and now live with the
+// account on the backend. Whatever an older version left here is read once so
+// it can be moved to the backend, then removed.
+export const listLocalApplicantProfiles = async (userId) => {
+  try {
+    return (await runTransaction(APPLICANT_PROFILES_STORE, 'readonly', (store) => store.index('userId').getAll(userId))) ?? []
+  } catch {
+    return []
+  }
+}
+
+export const deleteLocalApplicantProfile = async (id) => {
+  try {
+    await runTransaction(APPLICANT_PROFILES_STORE, 'readwrite', (store) => store.delete(id))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+// Re-keys everything stored for `fromUserId` (pending uploads, job history,
+// applicant profiles and the cached manifest) to `toUserId`, in one
+// transaction so a failure leaves the old records untouched.
+export const migrateUserData = async (fromUserId, toUserId) => {
+  if (!fromUserId || !toUserId || fromUserId === toUserId) return
+  try {
+    const database = await openDatabase()
+    await new Promise((resolve, reject) => {
+      const transaction = database.transaction(
+        [PENDING_UPLOADS_STORE, JOB_HISTORY_STORE, APPLICANT_PROFILES_STORE, MANIFESTS_STORE],
+        'readwrite',
+      )
+      for (const storeName of [PENDING_UPLOADS_STORE, JOB_HISTORY_STORE, APPLICANT_PROFILES_STORE]) {
+        const store = transaction.objectStore(storeName)
+        const request = store.index('userId').getAll(fromUserId)
+        request.onsuccess = () => {
+          request.result.forEach((record) => store.put({ ...record, userId: toUserId }))
+        }
+      }
+      const manifests = transaction.objectStore(MANIFESTS_STORE)
+      const manifestRequest = manifests.get(fromUserId)
+      manifestRequest.onsuccess = () => {
+        if (manifestRequest.result) {
+          manifests.delete(fromUserId)
+          manifests.put({ ...manifestRequest.result, userId: toUserId })
+        }
+      }
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+// Resolves with `{ data, isStale }` like the old cookie cache: stale entries
+// are still returned so the UI can render them while revalidating.
+export const readManifestCache = async (userId) => {
+  if (!userId) return null
+  try {
+    const record = await runTransaction(MANIFESTS_STORE, 'readonly', (store) => store.get(userId))
+    if (!record || record.schemaVersion !== MANIFEST_SCHEMA_VERSION || !Array.isArray(record.files)) {
+      return null
+    }
+    const updatedAt = Date.parse(record.updatedAt || '')
+    const age = Number.isNaN(updatedAt) ? Infinity : Date.now() - updatedAt
+    if (age > MANIFEST_CACHE_MAX_AGE_MS) return null
+    return { data: record, isStale: age > MANIFEST_CACHE_TTL_MS }
+  } catch {
+    return null
+  }
+}
+
+// The record holds the uploads manifest and the form library side by side;
+// each write only replaces the parts it names.
+export const writeManifestCache = async (userId, manifest) => {
+  if (!userId) return
+  try {
+    await runTransaction(MANIFESTS_STORE, 'readwrite', (store) => {
+      const request = store.get(userId)
+      request.onsuccess = () => {
+        store.put({ ...request.result, ...manifest, userId, schemaVersion: MANIFEST_SCHEMA_VERSION })
+      }
+      return request
+    })
+  } catch {
+    // Ignore storage errors
+  }
+}
@@ -0,0 +1,19 @@
+// Supporting document categories. The backend stores the type a user picked;
+// files without one get a suggestion from their name, which the user can
+// confirm or change.
+
+export const DOCUMENT_TYPES = ['id', 'pay_stub', 'tax_return', 'lease', 'other']
+
+// First match wins, so the more specific patterns come first ("tax id" is a
+// tax return, not an ID). File names are matched in every UI language.
+const SUGGESTION_PATTERNS = [
+  ['pay_stub', /pay[\s_-]?(stub|slip|check|cheque)|earnings|salary|gehalt|lohn|n[oó]mina|зарплат|розрахунк/i],
+  ['tax_return', /tax|(^|[^0-9])(1040|1099)([^0-9]|$)|(^|[^a-z])w[\s_-]?2([^0-9]|$)|steuer|impuesto|(^|[^a-z])renta([^a-z]|$)|податк|декларац/i],
+  ['lease', /lease|rental|tenancy|miet|alquiler|arrendamiento|оренд/i],
+  ['id', /passport|licen[cs]e|identity|(^|[^a-z])(id|dni|nie)([^a-z]|$)|ausweis|паспорт|посвідч/i],
+]
+
+export const suggestDocumentType = (fileName = '') =>
+  SUGGESTION_PATTERNS.find(([, pattern]) => pattern.test(fileName))?.[0] ?? 'other'
+
+export const isDocumentType = (value) => DOCUMENT_TYPES.includes(value)
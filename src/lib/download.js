@@ -0,0 +1,39 @@
+import { zipSync } from 'fflate'
+import { ClientError } from './errors'
+
+const sanitizeFileName = (name) =>
+  String(name ?? '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 80) || 'form'
+
+export const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const anchor = document.createElement('a')
+  anchor.href = url
+  anchor.download = fileName
+  anchor.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// Fetches each { name, url } and packs the responses into one zip archive.
+// Names are sanitized and de-duplicated so every entry survives extraction.
+export const buildZipBundle = async (entries, { signal } = {}) => {
+  const archive = {}
+  for (const entry of entries) {
+    const response = await fetch(entry.url, { signal })
+    if (!response.ok) {
+      throw new ClientError(`Unable to download ${entry.name} (${response.status})`, {
+        reason: 'downloadFailed',
+        params: { name: entry.name, status: String(response.status) },
+      })
+    }
+    const baseName = sanitizeFileName(entry.name.replace(/\.pdf$/i, ''))
+    let fileName = `${baseName}.pdf`
+    for (let suffix = 2; fileName in archive; suffix += 1) {
+      fileName = `${baseName}-${suffix}.pdf`
+    }
+    archive[fileName] = new Uint8Array(await response.arrayBuffer())
+  }
+  return new Blob([zipSync(archive, { level: 0 })], { type: 'application/zip' })
+}
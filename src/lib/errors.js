@@ -0,0 +1,12 @@
+// Errors raised by the client itself carry a `reason` code (plus `params` for
+// its placeholders) that the UI turns into an `errors.<reason>` message in the
+// active language; `message` stays in English for logs. Errors without a
+// reason, such as a detail sent by the backend, are shown as they are.
+export class ClientError extends Error {
+  constructor(message, { reason = '', params = {} } = {}) {
+    super(message)
+    this.name = 'ClientError'
+    this.reason = reason
+    this.params = params
+  }
+}
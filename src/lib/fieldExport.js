@@ -0,0 +1,147 @@
+// Serializers for a job's field results. Every format carries the same record
+// per field so an export can stand on its own as an audit trail. Each record
+// is dated with the time the job finished, which is when the values were
+// written; the export time is kept alongside it.
+
+const CSV_COLUMNS = [
+  'job_id',
+  'form_url',
+  'form_id',
+  'field_name',
+  'value',
+  'status',
+  'reason',
+  'source',
+  'source_document',
+  'source_page',
+  'source_snippet',
+  'completed_at',
+  'exported_at',
+]
+
+const toRecords = ({ jobId, formReference, completedAt, fields }, exportedAt) =>
+  fields
+    .filter((field) => field?.fieldName)
+    .map((field) => ({
+      jobId,
+      formUrl: formReference?.formUrl ?? '',
+      formId: formReference?.formId ?? '',
+      fieldName: field.fieldName,
+      value: field.value ?? '',
+      status: field.status ?? '',
+      reason: field.reason ?? '',
+      source: field.source ?? '',
+      provenance: field.provenance ?? null,
+      completedAt: completedAt ?? '',
+      exportedAt,
+    }))
+
+// Values come from untrusted documents and the file is meant to be opened
+// in a spreadsheet, so anything that would be read as a formula is prefixed
+// with an apostrophe to keep it literal text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+const escapeCsvCell = (value) => {
+  const raw = String(value ?? '')
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const buildFieldResultsCsv = (job, exportedAt = new Date().toISOString()) => {
+  const rows = toRecords(job, exportedAt).map((record) =>
+    [
+      record.jobId,
+      record.formUrl,
+      record.formId,
+      record.fieldName,
+      record.value,
+      record.status,
+      record.reason,
+      record.source,
+      record.provenance?.documentName || record.provenance?.documentSlug,
+      record.provenance?.page,
+      record.provenance?.snippet,
+      record.completedAt,
+      record.exportedAt,
+    ]
+      .map(escapeCsvCell)
+      .join(','),
+  )
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n'
+}
+
+export const buildFieldResultsJson = (job, exportedAt = new Date().toISOString()) =>
+  JSON.stringify(
+    {
+      jobId: job.jobId,
+      formUrl: job.formReference?.formUrl ?? null,
+      formId: job.formReference?.formId ?? null,
+      completedAt: job.completedAt || null,
+      exportedAt,
+      fields: toRecords(job, exportedAt).map(({ fieldName, value, status, reason, source, provenance }) => ({
+        fieldName,
+        value,
+        status,
+        reason,
+        source,
+        provenance,
+      })),
+    },
+    null,
+    2,
+  )
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+// XFDF expresses "a.b.c" field names as nested <field> elements.
+const buildFieldTree = (fields) => {
+  const root = new Map()
+  fields.forEach((field) => {
+    const parts = field.fieldName.split('.')
+    let level = root
+    parts.forEach((part, index) => {
+      if (!level.has(part)) level.set(part, { children: new Map(), value: undefined })
+      const node = level.get(part)
+      if (index === parts.length - 1) node.value = field.value
+      level = node.children
+    })
+  })
+  return root
+}
+
+const renderFieldTree = (tree, depth) =>
+  Array.from(tree.entries())
+    .map(([name, node]) => {
+      const indent = '  '.repeat(depth)
+      const value = node.value !== undefined ? `\n${indent}  <value>${escapeXml(node.value)}</value>` : ''
+      const children = node.children.size > 0 ? `\n${renderFieldTree(node.children, depth + 1)}` : ''
+      return `${indent}<field name="${escapeXml(name)}">${value}${children}\n${indent}</field>`
+    })
+    .join('\n')
+
+// Only fields that received a value are written, so importing the file into
+// another PDF tool never blanks out fields the pipeline left alone.
+export const buildFieldResultsXfdf = (job) => {
+  const fields = job.fields.filter((field) => field?.fieldName && field.value !== undefined && field.value !== null && field.value !== '')
+  const href = job.formReference?.formUrl ? `  <f href="${escapeXml(job.formReference.formUrl)}"/>\n` : ''
+  const body = fields.length > 0 ? `${renderFieldTree(buildFieldTree(fields), 2)}\n` : ''
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">\n' +
+    href +
+    `  <fields>\n${body}  </fields>\n` +
+    '</xfdf>\n'
+  )
+}
+
+export const FIELD_EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', type: 'text/csv', build: buildFieldResultsCsv },
+  { id: 'json', label: 'JSON', type: 'application/json', build: buildFieldResultsJson },
+  { id: 'xfdf', label: 'XFDF', type: 'application/vnd.adobe.xfdf', build: buildFieldResultsXfdf },
+]
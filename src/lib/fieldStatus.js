@@ -0,0 +1,32 @@
+export const fieldStatusColor = (status) => {
+  switch (status) {
+    case 'filled':
+      return 'success'
+    case 'skipped':
+      return 'warning'
+    case 'error':
+      return 'error'
+    case 'prompting':
+      return 'info'
+    default:
+      return 'default'
+  }
+}
+
+// Statuses the catalogs do not know yet still render, capitalized as sent.
+export const formatFieldStatusLabel = (status, t) => {
+  if (!status) return ''
+  return t(`fieldStatus.${status}`, { defaultValue: status.charAt(0).toUpperCase() + status.slice(1) })
+}
+
+// Where a field value came from: the applicant profile, a document, or a
+// manual correction during review.
+export const fieldSourceColor = (source) => (source === 'profile' ? 'secondary' : 'default')
+
+export const formatFieldSourceLabel = (source, t) => (source ? t(`fieldSource.${source}`, { defaultValue: source }) : '')
+
+export const mergeFieldUpdate = (fields, update) => {
+  const index = fields.findIndex((field) => field.fieldName === update.fieldName)
+  if (index === -1) return [...fields, update]
+  return fields.map((field, fieldIndex) => (fieldIndex === index ? { ...field, ...update } : field))
+}
@@ -0,0 +1,80 @@
+const DOCUMENT_EXTENSIONS = /\.(pdf|png|jpe?g|tiff?|webp|heic|heif)$/i
+
+// Folders tend to carry OS metadata and unrelated files; only pick up what
+// looks like a document so the list is not flooded with rejections.
+const isLikelyDocument = (file) =>
+  !file.name.startsWith('.') &&
+  (file.type === 'application/pdf' || file.type.startsWith('image/') || DOCUMENT_EXTENSIONS.test(file.name))
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject))
+
+// readEntries returns directory contents in batches until it yields an empty one.
+const readDirectoryEntries = async (directory) => {
+  const reader = directory.createReader()
+  const entries = []
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+    if (batch.length === 0) return entries
+    entries.push(...batch)
+  }
+}
+
+const collectEntryFiles = async (entry) => {
+  if (entry.isFile) {
+    const file = await readEntryFile(entry)
+    return isLikelyDocument(file) ? { files: [file], skipped: 0 } : { files: [], skipped: 1 }
+  }
+  const result = { files: [], skipped: 0 }
+  for (const child of await readDirectoryEntries(entry)) {
+    const nested = await collectEntryFiles(child)
+    result.files.push(...nested.files)
+    result.skipped += nested.skipped
+  }
+  return result
+}
+
+// Resolves the files behind a drop, walking dropped folders recursively.
+// Entries have to be grabbed synchronously, before the drop event returns.
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer?.items ?? []).filter((item) => item.kind === 'file')
+  if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+    return { files: Array.from(dataTransfer?.files ?? []), skipped: 0 }
+  }
+
+  const entries = items.map((item) => ({ entry: item.webkitGetAsEntry(), file: item.getAsFile() }))
+  const result = { files: [], skipped: 0 }
+  for (const { entry, file } of entries) {
+    if (entry?.isDirectory) {
+      const nested = await collectEntryFiles(entry)
+      result.files.push(...nested.files)
+      result.skipped += nested.skipped
+    } else if (file) {
+      result.files.push(file)
+    }
+  }
+  return result
+}
+
+// Files picked through a webkitdirectory input get the same filtering as dropped folders.
+export const filterFolderFiles = (fileList) => {
+  const files = Array.from(fileList ?? [])
+  const documents = files.filter(isLikelyDocument)
+  return { files: documents, skipped: files.length - documents.length }
+}
+
+// Clipboard images arrive with generic names such as "image.png"; give them a
+// timestamped name so several pastes stay distinguishable in the list.
+export const collectPastedFiles = (clipboardData) =>
+  Array.from(clipboardData?.items ?? [])
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.getAsFile())
+    .filter(Boolean)
+    .map((file, index) => {
+      if (!/^image\.\w+$/i.test(file.name)) return file
+      const extension = file.name.split('.').pop()
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+      return new File([file], `pasted-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extension}`, {
+        type: file.type,
+        lastModified: Date.now(),
+      })
+    })
@@ -0,0 +1,83 @@
+export const MAX_UPLOAD_BYTES = 16 * 1024 * 1024
+
+const PDF_SCAN_WINDOW_BYTES = 64 * 1024
+const PDF_EOF_WINDOW_BYTES = 1024
+
+const startsWith = (bytes, prefix) => prefix.every((byte, index) => bytes[index] === byte)
+
+const FILE_SIGNATURES = [
+  { type: 'application/pdf', label: 'PDF', matches: (bytes) => startsWith(bytes, [0x25, 0x50, 0x44, 0x46, 0x2d]) },
+  { type: 'image/png', label: 'PNG', matches: (bytes) => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { type: 'image/jpeg', aliases: ['image/jpg', 'image/pjpeg'], label: 'JPEG', matches: (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]) },
+  {
+    type: 'image/tiff',
+    label: 'TIFF',
+    matches: (bytes) => startsWith(bytes, [0x49, 0x49, 0x2a, 0x00]) || startsWith(bytes, [0x4d, 0x4d, 0x00, 0x2a]),
+  },
+  {
+    type: 'image/webp',
+    label: 'WebP',
+    matches: (bytes) => startsWith(bytes, [0x52, 0x49, 0x46, 0x46]) && startsWith(bytes.subarray(8), [0x57, 0x45, 0x42, 0x50]),
+  },
+]
+
+export const ACCEPTED_UPLOAD_TYPES = FILE_SIGNATURES.map((signature) => signature.type)
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer())
+
+const readLatin1 = async (blob) => new TextDecoder('latin1').decode(await readBytes(blob))
+
+// A full parse would need pdf.js; the structural checks below catch the
+// common failures (truncated downloads, password protection) cheaply.
+const inspectPdf = async (file) => {
+  const tail = await readLatin1(file.slice(Math.max(0, file.size - PDF_EOF_WINDOW_BYTES)))
+  if (!tail.includes('%%EOF')) {
+    return 'pdfTruncated'
+  }
+
+  const head = await readLatin1(file.slice(0, PDF_SCAN_WINDOW_BYTES))
+  const trailer =
+    file.size > PDF_SCAN_WINDOW_BYTES ? await readLatin1(file.slice(Math.max(0, file.size - PDF_SCAN_WINDOW_BYTES))) : ''
+  if (/\/Encrypt\b/.test(head) || /\/Encrypt\b/.test(trailer)) {
+    return 'pdfEncrypted'
+  }
+
+  return ''
+}
+
+// Resolves with the MIME type the file's leading bytes match, or ''.
+export const sniffFileType = async (blob) => {
+  const header = await readBytes(blob.slice(0, 16))
+  return FILE_SIGNATURES.find((candidate) => candidate.matches(header))?.type ?? ''
+}
+
+// Rejections carry a `reason` code (plus `params` where the message needs
+// them) that the UI turns into a `validation.<reason>` message.
+export const validateUploadFile = async (file) => {
+  if (file.size === 0) {
+    return { valid: false, reason: 'empty' }
+  }
+
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return { valid: false, reason: 'tooLarge', params: { limit: MAX_UPLOAD_BYTES } }
+  }
+
+  const detectedType = await sniffFileType(file)
+  const signature = FILE_SIGNATURES.find((candidate) => candidate.type === detectedType)
+  if (!signature) {
+    return { valid: false, reason: 'unsupported' }
+  }
+
+  if (file.type && file.type !== signature.type && !signature.aliases?.includes(file.type)) {
+    return { valid: false, reason: 'typeMismatch', params: { detected: signature.label, declared: file.type } }
+  }
+
+  if (signature.type === 'application/pdf') {
+    const pdfProblem = await inspectPdf(file)
+    if (pdfProblem) {
+      return { valid: false, reason: pdfProblem }
+    }
+  }
+
+  return { valid: true, reason: '', type: signature.type }
+}
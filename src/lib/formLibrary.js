@@ -0,0 +1,35 @@
+const RECENT_FORM_LIMIT = 5
+
+export const normalizeFormLibraryEntry = (entry) => ({
+  ...entry,
+  description: entry.description ?? '',
+  tags: entry.tags ?? [],
+  pinned: Boolean(entry.pinned),
+  lastUsedAt: entry.lastUsedAt ?? '',
+})
+
+// Tags are typed as one comma-separated string.
+export const parseTags = (text) => [...new Set(text.split(',').map((tag) => tag.trim()).filter(Boolean))]
+
+// Pinned favorites first, then alphabetical.
+export const sortFormLibrary = (entries, locale) =>
+  [...entries].sort(
+    (a, b) => Number(b.pinned) - Number(a.pinned) || a.name.localeCompare(b.name, locale, { sensitivity: 'base' }),
+  )
+
+// Every whitespace-separated term has to appear in the name, description,
+// URL or one of the tags.
+export const searchFormLibrary = (entries, query) => {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean)
+  if (terms.length === 0) return entries
+  return entries.filter((entry) => {
+    const haystack = [entry.name, entry.description, entry.formUrl, ...entry.tags].join('\n').toLowerCase()
+    return terms.every((term) => haystack.includes(term))
+  })
+}
+
+export const recentFormLibraryEntries = (entries, limit = RECENT_FORM_LIMIT) =>
+  entries
+    .filter((entry) => entry.lastUsedAt)
+    .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+    .slice(0, limit)
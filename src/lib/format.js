@@ -0,0 +1,40 @@
+// Locale-aware formatting. Formatters are cached per locale and option set
+// because Intl constructors are comparatively expensive and these run on
+// every render of long lists.
+
+const formatterCache = new Map()
+
+const cachedFormatter = (Formatter, locale, options) => {
+  const cacheKey = `${Formatter.name}|${locale}|${JSON.stringify(options)}`
+  if (!formatterCache.has(cacheKey)) {
+    formatterCache.set(cacheKey, new Formatter(locale, options))
+  }
+  return formatterCache.get(cacheKey)
+}
+
+export const formatNumber = (value, locale = 'en', options = {}) =>
+  cachedFormatter(Intl.NumberFormat, locale, options).format(value)
+
+export const formatDate = (value, locale = 'en', options = { dateStyle: 'medium', timeStyle: 'short' }) => {
+  const date = value instanceof Date ? value : new Date(value)
+  return Number.isNaN(date.getTime()) ? '' : cachedFormatter(Intl.DateTimeFormat, locale, options).format(date)
+}
+
+const BYTE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte']
+
+export const formatBytes = (bytes, locale = 'en') => {
+  let value = Number.isFinite(bytes) ? bytes : 0
+  let unitIndex = 0
+  while (value >= 1024 && unitIndex < BYTE_UNITS.length - 1) {
+    value /= 1024
+    unitIndex += 1
+  }
+  const precision = value >= 10 || unitIndex === 0 ? 0 : 1
+  return formatNumber(value, locale, {
+    style: 'unit',
+    unit: BYTE_UNITS[unitIndex],
+    unitDisplay: 'short',
+    minimumFractionDigits: precision,
+    maximumFractionDigits: precision,
+  })
+}
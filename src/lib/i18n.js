@@ -0,0 +1,100 @@
+// Translation lookup and the locale context. Catalogs are flat maps of
+// `area.key` to message. Messages interpolate `{name}` placeholders (numbers
+// are formatted for the locale) and may be objects keyed by plural category
+// ('one', 'few', 'many', 'other'), chosen from the `count` parameter.
+
+import { createContext, useContext } from 'react'
+import { formatBytes, formatDate, formatNumber } from './format'
+import de from '../locales/de'
+import en from '../locales/en'
+import es from '../locales/es'
+import uk from '../locales/uk'
+
+// `dir` drives the document direction and the MUI theme; a right-to-left
+// language only needs its catalog registered here with dir: 'rtl'.
+export const LOCALES = [
+  { code: 'en', label: 'English', dir: 'ltr', catalog: en },
+  { code: 'es', label: 'Español', dir: 'ltr', catalog: es },
+  { code: 'uk', label: 'Українська', dir: 'ltr', catalog: uk },
+  { code: 'de', label: 'Deutsch', dir: 'ltr', catalog: de },
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+const LOCALE_STORAGE_KEY = 'ui_locale'
+
+const findLocale = (code) => LOCALES.find((locale) => locale.code === code)
+
+const matchLocale = (tag) => {
+  if (!tag) return null
+  return findLocale(tag) ?? findLocale(tag.toLowerCase().split('-')[0]) ?? null
+}
+
+export const detectLocale = () => {
+  try {
+    const stored = matchLocale(localStorage.getItem(LOCALE_STORAGE_KEY))
+    if (stored) return stored.code
+  } catch {
+    // Storage may be unavailable (private mode); fall back to the browser languages.
+  }
+  const preferred = typeof navigator === 'undefined' ? [] : navigator.languages ?? [navigator.language]
+  for (const tag of preferred) {
+    const match = matchLocale(tag)
+    if (match) return match.code
+  }
+  return DEFAULT_LOCALE
+}
+
+export const persistLocale = (code) => {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code)
+  } catch {
+    // Ignore storage errors; the choice still applies to this visit.
+  }
+}
+
+const interpolate = (message, params, locale) =>
+  message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name]
+    if (value === undefined || value === null) return placeholder
+    return typeof value === 'number' ? formatNumber(value, locale) : String(value)
+  })
+
+const selectPlural = (message, count, locale) => {
+  const category = new Intl.PluralRules(locale).select(count ?? 0)
+  return message[category] ?? message.other
+}
+
+// Missing keys fall back to English, then to `defaultValue`, then to the key
+// itself so a gap in a catalog shows up on screen instead of blank text.
+const createTranslator = (locale, catalog) => (key, params = {}) => {
+  const message = catalog[key] ?? en[key]
+  if (message === undefined) return params.defaultValue ?? key
+  const text = typeof message === 'string' ? message : selectPlural(message, params.count, locale)
+  return interpolate(text, params, locale)
+}
+
+// Client errors with a `reason` (see errors.js) are translated; anything else
+// shows its own message, or the `fallbackKey` message when it has none.
+const createErrorMessage = (t) => (error, fallbackKey) => {
+  if (error?.reason) return t(`errors.${error.reason}`, error.params)
+  return error?.message || t(fallbackKey)
+}
+
+export const createI18n = (code) => {
+  const locale = findLocale(code) ?? findLocale(DEFAULT_LOCALE)
+  const t = createTranslator(locale.code, locale.catalog)
+  return {
+    locale: locale.code,
+    dir: locale.dir,
+    t,
+    errorMessage: createErrorMessage(t),
+    formatNumber: (value, options) => formatNumber(value, locale.code, options),
+    formatDate: (value, options) => formatDate(value, locale.code, options),
+    formatBytes: (bytes) => formatBytes(bytes, locale.code),
+  }
+}
+
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LOCALE), setLocale: () => {} })
+
+export const useI18n = () => useContext(I18nContext)
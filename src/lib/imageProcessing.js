@@ -0,0 +1,100 @@
+import { ClientError } from './errors'
+import { MAX_UPLOAD_BYTES } from './fileValidation'
+
+// Large enough to keep small print legible for extraction; phone cameras
+// regularly produce 4000px+ frames that only add upload time.
+export const MAX_IMAGE_DIMENSION = 3000
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 }
+
+const OUTPUT_TYPE = 'image/jpeg'
+const JPEG_QUALITY_STEPS = [0.92, 0.85, 0.75, 0.65, 0.5]
+const DOWNSCALE_STEP = 0.75
+const MAX_DOWNSCALES = 4
+
+const HEIC_PATTERN = /\.(heic|heif)$/i
+const EDITABLE_TYPES = new Set(['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic', 'image/heif'])
+
+// Phone photos arrive as HEIC; they are converted in the editor, so the file
+// picker offers them next to the types the backend accepts.
+export const HEIC_PICKER_TYPES = ['image/heic', 'image/heif', '.heic', '.heif']
+
+export const isHeicFile = (file) => file.type === 'image/heic' || file.type === 'image/heif' || HEIC_PATTERN.test(file.name)
+
+// TIFF is accepted for upload but browsers other than Safari cannot decode it,
+// so it skips the editor and goes straight to validation.
+export const isEditableImage = (file) => EDITABLE_TYPES.has(file.type) || HEIC_PATTERN.test(file.name)
+
+// Decodes the image upright: createImageBitmap applies the EXIF orientation
+// and libheif applies the HEIC rotation boxes.
+export const loadEditableImage = async (file) => {
+  if (isHeicFile(file)) {
+    const { heicTo } = await import('heic-to')
+    return heicTo({ blob: file, type: 'bitmap' })
+  }
+  return createImageBitmap(file, { imageOrientation: 'from-image' })
+}
+
+const rotatedBounds = (width, height, radians) => {
+  const cos = Math.abs(Math.cos(radians))
+  const sin = Math.abs(Math.sin(radians))
+  return { width: width * cos + height * sin, height: width * sin + height * cos }
+}
+
+// Draws the image rotated by `rotation` degrees, then cuts out `crop` (given as
+// fractions of the rotated frame) and scales the result to fit `maxDimension`.
+// Corners exposed by non-right-angle rotations are filled white, like paper.
+export const renderImage = (image, { rotation = 0, crop = FULL_CROP, maxDimension = MAX_IMAGE_DIMENSION } = {}) => {
+  const radians = (rotation * Math.PI) / 180
+  const bounds = rotatedBounds(image.width, image.height, radians)
+  const cropWidth = Math.max(1, crop.width * bounds.width)
+  const cropHeight = Math.max(1, crop.height * bounds.height)
+  const scale = Math.min(1, maxDimension / Math.max(cropWidth, cropHeight))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(cropWidth * scale))
+  canvas.height = Math.max(1, Math.round(cropHeight * scale))
+  const context = canvas.getContext('2d')
+  context.fillStyle = '#fff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.imageSmoothingQuality = 'high'
+  context.scale(scale, scale)
+  context.translate(-crop.x * bounds.width + bounds.width / 2, -crop.y * bounds.height + bounds.height / 2)
+  context.rotate(radians)
+  context.drawImage(image, -image.width / 2, -image.height / 2)
+  return canvas
+}
+
+const canvasToBlob = (canvas, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new ClientError('Unable to encode the image.', { reason: 'imageEncodeFailed' }))), OUTPUT_TYPE, quality)
+  })
+
+const downscaleCanvas = (canvas, factor) => {
+  const scaled = document.createElement('canvas')
+  scaled.width = Math.max(1, Math.round(canvas.width * factor))
+  scaled.height = Math.max(1, Math.round(canvas.height * factor))
+  const context = scaled.getContext('2d')
+  context.imageSmoothingQuality = 'high'
+  context.drawImage(canvas, 0, 0, scaled.width, scaled.height)
+  return scaled
+}
+
+// Encodes as JPEG, lowering quality first and resolution second until the
+// result fits under `maxBytes`.
+export const compressCanvas = async (canvas, { maxBytes = MAX_UPLOAD_BYTES } = {}) => {
+  let current = canvas
+  for (let attempt = 0; attempt <= MAX_DOWNSCALES; attempt += 1) {
+    for (const quality of JPEG_QUALITY_STEPS) {
+      const blob = await canvasToBlob(current, quality)
+      if (blob.size <= maxBytes) return blob
+    }
+    current = downscaleCanvas(current, DOWNSCALE_STEP)
+  }
+  const limitMb = Math.round(maxBytes / (1024 * 1024))
+  throw new ClientError(`Unable to compress this image under ${limitMb} MB.`, { reason: 'imageTooLarge', params: { limitMb } })
+}
+
+export const toJpegFile = (blob, originalName) => {
+  const baseName = originalName.replace(/\.[^.]+$/, '') || 'image'
+  return new File([blob], `${baseName}.jpg`, { type: OUTPUT_TYPE, lastModified: Date.now() })
+}
@@ -0,0 +1,103 @@
+// Browser notifications, an alert tone and tab progress for long-running
+// jobs. Everything here degrades to a no-op where the API is missing.
+
+const FAVICON_SIZE = 64
+
+export const notificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission)
+
+// Browsers only show the prompt in response to a user gesture, so callers
+// invoke this from click handlers.
+export const requestNotificationPermission = async () => {
+  if (notificationPermission() !== 'default') return notificationPermission()
+  try {
+    return await Notification.requestPermission()
+  } catch {
+    return notificationPermission()
+  }
+}
+
+export const showJobNotification = ({ title, body, jobId, onOpen }) => {
+  if (notificationPermission() !== 'granted') return
+  try {
+    // One notification per job: a later outcome replaces the earlier one.
+    const notification = new Notification(title, { body, tag: `job-${jobId}` })
+    notification.onclick = () => {
+      window.focus()
+      onOpen()
+      notification.close()
+    }
+  } catch {
+    // Some browsers only allow notifications from a service worker
+  }
+}
+
+let audioContext = null
+
+// A short two-note chime, synthesized so no audio asset has to ship.
+export const playNotificationSound = (status) => {
+  const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext
+  if (!AudioContextClass) return
+  try {
+    audioContext ??= new AudioContextClass()
+    const notes = status === 'error' ? [440, 330] : [660, 880]
+    notes.forEach((frequency, index) => {
+      const start = audioContext.currentTime + index * 0.16
+      const oscillator = audioContext.createOscillator()
+      const gain = audioContext.createGain()
+      oscillator.frequency.value = frequency
+      gain.gain.setValueAtTime(0.15, start)
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.15)
+      oscillator.connect(gain).connect(audioContext.destination)
+      oscillator.start(start)
+      oscillator.stop(start + 0.15)
+    })
+  } catch {
+    // Ignore audio errors
+  }
+}
+
+const faviconLink = () => document.querySelector('link[rel~="icon"]')
+
+const drawProgressFavicon = (percent) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = FAVICON_SIZE
+  canvas.height = FAVICON_SIZE
+  const context = canvas.getContext('2d')
+  if (!context) return ''
+  const center = FAVICON_SIZE / 2
+  const radius = center - 6
+  context.lineWidth = 10
+  context.strokeStyle = '#cfd8dc'
+  context.beginPath()
+  context.arc(center, center, radius, 0, Math.PI * 2)
+  context.stroke()
+  context.strokeStyle = '#1976d2'
+  context.beginPath()
+  context.arc(center, center, radius, -Math.PI / 2, -Math.PI / 2 + (Math.PI * 2 * percent) / 100)
+  context.stroke()
+  return canvas.toDataURL('image/png')
+}
+
+// Shows progress in the tab title and favicon; the returned function puts
+// the original ones back.
+export const showTabProgress = ({ percent, label }) => {
+  if (typeof document === 'undefined') return () => {}
+  const originalTitle = document.title
+  const link = faviconLink()
+  const originalIcon = link ? { href: link.getAttribute('href'), type: link.getAttribute('type') } : null
+
+  document.title = `${label} · ${originalTitle}`
+  const icon = link ? drawProgressFavicon(percent) : ''
+  if (icon) {
+    link.type = 'image/png'
+    link.href = icon
+  }
+
+  return () => {
+    document.title = originalTitle
+    if (link && originalIcon) {
+      link.setAttribute('href', originalIcon.href ?? '')
+      if (originalIcon.type) link.setAttribute('type', originalIcon.type)
+    }
+  }
+}
@@ -0,0 +1,26 @@
+export const formatJobStatusLabel = (status, t) => t(`jobStatus.${status}`, { defaultValue: status })
+
+export const jobStatusColor = {
+  idle: 'default',
+  queued: 'info',
+  filling: 'info',
+  complete: 'success',
+  error: 'error',
+  cancelled: 'warning',
+}
+
+const TERMINAL_JOB_STATUSES = new Set(['complete', 'error', 'cancelled'])
+
+export const isTerminalJobStatus = (status) => TERMINAL_JOB_STATUSES.has(status)
+
+export const isRunningJobStatus = (status) => status === 'queued' || status === 'filling'
+
+export const summarizeJob = (response) => ({
+  status: response.status ?? 'queued',
+  totalFields: response.totalFields ?? 0,
+  filledFields: response.filledFields ?? 0,
+  skippedFields: response.skippedFields ?? 0,
+  errorFields: response.errorFields ?? 0,
+  filledFormUrl: response.filledFormUrl ?? '',
+  updatedAt: new Date().toISOString(),
+})
@@ -0,0 +1,75 @@
+const STREAM_EVENT_TYPES = ['job', 'field']
+const STREAM_MAX_RECONNECTS = 5
+const STREAM_RECONNECT_BASE_MS = 1000
+
+// Subscribes to the job progress stream. EventSource already retries dropped
+// connections on its own; we only step in once it gives up (readyState CLOSED),
+// reconnecting with backoff if the stream worked before and handing over to
+// `onUnavailable` (polling) when it never opened or keeps failing. `url` may
+// be an async function so every reconnect picks up a fresh stream ticket.
+export const openJobStream = (url, { onMessage, onUnavailable }) => {
+  if (typeof EventSource === 'undefined') {
+    onUnavailable()
+    return () => {}
+  }
+
+  let source = null
+  let reconnectTimer = null
+  let reconnectAttempts = 0
+  let hasOpened = false
+  let closed = false
+
+  const close = () => {
+    closed = true
+    clearTimeout(reconnectTimer)
+    source?.close()
+  }
+
+  const handleMessage = (event) => {
+    if (closed) return
+    let data
+    try {
+      data = JSON.parse(event.data)
+    } catch {
+      return // Ignore malformed events
+    }
+    onMessage(data)
+  }
+
+  const connect = async () => {
+    let resolvedUrl
+    try {
+      resolvedUrl = typeof url === 'function' ? await url() : url
+    } catch {
+      resolvedUrl = null
+    }
+    if (closed) return
+    if (!resolvedUrl) {
+      close()
+      onUnavailable()
+      return
+    }
+
+    source = new EventSource(resolvedUrl)
+    source.addEventListener('open', () => {
+      hasOpened = true
+      reconnectAttempts = 0
+    })
+    STREAM_EVENT_TYPES.forEach((type) => source.addEventListener(type, handleMessage))
+    source.addEventListener('error', () => {
+      if (closed || source.readyState !== EventSource.CLOSED) return
+
+      if (!hasOpened || reconnectAttempts >= STREAM_MAX_RECONNECTS) {
+        close()
+        onUnavailable()
+        return
+      }
+
+      reconnectAttempts += 1
+      reconnectTimer = setTimeout(connect, STREAM_RECONNECT_BASE_MS * 2 ** (reconnectAttempts - 1))
+    })
+  }
+
+  void connect()
+  return close
+}
@@ -0,0 +1,74 @@
+import { createFormFillStreamTicket, formFillEventsUrl, getFormFillJob, parseFormFillEvent } from './apiClient'
+import { getAuthSession } from './auth'
+import { isTerminalJobStatus } from './jobStatus'
+import { openJobStream } from './jobStream'
+
+const JOB_POLL_INTERVAL_MS = 2000
+
+// Follows one form-fill job until it reaches a terminal status: streams
+// progress events when the backend supports it and falls back to polling
+// otherwise. Returns a function that stops tracking.
+export const trackFormFillJob = ({ userId, jobId, formReference, onUpdate, onError }) => {
+  let stopped = false
+  let pollTimer = null
+  let pollController = null
+  let closeStream = null
+
+  const stop = () => {
+    stopped = true
+    clearTimeout(pollTimer)
+    pollController?.abort()
+    closeStream?.()
+  }
+
+  const handleUpdate = (response) => {
+    if (stopped) return
+    onUpdate(response)
+    if (isTerminalJobStatus(response.status)) {
+      stop()
+    }
+  }
+
+  const handleError = (error) => {
+    if (stopped) return
+    stop()
+    onError(error)
+  }
+
+  const schedulePoll = () => {
+    pollTimer = setTimeout(async () => {
+      pollController = new AbortController()
+      try {
+        const response = await getFormFillJob({ userId, jobId, formReference, signal: pollController.signal })
+        handleUpdate(response)
+        if (!stopped) schedulePoll()
+      } catch (error) {
+        if (!pollController.signal.aborted) handleError(error)
+      }
+    }, JOB_POLL_INTERVAL_MS)
+  }
+
+  // Tickets are single-use, so every (re)connect asks for a new one.
+  const streamUrl = async () => {
+    const ticket = getAuthSession() ? (await createFormFillStreamTicket({ userId, jobId })).ticket : ''
+    return formFillEventsUrl({ userId, jobId, formReference, ticket })
+  }
+
+  closeStream = openJobStream(streamUrl, {
+    onMessage: (data) => {
+      let event
+      try {
+        event = parseFormFillEvent(data)
+      } catch (error) {
+        handleError(error)
+        return
+      }
+      handleUpdate(event)
+    },
+    onUnavailable: () => {
+      if (!stopped) schedulePoll()
+    },
+  })
+
+  return stop
+}
@@ -0,0 +1,45 @@
+const NOTIFICATION_SETTINGS_PREFIX = 'notification_settings_'
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  notifyOnComplete: true,
+  notifyOnError: true,
+  sound: false,
+}
+
+const settingsKey = (userId) => `${NOTIFICATION_SETTINGS_PREFIX}${userId}`
+
+// Settings are per user and must be known synchronously when a job event
+// arrives, so they live in localStorage next to the active job pointer.
+export const readNotificationSettings = (userId) => {
+  if (typeof localStorage === 'undefined' || !userId) return DEFAULT_NOTIFICATION_SETTINGS
+  try {
+    const parsed = JSON.parse(localStorage.getItem(settingsKey(userId)) ?? 'null')
+    return { ...DEFAULT_NOTIFICATION_SETTINGS, ...(parsed && typeof parsed === 'object' ? parsed : {}) }
+  } catch {
+    return DEFAULT_NOTIFICATION_SETTINGS
+  }
+}
+
+export const writeNotificationSettings = (userId, settings) => {
+  if (typeof localStorage === 'undefined' || !userId) return
+  try {
+    localStorage.setItem(settingsKey(userId), JSON.stringify(settings))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const migrateNotificationSettings = (fromUserId, toUserId) => {
+  if (typeof localStorage === 'undefined' || !fromUserId || !toUserId) return
+  try {
+    const stored = localStorage.getItem(settingsKey(fromUserId))
+    if (stored === null) return
+    if (localStorage.getItem(settingsKey(toUserId)) === null) localStorage.setItem(settingsKey(toUserId), stored)
+    localStorage.removeItem(settingsKey(fromUserId))
+  } catch {
+    // Ignore storage errors
+  }
+}
+
+export const shouldNotify = (settings, status) =>
+  (status === 'complete' && settings.notifyOnComplete) || (status === 'error' && settings.notifyOnError)
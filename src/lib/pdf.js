@@ -0,0 +1,28 @@
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist'
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+
+GlobalWorkerOptions.workerSrc = pdfWorkerUrl
+
+export const loadPdfDocument = (source) => getDocument(source)
+
+// Converts a rectangle in PDF user space to percentages of the rendered page
+// so overlays stay aligned regardless of the canvas' CSS size.
+export const toViewportPercentRect = (rect, viewport) => {
+  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect)
+  return {
+    left: (Math.min(x1, x2) / viewport.width) * 100,
+    top: (Math.min(y1, y2) / viewport.height) * 100,
+    width: (Math.abs(x2 - x1) / viewport.width) * 100,
+    height: (Math.abs(y2 - y1) / viewport.height) * 100,
+  }
+}
+
+// Widget annotations carry the AcroForm field name and its rectangle.
+export const extractFieldRects = (annotations, viewport) =>
+  annotations
+    .filter((annotation) => annotation.subtype === 'Widget' && annotation.fieldName && annotation.rect)
+    .map((annotation) => ({
+      id: annotation.id,
+      fieldName: annotation.fieldName,
+      ...toViewportPercentRect(annotation.rect, viewport),
+    }))
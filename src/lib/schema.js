@@ -0,0 +1,74 @@
+// Minimal runtime validators for backend responses. Each schema is a function
+// `(value, path) => parsedValue` that throws a SchemaError naming the first
+// offending property.
+
+export class SchemaError extends Error {
+  constructor(path, expected, received) {
+    super(`${path || 'response'} should be ${expected} but was ${describe(received)}`)
+    this.name = 'SchemaError'
+    this.path = path
+  }
+}
+
+const describe = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'an array'
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${JSON.stringify(value)}`
+}
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key)
+
+const primitive = (type) => () => (value, path) => {
+  if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+    throw new SchemaError(path, `a ${type}`, value)
+  }
+  return value
+}
+
+export const string = primitive('string')
+export const number = primitive('number')
+export const boolean = primitive('boolean')
+
+export const literal = (...allowed) => (value, path) => {
+  if (!allowed.includes(value)) {
+    throw new SchemaError(path, `one of ${allowed.map((option) => JSON.stringify(option)).join(', ')}`, value)
+  }
+  return value
+}
+
+// Missing and null values are both accepted and normalized to undefined, since
+// the backend serializes unset optional fields as null.
+export const optional = (schema) => (value, path) => (value === undefined || value === null ? undefined : schema(value, path))
+
+export const union = (...schemas) => (value, path) => {
+  for (const schema of schemas) {
+    try {
+      return schema(value, path)
+    } catch {
+      // Try the next alternative
+    }
+  }
+  throw new SchemaError(path, 'a supported value', value)
+}
+
+export const array = (itemSchema) => (value, path) => {
+  if (!Array.isArray(value)) throw new SchemaError(path, 'an array', value)
+  return value.map((item, index) => itemSchema(item, joinPath(path, index)))
+}
+
+// Unknown keys are kept so additive backend changes do not break the client.
+export const object = (shape) => (value, path) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new SchemaError(path, 'an object', value)
+  }
+  const parsed = { ...value }
+  Object.entries(shape).forEach(([key, schema]) => {
+    const result = schema(value[key], joinPath(path, key))
+    if (result === undefined) {
+      delete parsed[key]
+    } else {
+      parsed[key] = result
+    }
+  })
+  return parsed
+}
@@ -0,0 +1,314 @@
+export default {
+  'app.title': 'PDF Form Fill MVP',
+  'app.intro':
+    'Lade Nachweisdokumente hoch, füge das Zielformular hinzu und starte das Ausfüllen, sobald alles bereit ist. Deine Dateien und Aufträge werden in deinem Konto gespeichert.',
+  'app.signedInAs': 'Angemeldet als {name}',
+  'app.signOut': 'Abmelden',
+  'app.migrationFailed':
+    'Dateien und Aufträge von vor der Anmeldung konnten nicht in dein Konto übernommen werden. Melde dich erneut an, um es noch einmal zu versuchen.',
+  'app.tabs.workspace': 'Arbeitsbereich',
+  'app.tabs.history': 'Verlauf',
+  'app.language': 'Sprache',
+
+  'auth.intro': 'Melde dich an, um deine Dokumente und Aufträge browserübergreifend in deinem Konto zu behalten.',
+  'auth.signIn': 'Anmelden',
+  'auth.redirecting': 'Weiterleitung...',
+  'auth.signingIn': 'Anmeldung läuft...',
+  'auth.startFailed': 'Anmeldung konnte nicht gestartet werden',
+  'auth.failed': 'Anmeldung fehlgeschlagen',
+
+  'targetForm.title': 'Zielformular',
+  'targetForm.sourceLink': 'Link',
+  'targetForm.sourceUpload': 'PDF hochladen',
+  'targetForm.urlLabel': 'Link zum Zielformular',
+  'targetForm.urlInvalid': 'Gib einen gültigen HTTPS-Link zum leeren Formular ein.',
+  'targetForm.urlHelper': 'Öffentlicher Link zum leeren PDF-Formular, das ausgefüllt werden soll.',
+  'targetForm.ready': 'Bereit',
+  'targetForm.error': 'Fehler',
+  'targetForm.uploading': 'Wird hochgeladen',
+  'targetForm.viewBlank': 'Leeres Formular ansehen',
+  'targetForm.remove': 'Formular entfernen',
+  'targetForm.uploadHint': 'Lade das leere PDF hoch, wenn es auf einem lokalen Laufwerk oder hinter einem Intranet-Login liegt.',
+  'targetForm.choose': 'Leeres Formular auswählen',
+  'targetForm.notPdf': 'Das Zielformular muss ein PDF sein.',
+  'targetForm.uploadFailed': 'Formular konnte nicht hochgeladen werden',
+
+  'formLibrary.title': 'Formularbibliothek',
+  'formLibrary.browse': 'Formularbibliothek ({count})',
+  'formLibrary.saveCurrent': 'In Bibliothek speichern',
+  'formLibrary.alreadySaved': 'Bereits als „{name}“ gespeichert',
+  'formLibrary.search': 'Nach Name, Beschreibung, Tag oder Link suchen',
+  'formLibrary.empty': 'Noch keine gespeicherten Formulare. Geben Sie einen Formularlink ein und speichern Sie ihn, um ihn wiederzuverwenden.',
+  'formLibrary.noMatch': 'Kein gespeichertes Formular entspricht Ihrer Suche.',
+  'formLibrary.pin': 'Als Favorit anheften',
+  'formLibrary.unpin': 'Lösen',
+  'formLibrary.edit': 'Bearbeiten',
+  'formLibrary.delete': 'Aus der Bibliothek entfernen',
+  'formLibrary.close': 'Schließen',
+  'formLibrary.saveTitle': 'Formular in Bibliothek speichern',
+  'formLibrary.editTitle': 'Gespeichertes Formular bearbeiten',
+  'formLibrary.name': 'Name',
+  'formLibrary.description': 'Beschreibung',
+  'formLibrary.tags': 'Tags',
+  'formLibrary.tagsHelper': 'Tags durch Kommas trennen, z. B. Wohnen, 2026',
+  'formLibrary.cancel': 'Abbrechen',
+  'formLibrary.save': 'Speichern',
+  'formLibrary.saving': 'Wird gespeichert...',
+  'formLibrary.saveFailed': 'Formular konnte nicht gespeichert werden',
+  'formLibrary.updateFailed': 'Formularbibliothek konnte nicht aktualisiert werden',
+  'formLibrary.loadFailed': 'Formularbibliothek konnte nicht geladen werden.',
+
+  'documents.title': 'Nachweisdokumente',
+  'documents.uploadFiles': 'Dateien hochladen',
+  'documents.uploadFilesHint': 'PDFs oder Bilder einzeln hochladen (max. {limit})',
+  'documents.uploadFolder': 'Ordner hochladen',
+  'documents.uploadFolderHint': 'Alle PDFs und Bilder eines Ordners einschließlich Unterordnern hochladen',
+  'documents.refresh': 'Aktualisieren',
+  'documents.refreshHint': 'Aktuelle Daten vom Server abrufen',
+  'documents.helper':
+    'Dateien werden sofort hochgeladen und mit dem Zielformular verknüpft, sobald du es angibst. Du kannst auch Dateien oder Ordner auf die Liste ziehen oder einen Screenshot einfügen. Füge den Formularlink hinzu oder lade das leere PDF hoch, bevor du das Ausfüllen startest.',
+  'documents.loading': 'Gespeicherte Dateien werden geladen...',
+  'documents.empty': 'Noch keine Dateien. Füge Dateien hinzu, ziehe sie hierher oder füge sie ein, um loszulegen.',
+  'documents.dropHere': 'Dateien oder Ordner zum Hochladen ablegen',
+  'documents.viewOnS3': 'In S3 ansehen',
+  'documents.pendingLink': 'Link ausstehend',
+  'documents.pause': 'Upload pausieren',
+  'documents.resume': 'Upload fortsetzen',
+  'documents.delete': 'Datei löschen',
+  'documents.cancel': 'Upload abbrechen',
+  'documents.skipped': {
+    one: '{count} Datei übersprungen, die nicht wie ein PDF oder Bild aussah.',
+    other: '{count} Dateien übersprungen, die nicht wie PDFs oder Bilder aussahen.',
+  },
+  'documents.dropUnreadable':
+    'Einige abgelegte Elemente konnten nicht gelesen werden. Wähle sie stattdessen über die Upload-Schaltfläche aus.',
+  'documents.loadFailed': 'Frühere Uploads konnten nicht geladen werden.',
+  'documents.uploadFailed': 'Upload fehlgeschlagen',
+  'documents.deleteFailed': 'Löschen nicht möglich',
+  'documents.progress.stored': '{size} • In S3 gespeichert',
+  'documents.progress.rejected': '{size} • Nicht hochgeladen',
+  'documents.progress.editing': '{size} • Wartet auf Bildbearbeitung',
+  'documents.progress.uploading': '{uploaded} von {size} • {percent} %',
+  'documents.progress.preparing': '{size} • Upload wird vorbereitet',
+  'documents.type': 'Dokumenttyp',
+  'documents.typeUnset': 'Typ wählen',
+  'documents.acceptSuggestion': 'Vorschlag übernehmen: {type}',
+  'documents.typeFailed': 'Dokumenttyp konnte nicht gespeichert werden',
+  'documents.useInJob': '{name} im nächsten Auftrag verwenden',
+  'documents.selectAll': 'Alle Dokumente auswählen',
+  'documents.selectedCount': '{count} von {total} für den nächsten Auftrag ausgewählt',
+
+  'uploadStatus.editing': 'In Bearbeitung',
+  'uploadStatus.validating': 'Wird geprüft',
+  'uploadStatus.rejected': 'Abgelehnt',
+  'uploadStatus.uploading': 'Wird hochgeladen',
+  'uploadStatus.paused': 'Pausiert',
+  'uploadStatus.uploaded': 'Hochgeladen',
+  'uploadStatus.extracted': 'Ausgelesen',
+  'uploadStatus.processing': 'Wird verarbeitet',
+  'uploadStatus.error': 'Fehler',
+  'uploadStatus.deleting': 'Wird gelöscht',
+
+  'documentType.id': 'Ausweis',
+  'documentType.pay_stub': 'Gehaltsabrechnung',
+  'documentType.tax_return': 'Steuererklärung',
+  'documentType.lease': 'Mietvertrag',
+  'documentType.other': 'Sonstiges',
+
+  'validation.unreadable': 'Diese Datei konnte nicht gelesen werden.',
+  'validation.empty': 'Diese Datei ist leer.',
+  'validation.tooLarge': 'Diese Datei überschreitet das Upload-Limit von {limit}.',
+  'validation.unsupported': 'Nicht unterstützter Dateityp. Lade ein PDF oder ein PNG-, JPEG-, TIFF- oder WebP-Bild hoch.',
+  'validation.typeMismatch':
+    'Der Dateiinhalt ist {detected}, die Datei ist aber als {declared} gekennzeichnet. Prüfe die Dateiendung.',
+  'validation.pdfTruncated': 'Dieses PDF scheint abgeschnitten oder beschädigt zu sein (keine Dateiende-Markierung).',
+  'validation.pdfEncrypted':
+    'Dieses PDF ist verschlüsselt oder passwortgeschützt. Entferne den Schutz und lade es erneut hoch.',
+
+  'pipeline.title': 'Ausfüll-Pipeline',
+  'pipeline.start': 'Formular ausfüllen',
+  'pipeline.viewJob': 'Auftrag ansehen',
+  'pipeline.noDocumentsSelected': 'Wählen Sie mindestens ein Nachweisdokument aus, um das Formular auszufüllen.',
+  'pipeline.usingProfile': 'Bekannte Werte aus dem Profil „{name}“ haben Vorrang vor extrahierten Werten.',
+
+  'profiles.title': 'Antragstellerprofile',
+  'profiles.helper':
+    'Bekannte Werte (Name, Adresse, SSN, Arbeitgeber...) werden mit jedem Auftrag gesendet und haben Vorrang vor dem, was die Pipeline aus Dokumenten extrahiert. Profile werden in deinem Konto gespeichert.',
+  'profiles.useForJobs': 'Profil für neue Aufträge',
+  'profiles.none': 'Kein Profil',
+  'profiles.new': 'Neues Profil',
+  'profiles.defaultName': 'Profil {count}',
+  'profiles.empty': 'Noch keine Profile. Legen Sie eines an, um bekannte Werte in mehreren Formularen zu verwenden.',
+  'profiles.noneSelected': 'Aufträge verwenden nur Werte aus Dokumenten. Wählen Sie ein Profil zum Bearbeiten oder Anwenden.',
+  'profiles.name': 'Profilname',
+  'profiles.delete': 'Profil löschen',
+  'profiles.factKey': 'Angabe',
+  'profiles.factValue': 'Wert',
+  'profiles.removeFact': 'Angabe entfernen',
+  'profiles.addFact': 'Angabe hinzufügen',
+  'profiles.valueCount': { one: '{count} Wert wird gesendet', other: '{count} Werte werden gesendet' },
+  'profiles.discard': 'Änderungen verwerfen',
+  'profiles.save': 'Profil speichern',
+  'profiles.saving': 'Wird gespeichert...',
+  'profiles.saveFailed': 'Profil konnte nicht gespeichert werden',
+  'profiles.deleteFailed': 'Profil konnte nicht gelöscht werden',
+  'profiles.loadFailed': 'Deine Profile konnten nicht geladen werden',
+
+  'jobStatus.idle': 'Wartet auf Uploads und Formularlink',
+  'jobStatus.queued': 'Auftrag in Warteschlange',
+  'jobStatus.filling': 'Pipeline läuft',
+  'jobStatus.complete': 'Ausgefülltes PDF bereit',
+  'jobStatus.error': 'Auftrag fehlgeschlagen',
+  'jobStatus.cancelled': 'Auftrag abgebrochen',
+
+  'notifications.settings': 'Auftragsbenachrichtigungen',
+  'notifications.helper': 'Erhalten Sie eine Desktop-Benachrichtigung, wenn ein in diesem Tab gestarteter Auftrag endet – auch wenn Sie in einem anderen Tab arbeiten.',
+  'notifications.notifyOnComplete': 'Benachrichtigen, wenn ein Auftrag fertig ist',
+  'notifications.notifyOnError': 'Benachrichtigen, wenn ein Auftrag fehlschlägt',
+  'notifications.sound': 'Ton abspielen',
+  'notifications.allow': 'Desktop-Benachrichtigungen erlauben',
+  'notifications.blocked': 'Benachrichtigungen sind für diese Website blockiert. Erlauben Sie sie in den Browsereinstellungen, um Hinweise zu erhalten.',
+  'notifications.unsupported': 'Dieser Browser unterstützt keine Desktop-Benachrichtigungen.',
+  'notifications.completeTitle': 'Ausgefülltes PDF bereit',
+  'notifications.completeBody': '{filled} von {total} Feldern ausgefüllt. Klicken, um die Ergebnisse zu öffnen.',
+  'notifications.errorTitle': 'Ausfüllen fehlgeschlagen',
+  'tabProgress.queued': 'In Warteschlange',
+  'tabProgress.filling': '{percent} % – wird ausgefüllt',
+  'tabProgress.batch': '{done}/{total} Formulare – {percent} %',
+
+  'jobErrors.pipeline': 'Die Pipeline hat einen Fehler gemeldet.',
+  'jobErrors.lostTrack': 'Verbindung zum Auftrag verloren',
+  'jobErrors.start': 'Ausfüllen konnte nicht gestartet werden',
+  'jobErrors.load': 'Dieser Auftrag konnte nicht geladen werden',
+  'jobErrors.cancel': 'Auftrag konnte nicht abgebrochen werden',
+  'jobErrors.retry': 'Felder konnten nicht erneut versucht werden',
+  'jobErrors.corrections': 'Korrekturen konnten nicht übernommen werden',
+
+  'errors.network': 'Der Server ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+  'errors.requestFailed': 'Anfrage fehlgeschlagen ({status})',
+  'errors.unexpectedResponse': 'Der Server hat eine Antwort gesendet, die diese App nicht versteht.',
+  'errors.uploadNetwork': 'Netzwerkfehler beim Hochladen',
+  'errors.chunkFailed': 'Hochladen eines Teilstücks fehlgeschlagen ({status})',
+  'errors.chunkRejected': 'Die Upload-Sitzung hat das Teilstück nicht angenommen',
+  'errors.downloadFailed': '{name} konnte nicht heruntergeladen werden ({status})',
+  'errors.imageEncodeFailed': 'Das Bild konnte nicht kodiert werden.',
+  'errors.imageTooLarge': 'Das Bild konnte nicht unter {limitMb} MB komprimiert werden.',
+  'errors.storageUnavailable': 'Dieser Browser erlaubt der App keinen lokalen Speicher.',
+  'errors.discoveryFailed': 'Erkennung des Identitätsanbieters fehlgeschlagen ({status})',
+  'errors.identityProviderUnreachable': 'Der Identitätsanbieter ist nicht erreichbar.',
+  'errors.incompleteTokens': 'Der Identitätsanbieter hat eine unvollständige Token-Antwort geliefert.',
+  'errors.tokenRequestFailed': 'Token-Anfrage fehlgeschlagen ({status})',
+  'errors.signInLinkExpired': 'Dieser Anmeldelink ist nicht mehr gültig. Bitte melde dich erneut an.',
+  'errors.signInMismatch': 'Die Antwort des Identitätsanbieters passt nicht zu diesem Anmeldeversuch.',
+
+  'fieldStatus.filled': 'Ausgefüllt',
+  'fieldStatus.skipped': 'Übersprungen',
+  'fieldStatus.error': 'Fehler',
+  'fieldStatus.prompting': 'Wird abgefragt',
+  'fieldStatus.pending': 'Ausstehend',
+
+  'fieldSource.profile': 'Profil',
+  'fieldSource.document': 'Dokument',
+  'fieldSource.manual': 'Bearbeitet',
+
+  'sourceViewer.location': '{name} · Seite {page}',
+  'sourceViewer.openOriginal': 'Originaldokument öffnen',
+  'sourceViewer.close': 'Schließen',
+  'sourceViewer.unavailable': 'Dieses Dokument ist nicht mehr in deinem Arbeitsbereich.',
+  'sourceViewer.loadFailed': 'Das Quelldokument konnte nicht geladen werden.',
+  'sourceViewer.unsupported': 'Dieser Dokumenttyp kann nicht angezeigt werden.',
+  'sourceViewer.renderFailed': 'Die Quellseite konnte nicht angezeigt werden.',
+  'sourceViewer.noRegion': 'Für diesen Wert wurde keine genaue Position gespeichert.',
+
+  'fieldCounts.summary': 'Ausgefüllt {filled} • Übersprungen {skipped} • Fehler {errors}',
+  'fieldCounts.summaryOfTotal': 'Ausgefüllt {filled} • Übersprungen {skipped} • Fehler {errors} von {total}',
+
+  'history.title': 'Frühere Aufträge',
+  'history.empty': 'Gestartete Aufträge erscheinen hier, damit du ihre Ergebnisse wieder öffnen kannst.',
+  'history.open': 'Öffnen',
+  'history.remove': 'Aus dem Verlauf entfernen',
+  'history.unknownForm': 'Unbekanntes Formular',
+
+  'jobDetail.allJobs': 'Alle Aufträge',
+  'jobDetail.title': 'Ausfüllauftrag',
+  'jobDetail.cancel': 'Abbrechen',
+  'jobDetail.cancelling': 'Wird abgebrochen...',
+  'jobDetail.jobId': 'Auftrags-ID: {jobId}',
+  'jobDetail.retryFailed': 'Fehlerhafte Felder wiederholen ({count})',
+  'jobDetail.retrySkipped': 'Übersprungene Felder wiederholen ({count})',
+  'jobDetail.fieldsProcessed': 'Verarbeitete Felder: {completed}/{total}',
+  'jobDetail.export': 'Feldergebnisse exportieren:',
+  'jobDetail.filledReady': 'Ausgefülltes Formular bereit.',
+  'jobDetail.openFilled': 'Ausgefülltes PDF öffnen',
+
+  'fieldResults.title': 'Feldergebnisse ({count})',
+  'fieldResults.search': 'Felder oder Werte suchen',
+  'fieldResults.empty': 'Noch keine Feldergebnisse.',
+  'fieldResults.noMatch': 'Keine Felder entsprechen den aktuellen Filtern.',
+  'fieldResults.provenance': '{name} · S. {page}',
+  'fieldColumns.field': 'Feld',
+  'fieldColumns.status': 'Status',
+  'fieldColumns.value': 'Wert',
+  'fieldColumns.source': 'Quelle',
+
+  'fieldReview.title': 'Feldwerte prüfen',
+  'fieldReview.helper':
+    'Korrigiere falsche Werte, fülle übersprungene Felder aus oder leere Felder, die leer bleiben sollen, und erzeuge das PDF dann neu.',
+  'fieldReview.discard': 'Verwerfen',
+  'fieldReview.regenerating': 'Wird neu erzeugt...',
+  'fieldReview.apply': 'Korrekturen übernehmen',
+  'fieldReview.applyCount': {
+    one: '{count} Korrektur übernehmen',
+    other: '{count} Korrekturen übernehmen',
+  },
+  'fieldReview.edited': 'Bearbeitet',
+  'fieldReview.enterValue': 'Wert eingeben',
+  'fieldReview.clear': 'Wert leeren',
+  'fieldReview.revert': 'Auf Pipeline-Wert zurücksetzen',
+
+  'preview.title': 'Vorschau des ausgefüllten Formulars',
+  'preview.loadFailed': 'Das ausgefüllte PDF konnte nicht geladen werden.',
+  'preview.renderFailed': 'Diese Seite konnte nicht dargestellt werden.',
+  'preview.page': 'Seite {page} von {count}',
+  'preview.previousPage': 'Vorherige Seite',
+  'preview.nextPage': 'Nächste Seite',
+
+  'batch.title': 'Stapelmodus',
+  'batch.description': 'Stelle mehrere Zielformulare in die Warteschlange und fülle jedes mit denselben Nachweisdokumenten aus.',
+  'batch.sequential': 'Nacheinander',
+  'batch.concurrent': 'Alle gleichzeitig',
+  'batch.formUrl': 'Formular-URL',
+  'batch.add': 'Hinzufügen',
+  'batch.addCurrent': 'Aktuelles Formular hinzufügen',
+  'batch.empty': 'Füge Zielformulare hinzu, um einen Stapel zu erstellen.',
+  'batch.pending': 'Ausstehend',
+  'batch.showFields': 'Feldergebnisse anzeigen',
+  'batch.hideFields': 'Feldergebnisse ausblenden',
+  'batch.remove': 'Aus dem Stapel entfernen',
+  'batch.documentsNotReady': 'Lade zuerst alle Nachweisdokumente hoch, bevor du den Stapel startest.',
+  'batch.run': 'Stapel starten',
+  'batch.running': 'Stapel läuft...',
+  'batch.stop': 'Stapel stoppen',
+  'batch.downloadAll': 'Alle herunterladen',
+  'batch.downloadAllCount': 'Alle herunterladen ({count})',
+  'batch.bundling': 'Wird gepackt...',
+  'batch.cancelFailed': 'Dieser Auftrag konnte nicht abgebrochen werden',
+  'batch.bundleFailed': 'Das Download-Paket konnte nicht erstellt werden',
+
+  'imageEditor.title': 'Bild vorbereiten',
+  'imageEditor.intro':
+    '{name} • {size}. Drehe und begradige das Bild und ziehe darüber, um es zuzuschneiden. Das Ergebnis wird als JPEG innerhalb des Upload-Limits gespeichert.',
+  'imageEditor.loadFailed': 'Dieses Bild konnte nicht zur Bearbeitung geöffnet werden.',
+  'imageEditor.useOriginalHint': 'Du kannst trotzdem die Originaldatei hochladen.',
+  'imageEditor.heicConvertHint':
+    'HEIC-Fotos können nicht unverändert hochgeladen werden. Exportiere das Foto auf deinem Gerät als JPEG und lade es stattdessen hoch.',
+  'imageEditor.processFailed': 'Dieses Bild konnte nicht verarbeitet werden.',
+  'imageEditor.rotateLeft': 'Nach links drehen',
+  'imageEditor.rotateRight': 'Nach rechts drehen',
+  'imageEditor.resetCrop': 'Zuschnitt zurücksetzen',
+  'imageEditor.straighten': 'Begradigen ({degrees}°)',
+  'imageEditor.discard': 'Verwerfen',
+  'imageEditor.uploadOriginal': 'Original hochladen',
+  'imageEditor.upload': 'Hochladen',
+  'imageEditor.processing': 'Wird verarbeitet...',
+}
@@ -0,0 +1,311 @@
+export default {
+  'app.title': 'PDF Form Fill MVP',
+  'app.intro':
+    'Upload supporting documents, add the target form, and trigger the filling pipeline once everything is ready. Your files and jobs are kept with your account.',
+  'app.signedInAs': 'Signed in as {name}',
+  'app.signOut': 'Sign out',
+  'app.migrationFailed':
+    'Files and jobs from before you signed in could not be moved to your account. Sign in again to retry.',
+  'app.tabs.workspace': 'Workspace',
+  'app.tabs.history': 'History',
+  'app.language': 'Language',
+
+  'auth.intro': 'Sign in to keep your documents and jobs with your account across browsers.',
+  'auth.signIn': 'Sign in',
+  'auth.redirecting': 'Redirecting...',
+  'auth.signingIn': 'Signing you in...',
+  'auth.startFailed': 'Unable to start sign-in',
+  'auth.failed': 'Sign-in failed',
+
+  'targetForm.title': 'Target form',
+  'targetForm.sourceLink': 'Link',
+  'targetForm.sourceUpload': 'Upload PDF',
+  'targetForm.urlLabel': 'Target form link',
+  'targetForm.urlInvalid': 'Enter a valid HTTPS link to the blank form.',
+  'targetForm.urlHelper': 'Public link to the blank PDF form users need filled.',
+  'targetForm.ready': 'Ready',
+  'targetForm.error': 'Error',
+  'targetForm.uploading': 'Uploading',
+  'targetForm.viewBlank': 'View blank form',
+  'targetForm.remove': 'Remove form',
+  'targetForm.uploadHint': 'Upload the blank PDF when it lives on a local drive or behind an intranet login.',
+  'targetForm.choose': 'Choose blank form',
+  'targetForm.notPdf': 'The target form must be a PDF.',
+  'targetForm.uploadFailed': 'Form upload failed',
+
+  'formLibrary.title': 'Form library',
+  'formLibrary.browse': 'Form library ({count})',
+  'formLibrary.saveCurrent': 'Save to library',
+  'formLibrary.alreadySaved': 'Already saved as “{name}”',
+  'formLibrary.search': 'Search by name, description, tag or link',
+  'formLibrary.empty': 'No saved forms yet. Enter a form link and save it to the library to reuse it.',
+  'formLibrary.noMatch': 'No saved form matches your search.',
+  'formLibrary.pin': 'Pin as favorite',
+  'formLibrary.unpin': 'Unpin',
+  'formLibrary.edit': 'Edit',
+  'formLibrary.delete': 'Remove from library',
+  'formLibrary.close': 'Close',
+  'formLibrary.saveTitle': 'Save form to library',
+  'formLibrary.editTitle': 'Edit saved form',
+  'formLibrary.name': 'Name',
+  'formLibrary.description': 'Description',
+  'formLibrary.tags': 'Tags',
+  'formLibrary.tagsHelper': 'Separate tags with commas, e.g. housing, 2026',
+  'formLibrary.cancel': 'Cancel',
+  'formLibrary.save': 'Save',
+  'formLibrary.saving': 'Saving...',
+  'formLibrary.saveFailed': 'Could not save the form',
+  'formLibrary.updateFailed': 'Could not update the form library',
+  'formLibrary.loadFailed': 'Could not load the form library.',
+
+  'documents.title': 'Supporting documents',
+  'documents.uploadFiles': 'Upload Files',
+  'documents.uploadFilesHint': 'Upload PDFs or images one at a time ({limit} cap)',
+  'documents.uploadFolder': 'Upload Folder',
+  'documents.uploadFolderHint': 'Upload every PDF and image inside a folder, including subfolders',
+  'documents.refresh': 'Refresh',
+  'documents.refreshHint': 'Fetch the latest data from the backend',
+  'documents.helper':
+    'Files upload immediately and reference the target form once you provide it. Drag files or folders onto the list, or paste a screenshot, to add them too. Add the form link or upload the blank PDF before starting the fill job.',
+  'documents.loading': 'Loading your saved files...',
+  'documents.empty': 'No uploads yet. Add, drop or paste files to kick things off.',
+  'documents.dropHere': 'Drop files or folders to upload',
+  'documents.viewOnS3': 'View on S3',
+  'documents.pendingLink': 'Pending link',
+  'documents.pause': 'Pause upload',
+  'documents.resume': 'Resume upload',
+  'documents.delete': 'Delete file',
+  'documents.cancel': 'Cancel upload',
+  'documents.skipped': {
+    one: 'Skipped {count} file that did not look like a PDF or image.',
+    other: 'Skipped {count} files that did not look like PDFs or images.',
+  },
+  'documents.dropUnreadable': 'Some dropped items could not be read. Try selecting them with the upload button instead.',
+  'documents.loadFailed': 'Failed to load previous uploads.',
+  'documents.uploadFailed': 'Upload failed',
+  'documents.deleteFailed': 'Unable to delete',
+  'documents.progress.stored': '{size} • Stored in S3',
+  'documents.progress.rejected': '{size} • Not uploaded',
+  'documents.progress.editing': '{size} • Waiting for image edits',
+  'documents.progress.uploading': '{uploaded} of {size} • {percent}%',
+  'documents.progress.preparing': '{size} • Preparing upload',
+  'documents.type': 'Document type',
+  'documents.typeUnset': 'Choose a type',
+  'documents.acceptSuggestion': 'Use suggestion: {type}',
+  'documents.typeFailed': 'Could not save the document type',
+  'documents.useInJob': 'Use {name} in the next job',
+  'documents.selectAll': 'Select all documents',
+  'documents.selectedCount': '{count} of {total} selected for the next job',
+
+  'uploadStatus.editing': 'Editing',
+  'uploadStatus.validating': 'Checking',
+  'uploadStatus.rejected': 'Rejected',
+  'uploadStatus.uploading': 'Uploading',
+  'uploadStatus.paused': 'Paused',
+  'uploadStatus.uploaded': 'Uploaded',
+  'uploadStatus.extracted': 'Extracted',
+  'uploadStatus.processing': 'Processing',
+  'uploadStatus.error': 'Error',
+  'uploadStatus.deleting': 'Deleting',
+
+  'documentType.id': 'ID',
+  'documentType.pay_stub': 'Pay stub',
+  'documentType.tax_return': 'Tax return',
+  'documentType.lease': 'Lease',
+  'documentType.other': 'Other',
+
+  'validation.unreadable': 'This file could not be read.',
+  'validation.empty': 'This file is empty.',
+  'validation.tooLarge': 'This file is larger than the {limit} upload limit.',
+  'validation.unsupported': 'Unsupported file type. Upload a PDF or a PNG, JPEG, TIFF or WebP image.',
+  'validation.typeMismatch': 'The file contents are {detected}, but it is labelled as {declared}. Check the file extension.',
+  'validation.pdfTruncated': 'This PDF looks truncated or corrupt (no end-of-file marker).',
+  'validation.pdfEncrypted': 'This PDF is encrypted or password protected. Remove the protection and upload it again.',
+
+  'pipeline.title': 'Form filling pipeline',
+  'pipeline.start': 'Start Form Fill',
+  'pipeline.viewJob': 'View job',
+  'pipeline.noDocumentsSelected': 'Select at least one supporting document to fill the form.',
+  'pipeline.usingProfile': 'Known values from the “{name}” profile take priority over extracted ones.',
+
+  'profiles.title': 'Applicant profiles',
+  'profiles.helper':
+    'Values you already know (name, address, SSN, employer...) are sent with every job and take priority over what the pipeline extracts from documents. Profiles are saved to your account.',
+  'profiles.useForJobs': 'Profile for new jobs',
+  'profiles.none': 'No profile',
+  'profiles.new': 'New profile',
+  'profiles.defaultName': 'Profile {count}',
+  'profiles.empty': 'No profiles yet. Create one to reuse known values across forms.',
+  'profiles.noneSelected': 'Jobs use document values only. Pick a profile to edit or apply it.',
+  'profiles.name': 'Profile name',
+  'profiles.delete': 'Delete profile',
+  'profiles.factKey': 'Fact',
+  'profiles.factValue': 'Value',
+  'profiles.removeFact': 'Remove fact',
+  'profiles.addFact': 'Add fact',
+  'profiles.valueCount': { one: '{count} value will be sent', other: '{count} values will be sent' },
+  'profiles.discard': 'Discard changes',
+  'profiles.save': 'Save profile',
+  'profiles.saving': 'Saving...',
+  'profiles.saveFailed': 'Could not save the profile',
+  'profiles.deleteFailed': 'Could not delete the profile',
+  'profiles.loadFailed': 'Could not load your profiles',
+
+  'jobStatus.idle': 'Waiting on uploads + form link',
+  'jobStatus.queued': 'Job queued',
+  'jobStatus.filling': 'Running pipeline',
+  'jobStatus.complete': 'Filled PDF ready',
+  'jobStatus.error': 'Job failed',
+  'jobStatus.cancelled': 'Job cancelled',
+
+  'notifications.settings': 'Job notifications',
+  'notifications.helper': 'Get a desktop notification when a fill job started in this tab finishes, even while you work in another tab.',
+  'notifications.notifyOnComplete': 'Notify when a job completes',
+  'notifications.notifyOnError': 'Notify when a job fails',
+  'notifications.sound': 'Play a sound',
+  'notifications.allow': 'Allow desktop notifications',
+  'notifications.blocked': 'Notifications are blocked for this site. Allow them in your browser settings to get alerts.',
+  'notifications.unsupported': 'This browser does not support desktop notifications.',
+  'notifications.completeTitle': 'Filled PDF ready',
+  'notifications.completeBody': '{filled} of {total} fields filled. Click to open the results.',
+  'notifications.errorTitle': 'Form fill failed',
+  'tabProgress.queued': 'Queued',
+  'tabProgress.filling': '{percent}% – filling',
+  'tabProgress.batch': '{done}/{total} forms – {percent}%',
+
+  'jobErrors.pipeline': 'Pipeline reported an error.',
+  'jobErrors.lostTrack': 'Lost track of the job',
+  'jobErrors.start': 'Failed to start form filling',
+  'jobErrors.load': 'Failed to load this job',
+  'jobErrors.cancel': 'Failed to cancel the job',
+  'jobErrors.retry': 'Failed to retry fields',
+  'jobErrors.corrections': 'Failed to apply corrections',
+
+  'errors.network': 'Unable to reach the server. Check your connection and try again.',
+  'errors.requestFailed': 'Request failed ({status})',
+  'errors.unexpectedResponse': 'The server sent a response this app does not understand.',
+  'errors.uploadNetwork': 'Network error while uploading',
+  'errors.chunkFailed': 'Chunk upload failed ({status})',
+  'errors.chunkRejected': 'Upload session did not accept the chunk',
+  'errors.downloadFailed': 'Unable to download {name} ({status})',
+  'errors.imageEncodeFailed': 'Unable to encode the image.',
+  'errors.imageTooLarge': 'Unable to compress this image under {limitMb} MB.',
+  'errors.storageUnavailable': 'This browser does not allow local storage for the app.',
+  'errors.discoveryFailed': 'Identity provider discovery failed ({status})',
+  'errors.identityProviderUnreachable': 'Unable to reach the identity provider.',
+  'errors.incompleteTokens': 'The identity provider returned an incomplete token response.',
+  'errors.tokenRequestFailed': 'Token request failed ({status})',
+  'errors.signInLinkExpired': 'This sign-in link is no longer valid. Please sign in again.',
+  'errors.signInMismatch': 'The identity provider response did not match this sign-in attempt.',
+
+  'fieldStatus.filled': 'Filled',
+  'fieldStatus.skipped': 'Skipped',
+  'fieldStatus.error': 'Error',
+  'fieldStatus.prompting': 'Prompting',
+  'fieldStatus.pending': 'Pending',
+
+  'fieldSource.profile': 'Profile',
+  'fieldSource.document': 'Document',
+  'fieldSource.manual': 'Edited',
+
+  'sourceViewer.location': '{name} · page {page}',
+  'sourceViewer.openOriginal': 'Open original document',
+  'sourceViewer.close': 'Close',
+  'sourceViewer.unavailable': 'This document is no longer in your workspace.',
+  'sourceViewer.loadFailed': 'Could not load the source document.',
+  'sourceViewer.unsupported': 'This document type cannot be previewed.',
+  'sourceViewer.renderFailed': 'Could not render the source page.',
+  'sourceViewer.noRegion': 'No exact location was recorded for this value.',
+
+  'fieldCounts.summary': 'Filled {filled} • Skipped {skipped} • Errors {errors}',
+  'fieldCounts.summaryOfTotal': 'Filled {filled} • Skipped {skipped} • Errors {errors} of {total}',
+
+  'history.title': 'Past jobs',
+  'history.empty': 'Jobs you start will show up here so you can reopen their results.',
+  'history.open': 'Open',
+  'history.remove': 'Remove from history',
+  'history.unknownForm': 'Unknown form',
+
+  'jobDetail.allJobs': 'All jobs',
+  'jobDetail.title': 'Form filling job',
+  'jobDetail.cancel': 'Cancel',
+  'jobDetail.cancelling': 'Cancelling...',
+  'jobDetail.jobId': 'Job ID: {jobId}',
+  'jobDetail.retryFailed': 'Retry failed fields ({count})',
+  'jobDetail.retrySkipped': 'Retry skipped fields ({count})',
+  'jobDetail.fieldsProcessed': 'Fields processed: {completed}/{total}',
+  'jobDetail.export': 'Export field results:',
+  'jobDetail.filledReady': 'Filled form ready.',
+  'jobDetail.openFilled': 'Open filled PDF',
+
+  'fieldResults.title': 'Field results ({count})',
+  'fieldResults.search': 'Search fields or values',
+  'fieldResults.empty': 'No field results yet.',
+  'fieldResults.noMatch': 'No fields match the current filters.',
+  'fieldResults.provenance': '{name} · p. {page}',
+  'fieldColumns.field': 'Field',
+  'fieldColumns.status': 'Status',
+  'fieldColumns.value': 'Value',
+  'fieldColumns.source': 'Source',
+
+  'fieldReview.title': 'Review field values',
+  'fieldReview.helper':
+    'Correct wrong values, fill skipped fields or clear ones that should stay empty, then regenerate the PDF.',
+  'fieldReview.discard': 'Discard',
+  'fieldReview.regenerating': 'Regenerating...',
+  'fieldReview.apply': 'Apply corrections',
+  'fieldReview.applyCount': {
+    one: 'Apply {count} correction',
+    other: 'Apply {count} corrections',
+  },
+  'fieldReview.edited': 'Edited',
+  'fieldReview.enterValue': 'Enter a value',
+  'fieldReview.clear': 'Clear value',
+  'fieldReview.revert': 'Revert to pipeline value',
+
+  'preview.title': 'Filled form preview',
+  'preview.loadFailed': 'Unable to load the filled PDF.',
+  'preview.renderFailed': 'Unable to render this page.',
+  'preview.page': 'Page {page} of {count}',
+  'preview.previousPage': 'Previous page',
+  'preview.nextPage': 'Next page',
+
+  'batch.title': 'Batch mode',
+  'batch.description': 'Queue several target forms and fill each one from the same supporting documents.',
+  'batch.sequential': 'One at a time',
+  'batch.concurrent': 'All at once',
+  'batch.formUrl': 'Form URL',
+  'batch.add': 'Add',
+  'batch.addCurrent': 'Add current form',
+  'batch.empty': 'Add target forms to build a batch.',
+  'batch.pending': 'Pending',
+  'batch.showFields': 'Show field results',
+  'batch.hideFields': 'Hide field results',
+  'batch.remove': 'Remove from batch',
+  'batch.documentsNotReady': 'Finish uploading supporting documents before running the batch.',
+  'batch.run': 'Run batch',
+  'batch.running': 'Running batch...',
+  'batch.stop': 'Stop batch',
+  'batch.downloadAll': 'Download all',
+  'batch.downloadAllCount': 'Download all ({count})',
+  'batch.bundling': 'Bundling...',
+  'batch.cancelFailed': 'Unable to cancel this job',
+  'batch.bundleFailed': 'Unable to build the download bundle',
+
+  'imageEditor.title': 'Prepare image',
+  'imageEditor.intro':
+    '{name} • {size}. Rotate, straighten and drag over the image to crop it. The result is saved as a JPEG that fits under the upload limit.',
+  'imageEditor.loadFailed': 'This image could not be opened for editing.',
+  'imageEditor.useOriginalHint': 'You can still upload the original file.',
+  'imageEditor.heicConvertHint':
+    'HEIC photos cannot be uploaded as they are. Export the photo as JPEG on your device and upload that instead.',
+  'imageEditor.processFailed': 'Unable to process this image.',
+  'imageEditor.rotateLeft': 'Rotate left',
+  'imageEditor.rotateRight': 'Rotate right',
+  'imageEditor.resetCrop': 'Reset crop',
+  'imageEditor.straighten': 'Straighten ({degrees}°)',
+  'imageEditor.discard': 'Discard',
+  'imageEditor.uploadOriginal': 'Upload original',
+  'imageEditor.upload': 'Upload',
+  'imageEditor.processing': 'Processing...',
+}
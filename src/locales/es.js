@@ -0,0 +1,313 @@
+export default {
+  'app.title': 'PDF Form Fill MVP',
+  'app.intro':
+    'Sube los documentos de respaldo, añade el formulario de destino e inicia el proceso de rellenado cuando todo esté listo. Tus archivos y trabajos se guardan en tu cuenta.',
+  'app.signedInAs': 'Sesión iniciada como {name}',
+  'app.signOut': 'Cerrar sesión',
+  'app.migrationFailed':
+    'No se pudieron mover a tu cuenta los archivos y trabajos de antes de iniciar sesión. Vuelve a iniciar sesión para reintentarlo.',
+  'app.tabs.workspace': 'Área de trabajo',
+  'app.tabs.history': 'Historial',
+  'app.language': 'Idioma',
+
+  'auth.intro': 'Inicia sesión para conservar tus documentos y trabajos en tu cuenta desde cualquier navegador.',
+  'auth.signIn': 'Iniciar sesión',
+  'auth.redirecting': 'Redirigiendo...',
+  'auth.signingIn': 'Iniciando sesión...',
+  'auth.startFailed': 'No se pudo iniciar el inicio de sesión',
+  'auth.failed': 'Error al iniciar sesión',
+
+  'targetForm.title': 'Formulario de destino',
+  'targetForm.sourceLink': 'Enlace',
+  'targetForm.sourceUpload': 'Subir PDF',
+  'targetForm.urlLabel': 'Enlace al formulario de destino',
+  'targetForm.urlInvalid': 'Introduce un enlace HTTPS válido al formulario en blanco.',
+  'targetForm.urlHelper': 'Enlace público al formulario PDF en blanco que hay que rellenar.',
+  'targetForm.ready': 'Listo',
+  'targetForm.error': 'Error',
+  'targetForm.uploading': 'Subiendo',
+  'targetForm.viewBlank': 'Ver formulario en blanco',
+  'targetForm.remove': 'Quitar formulario',
+  'targetForm.uploadHint': 'Sube el PDF en blanco si está en un disco local o detrás del inicio de sesión de una intranet.',
+  'targetForm.choose': 'Elegir formulario en blanco',
+  'targetForm.notPdf': 'El formulario de destino debe ser un PDF.',
+  'targetForm.uploadFailed': 'No se pudo subir el formulario',
+
+  'formLibrary.title': 'Biblioteca de formularios',
+  'formLibrary.browse': 'Biblioteca de formularios ({count})',
+  'formLibrary.saveCurrent': 'Guardar en la biblioteca',
+  'formLibrary.alreadySaved': 'Ya está guardado como «{name}»',
+  'formLibrary.search': 'Buscar por nombre, descripción, etiqueta o enlace',
+  'formLibrary.empty': 'Aún no hay formularios guardados. Introduce un enlace y guárdalo en la biblioteca para reutilizarlo.',
+  'formLibrary.noMatch': 'Ningún formulario guardado coincide con la búsqueda.',
+  'formLibrary.pin': 'Fijar como favorito',
+  'formLibrary.unpin': 'Quitar de favoritos',
+  'formLibrary.edit': 'Editar',
+  'formLibrary.delete': 'Quitar de la biblioteca',
+  'formLibrary.close': 'Cerrar',
+  'formLibrary.saveTitle': 'Guardar formulario en la biblioteca',
+  'formLibrary.editTitle': 'Editar formulario guardado',
+  'formLibrary.name': 'Nombre',
+  'formLibrary.description': 'Descripción',
+  'formLibrary.tags': 'Etiquetas',
+  'formLibrary.tagsHelper': 'Separa las etiquetas con comas, p. ej. vivienda, 2026',
+  'formLibrary.cancel': 'Cancelar',
+  'formLibrary.save': 'Guardar',
+  'formLibrary.saving': 'Guardando...',
+  'formLibrary.saveFailed': 'No se pudo guardar el formulario',
+  'formLibrary.updateFailed': 'No se pudo actualizar la biblioteca de formularios',
+  'formLibrary.loadFailed': 'No se pudo cargar la biblioteca de formularios.',
+
+  'documents.title': 'Documentos de respaldo',
+  'documents.uploadFiles': 'Subir archivos',
+  'documents.uploadFilesHint': 'Sube PDF o imágenes de uno en uno (máximo {limit})',
+  'documents.uploadFolder': 'Subir carpeta',
+  'documents.uploadFolderHint': 'Sube todos los PDF e imágenes de una carpeta, incluidas las subcarpetas',
+  'documents.refresh': 'Actualizar',
+  'documents.refreshHint': 'Obtener los datos más recientes del servidor',
+  'documents.helper':
+    'Los archivos se suben al momento y se vinculan al formulario de destino en cuanto lo indiques. También puedes arrastrar archivos o carpetas a la lista, o pegar una captura de pantalla. Añade el enlace del formulario o sube el PDF en blanco antes de iniciar el rellenado.',
+  'documents.loading': 'Cargando tus archivos guardados...',
+  'documents.empty': 'Aún no hay archivos. Añade, arrastra o pega archivos para empezar.',
+  'documents.dropHere': 'Suelta archivos o carpetas para subirlos',
+  'documents.viewOnS3': 'Ver en S3',
+  'documents.pendingLink': 'Enlace pendiente',
+  'documents.pause': 'Pausar subida',
+  'documents.resume': 'Reanudar subida',
+  'documents.delete': 'Eliminar archivo',
+  'documents.cancel': 'Cancelar subida',
+  'documents.skipped': {
+    one: 'Se omitió {count} archivo que no parecía un PDF ni una imagen.',
+    other: 'Se omitieron {count} archivos que no parecían PDF ni imágenes.',
+  },
+  'documents.dropUnreadable':
+    'No se pudieron leer algunos elementos soltados. Prueba a seleccionarlos con el botón de subida.',
+  'documents.loadFailed': 'No se pudieron cargar las subidas anteriores.',
+  'documents.uploadFailed': 'Error en la subida',
+  'documents.deleteFailed': 'No se pudo eliminar',
+  'documents.progress.stored': '{size} • Guardado en S3',
+  'documents.progress.rejected': '{size} • No subido',
+  'documents.progress.editing': '{size} • Esperando la edición de la imagen',
+  'documents.progress.uploading': '{uploaded} de {size} • {percent} %',
+  'documents.progress.preparing': '{size} • Preparando la subida',
+  'documents.type': 'Tipo de documento',
+  'documents.typeUnset': 'Elige un tipo',
+  'documents.acceptSuggestion': 'Usar sugerencia: {type}',
+  'documents.typeFailed': 'No se pudo guardar el tipo de documento',
+  'documents.useInJob': 'Usar {name} en el próximo trabajo',
+  'documents.selectAll': 'Seleccionar todos los documentos',
+  'documents.selectedCount': '{count} de {total} seleccionados para el próximo trabajo',
+
+  'uploadStatus.editing': 'Editando',
+  'uploadStatus.validating': 'Comprobando',
+  'uploadStatus.rejected': 'Rechazado',
+  'uploadStatus.uploading': 'Subiendo',
+  'uploadStatus.paused': 'En pausa',
+  'uploadStatus.uploaded': 'Subido',
+  'uploadStatus.extracted': 'Extraído',
+  'uploadStatus.processing': 'Procesando',
+  'uploadStatus.error': 'Error',
+  'uploadStatus.deleting': 'Eliminando',
+
+  'documentType.id': 'Identificación',
+  'documentType.pay_stub': 'Nómina',
+  'documentType.tax_return': 'Declaración de impuestos',
+  'documentType.lease': 'Contrato de alquiler',
+  'documentType.other': 'Otro',
+
+  'validation.unreadable': 'No se pudo leer este archivo.',
+  'validation.empty': 'Este archivo está vacío.',
+  'validation.tooLarge': 'Este archivo supera el límite de subida de {limit}.',
+  'validation.unsupported': 'Tipo de archivo no admitido. Sube un PDF o una imagen PNG, JPEG, TIFF o WebP.',
+  'validation.typeMismatch':
+    'El contenido del archivo es {detected}, pero está marcado como {declared}. Revisa la extensión del archivo.',
+  'validation.pdfTruncated': 'Este PDF parece incompleto o dañado (falta la marca de fin de archivo).',
+  'validation.pdfEncrypted': 'Este PDF está cifrado o protegido con contraseña. Quita la protección y vuelve a subirlo.',
+
+  'pipeline.title': 'Proceso de rellenado',
+  'pipeline.start': 'Rellenar formulario',
+  'pipeline.viewJob': 'Ver trabajo',
+  'pipeline.noDocumentsSelected': 'Selecciona al menos un documento de respaldo para rellenar el formulario.',
+  'pipeline.usingProfile': 'Los valores conocidos del perfil «{name}» tienen prioridad sobre los extraídos.',
+
+  'profiles.title': 'Perfiles del solicitante',
+  'profiles.helper':
+    'Los valores que ya conoces (nombre, dirección, SSN, empleador...) se envían con cada trabajo y tienen prioridad sobre lo que el proceso extrae de los documentos. Los perfiles se guardan en tu cuenta.',
+  'profiles.useForJobs': 'Perfil para nuevos trabajos',
+  'profiles.none': 'Sin perfil',
+  'profiles.new': 'Nuevo perfil',
+  'profiles.defaultName': 'Perfil {count}',
+  'profiles.empty': 'Aún no hay perfiles. Crea uno para reutilizar valores conocidos en distintos formularios.',
+  'profiles.noneSelected': 'Los trabajos solo usan valores de los documentos. Elige un perfil para editarlo o aplicarlo.',
+  'profiles.name': 'Nombre del perfil',
+  'profiles.delete': 'Eliminar perfil',
+  'profiles.factKey': 'Dato',
+  'profiles.factValue': 'Valor',
+  'profiles.removeFact': 'Quitar dato',
+  'profiles.addFact': 'Añadir dato',
+  'profiles.valueCount': { one: 'Se enviará {count} valor', other: 'Se enviarán {count} valores' },
+  'profiles.discard': 'Descartar cambios',
+  'profiles.save': 'Guardar perfil',
+  'profiles.saving': 'Guardando...',
+  'profiles.saveFailed': 'No se pudo guardar el perfil',
+  'profiles.deleteFailed': 'No se pudo eliminar el perfil',
+  'profiles.loadFailed': 'No se pudieron cargar tus perfiles',
+
+  'jobStatus.idle': 'Esperando archivos y enlace del formulario',
+  'jobStatus.queued': 'Trabajo en cola',
+  'jobStatus.filling': 'Proceso en curso',
+  'jobStatus.complete': 'PDF rellenado listo',
+  'jobStatus.error': 'El trabajo falló',
+  'jobStatus.cancelled': 'Trabajo cancelado',
+
+  'notifications.settings': 'Notificaciones de trabajos',
+  'notifications.helper': 'Recibe una notificación de escritorio cuando termine un trabajo iniciado en esta pestaña, aunque estés en otra.',
+  'notifications.notifyOnComplete': 'Avisar cuando un trabajo termine',
+  'notifications.notifyOnError': 'Avisar cuando un trabajo falle',
+  'notifications.sound': 'Reproducir un sonido',
+  'notifications.allow': 'Permitir notificaciones de escritorio',
+  'notifications.blocked': 'Las notificaciones están bloqueadas para este sitio. Permítelas en la configuración del navegador para recibir avisos.',
+  'notifications.unsupported': 'Este navegador no admite notificaciones de escritorio.',
+  'notifications.completeTitle': 'PDF rellenado listo',
+  'notifications.completeBody': '{filled} de {total} campos rellenados. Haz clic para ver los resultados.',
+  'notifications.errorTitle': 'El rellenado del formulario falló',
+  'tabProgress.queued': 'En cola',
+  'tabProgress.filling': '{percent}% – rellenando',
+  'tabProgress.batch': '{done}/{total} formularios – {percent}%',
+
+  'jobErrors.pipeline': 'El proceso informó de un error.',
+  'jobErrors.lostTrack': 'Se perdió el seguimiento del trabajo',
+  'jobErrors.start': 'No se pudo iniciar el rellenado',
+  'jobErrors.load': 'No se pudo cargar este trabajo',
+  'jobErrors.cancel': 'No se pudo cancelar el trabajo',
+  'jobErrors.retry': 'No se pudieron reintentar los campos',
+  'jobErrors.corrections': 'No se pudieron aplicar las correcciones',
+
+  'errors.network': 'No se pudo conectar con el servidor. Comprueba tu conexión e inténtalo de nuevo.',
+  'errors.requestFailed': 'La solicitud falló ({status})',
+  'errors.unexpectedResponse': 'El servidor envió una respuesta que esta aplicación no entiende.',
+  'errors.uploadNetwork': 'Error de red durante la subida',
+  'errors.chunkFailed': 'Falló la subida de un fragmento ({status})',
+  'errors.chunkRejected': 'La sesión de subida no aceptó el fragmento',
+  'errors.downloadFailed': 'No se pudo descargar {name} ({status})',
+  'errors.imageEncodeFailed': 'No se pudo codificar la imagen.',
+  'errors.imageTooLarge': 'No se pudo comprimir esta imagen por debajo de {limitMb} MB.',
+  'errors.storageUnavailable': 'Este navegador no permite el almacenamiento local para la aplicación.',
+  'errors.discoveryFailed': 'Falló la detección del proveedor de identidad ({status})',
+  'errors.identityProviderUnreachable': 'No se pudo conectar con el proveedor de identidad.',
+  'errors.incompleteTokens': 'El proveedor de identidad devolvió una respuesta de tokens incompleta.',
+  'errors.tokenRequestFailed': 'Falló la solicitud de tokens ({status})',
+  'errors.signInLinkExpired': 'Este enlace de inicio de sesión ya no es válido. Vuelve a iniciar sesión.',
+  'errors.signInMismatch': 'La respuesta del proveedor de identidad no corresponde a este intento de inicio de sesión.',
+
+  'fieldStatus.filled': 'Rellenado',
+  'fieldStatus.skipped': 'Omitido',
+  'fieldStatus.error': 'Error',
+  'fieldStatus.prompting': 'Consultando',
+  'fieldStatus.pending': 'Pendiente',
+
+  'fieldSource.profile': 'Perfil',
+  'fieldSource.document': 'Documento',
+  'fieldSource.manual': 'Editado',
+
+  'sourceViewer.location': '{name} · página {page}',
+  'sourceViewer.openOriginal': 'Abrir documento original',
+  'sourceViewer.close': 'Cerrar',
+  'sourceViewer.unavailable': 'Este documento ya no está en tu espacio de trabajo.',
+  'sourceViewer.loadFailed': 'No se pudo cargar el documento de origen.',
+  'sourceViewer.unsupported': 'No se puede previsualizar este tipo de documento.',
+  'sourceViewer.renderFailed': 'No se pudo mostrar la página de origen.',
+  'sourceViewer.noRegion': 'No se registró la ubicación exacta de este valor.',
+
+  'fieldCounts.summary': 'Rellenados {filled} • Omitidos {skipped} • Errores {errors}',
+  'fieldCounts.summaryOfTotal': 'Rellenados {filled} • Omitidos {skipped} • Errores {errors} de {total}',
+
+  'history.title': 'Trabajos anteriores',
+  'history.empty': 'Los trabajos que inicies aparecerán aquí para que puedas volver a abrir sus resultados.',
+  'history.open': 'Abrir',
+  'history.remove': 'Quitar del historial',
+  'history.unknownForm': 'Formulario desconocido',
+
+  'jobDetail.allJobs': 'Todos los trabajos',
+  'jobDetail.title': 'Trabajo de rellenado',
+  'jobDetail.cancel': 'Cancelar',
+  'jobDetail.cancelling': 'Cancelando...',
+  'jobDetail.jobId': 'ID del trabajo: {jobId}',
+  'jobDetail.retryFailed': 'Reintentar campos con error ({count})',
+  'jobDetail.retrySkipped': 'Reintentar campos omitidos ({count})',
+  'jobDetail.fieldsProcessed': 'Campos procesados: {completed}/{total}',
+  'jobDetail.export': 'Exportar resultados:',
+  'jobDetail.filledReady': 'Formulario rellenado listo.',
+  'jobDetail.openFilled': 'Abrir PDF rellenado',
+
+  'fieldResults.title': 'Resultados por campo ({count})',
+  'fieldResults.search': 'Buscar campos o valores',
+  'fieldResults.empty': 'Todavía no hay resultados.',
+  'fieldResults.noMatch': 'Ningún campo coincide con los filtros actuales.',
+  'fieldResults.provenance': '{name} · pág. {page}',
+  'fieldColumns.field': 'Campo',
+  'fieldColumns.status': 'Estado',
+  'fieldColumns.value': 'Valor',
+  'fieldColumns.source': 'Origen',
+
+  'fieldReview.title': 'Revisar valores',
+  'fieldReview.helper':
+    'Corrige los valores erróneos, rellena los campos omitidos o vacía los que deban quedar en blanco y vuelve a generar el PDF.',
+  'fieldReview.discard': 'Descartar',
+  'fieldReview.regenerating': 'Regenerando...',
+  'fieldReview.apply': 'Aplicar correcciones',
+  'fieldReview.applyCount': {
+    one: 'Aplicar {count} corrección',
+    other: 'Aplicar {count} correcciones',
+  },
+  'fieldReview.edited': 'Editado',
+  'fieldReview.enterValue': 'Introduce un valor',
+  'fieldReview.clear': 'Vaciar valor',
+  'fieldReview.revert': 'Restaurar el valor del proceso',
+
+  'preview.title': 'Vista previa del formulario rellenado',
+  'preview.loadFailed': 'No se pudo cargar el PDF rellenado.',
+  'preview.renderFailed': 'No se pudo mostrar esta página.',
+  'preview.page': 'Página {page} de {count}',
+  'preview.previousPage': 'Página anterior',
+  'preview.nextPage': 'Página siguiente',
+
+  'batch.title': 'Modo por lotes',
+  'batch.description': 'Pon en cola varios formularios y rellena cada uno con los mismos documentos de respaldo.',
+  'batch.sequential': 'De uno en uno',
+  'batch.concurrent': 'Todos a la vez',
+  'batch.formUrl': 'URL del formulario',
+  'batch.add': 'Añadir',
+  'batch.addCurrent': 'Añadir formulario actual',
+  'batch.empty': 'Añade formularios de destino para crear un lote.',
+  'batch.pending': 'Pendiente',
+  'batch.showFields': 'Mostrar resultados por campo',
+  'batch.hideFields': 'Ocultar resultados por campo',
+  'batch.remove': 'Quitar del lote',
+  'batch.documentsNotReady': 'Termina de subir los documentos de respaldo antes de ejecutar el lote.',
+  'batch.run': 'Ejecutar lote',
+  'batch.running': 'Ejecutando lote...',
+  'batch.stop': 'Detener lote',
+  'batch.downloadAll': 'Descargar todo',
+  'batch.downloadAllCount': 'Descargar todo ({count})',
+  'batch.bundling': 'Empaquetando...',
+  'batch.cancelFailed': 'No se pudo cancelar este trabajo',
+  'batch.bundleFailed': 'No se pudo crear el paquete de descarga',
+
+  'imageEditor.title': 'Preparar imagen',
+  'imageEditor.intro':
+    '{name} • {size}. Gira, endereza y arrastra sobre la imagen para recortarla. El resultado se guarda como JPEG dentro del límite de subida.',
+  'imageEditor.loadFailed': 'No se pudo abrir esta imagen para editarla.',
+  'imageEditor.useOriginalHint': 'Aun así puedes subir el archivo original.',
+  'imageEditor.heicConvertHint':
+    'Las fotos HEIC no se pueden subir tal cual. Exporta la foto como JPEG en tu dispositivo y sube ese archivo.',
+  'imageEditor.processFailed': 'No se pudo procesar esta imagen.',
+  'imageEditor.rotateLeft': 'Girar a la izquierda',
+  'imageEditor.rotateRight': 'Girar a la derecha',
+  'imageEditor.resetCrop': 'Restablecer recorte',
+  'imageEditor.straighten': 'Enderezar ({degrees}°)',
+  'imageEditor.discard': 'Descartar',
+  'imageEditor.uploadOriginal': 'Subir original',
+  'imageEditor.upload': 'Subir',
+  'imageEditor.processing': 'Procesando...',
+}
@@ -0,0 +1,321 @@
+export default {
+  'app.title': 'PDF Form Fill MVP',
+  'app.intro':
+    'Завантажте підтвердні документи, додайте цільову форму й запустіть заповнення, коли все буде готово. Ваші файли та завдання зберігаються у вашому обліковому записі.',
+  'app.signedInAs': 'Ви увійшли як {name}',
+  'app.signOut': 'Вийти',
+  'app.migrationFailed':
+    'Не вдалося перенести до облікового запису файли й завдання, створені до входу. Увійдіть ще раз, щоб повторити спробу.',
+  'app.tabs.workspace': 'Робочий простір',
+  'app.tabs.history': 'Історія',
+  'app.language': 'Мова',
+
+  'auth.intro': 'Увійдіть, щоб ваші документи й завдання були доступні в обліковому записі з будь-якого браузера.',
+  'auth.signIn': 'Увійти',
+  'auth.redirecting': 'Перенаправлення...',
+  'auth.signingIn': 'Виконується вхід...',
+  'auth.startFailed': 'Не вдалося розпочати вхід',
+  'auth.failed': 'Не вдалося увійти',
+
+  'targetForm.title': 'Цільова форма',
+  'targetForm.sourceLink': 'Посилання',
+  'targetForm.sourceUpload': 'Завантажити PDF',
+  'targetForm.urlLabel': 'Посилання на цільову форму',
+  'targetForm.urlInvalid': 'Введіть коректне HTTPS-посилання на порожню форму.',
+  'targetForm.urlHelper': 'Публічне посилання на порожню PDF-форму, яку потрібно заповнити.',
+  'targetForm.ready': 'Готово',
+  'targetForm.error': 'Помилка',
+  'targetForm.uploading': 'Завантаження',
+  'targetForm.viewBlank': 'Переглянути порожню форму',
+  'targetForm.remove': 'Прибрати форму',
+  'targetForm.uploadHint': 'Завантажте порожній PDF, якщо він зберігається на локальному диску або доступний лише в інтранеті.',
+  'targetForm.choose': 'Вибрати порожню форму',
+  'targetForm.notPdf': 'Цільова форма має бути у форматі PDF.',
+  'targetForm.uploadFailed': 'Не вдалося завантажити форму',
+
+  'formLibrary.title': 'Бібліотека форм',
+  'formLibrary.browse': 'Бібліотека форм ({count})',
+  'formLibrary.saveCurrent': 'Зберегти в бібліотеку',
+  'formLibrary.alreadySaved': 'Уже збережено як «{name}»',
+  'formLibrary.search': 'Пошук за назвою, описом, тегом або посиланням',
+  'formLibrary.empty': 'Збережених форм ще немає. Введіть посилання на форму й збережіть його в бібліотеку, щоб використовувати повторно.',
+  'formLibrary.noMatch': 'Жодна збережена форма не відповідає пошуку.',
+  'formLibrary.pin': 'Закріпити як улюблену',
+  'formLibrary.unpin': 'Відкріпити',
+  'formLibrary.edit': 'Редагувати',
+  'formLibrary.delete': 'Прибрати з бібліотеки',
+  'formLibrary.close': 'Закрити',
+  'formLibrary.saveTitle': 'Зберегти форму в бібліотеку',
+  'formLibrary.editTitle': 'Редагувати збережену форму',
+  'formLibrary.name': 'Назва',
+  'formLibrary.description': 'Опис',
+  'formLibrary.tags': 'Теги',
+  'formLibrary.tagsHelper': 'Розділяйте теги комами, напр. житло, 2026',
+  'formLibrary.cancel': 'Скасувати',
+  'formLibrary.save': 'Зберегти',
+  'formLibrary.saving': 'Збереження...',
+  'formLibrary.saveFailed': 'Не вдалося зберегти форму',
+  'formLibrary.updateFailed': 'Не вдалося оновити бібліотеку форм',
+  'formLibrary.loadFailed': 'Не вдалося завантажити бібліотеку форм.',
+
+  'documents.title': 'Підтвердні документи',
+  'documents.uploadFiles': 'Завантажити файли',
+  'documents.uploadFilesHint': 'Завантажуйте PDF або зображення по одному (до {limit})',
+  'documents.uploadFolder': 'Завантажити папку',
+  'documents.uploadFolderHint': 'Завантажити всі PDF і зображення з папки, включно з вкладеними',
+  'documents.refresh': 'Оновити',
+  'documents.refreshHint': 'Отримати найновіші дані з сервера',
+  'documents.helper':
+    'Файли завантажуються одразу й прив’язуються до цільової форми, щойно ви її вкажете. Файли чи папки також можна перетягнути на список або вставити знімок екрана. Додайте посилання на форму чи завантажте порожній PDF перед запуском заповнення.',
+  'documents.loading': 'Завантаження збережених файлів...',
+  'documents.empty': 'Файлів ще немає. Додайте, перетягніть або вставте файли, щоб почати.',
+  'documents.dropHere': 'Відпустіть файли або папки, щоб завантажити їх',
+  'documents.viewOnS3': 'Переглянути в S3',
+  'documents.pendingLink': 'Посилання очікується',
+  'documents.pause': 'Призупинити завантаження',
+  'documents.resume': 'Відновити завантаження',
+  'documents.delete': 'Видалити файл',
+  'documents.cancel': 'Скасувати завантаження',
+  'documents.skipped': {
+    one: 'Пропущено {count} файл, схожий не на PDF і не на зображення.',
+    few: 'Пропущено {count} файли, схожі не на PDF і не на зображення.',
+    many: 'Пропущено {count} файлів, схожих не на PDF і не на зображення.',
+    other: 'Пропущено {count} файлу, схожого не на PDF і не на зображення.',
+  },
+  'documents.dropUnreadable':
+    'Деякі перетягнуті елементи не вдалося прочитати. Спробуйте вибрати їх кнопкою завантаження.',
+  'documents.loadFailed': 'Не вдалося завантажити попередні файли.',
+  'documents.uploadFailed': 'Не вдалося завантажити',
+  'documents.deleteFailed': 'Не вдалося видалити',
+  'documents.progress.stored': '{size} • Збережено в S3',
+  'documents.progress.rejected': '{size} • Не завантажено',
+  'documents.progress.editing': '{size} • Очікує редагування зображення',
+  'documents.progress.uploading': '{uploaded} з {size} • {percent}%',
+  'documents.progress.preparing': '{size} • Підготовка до завантаження',
+  'documents.type': 'Тип документа',
+  'documents.typeUnset': 'Виберіть тип',
+  'documents.acceptSuggestion': 'Прийняти пропозицію: {type}',
+  'documents.typeFailed': 'Не вдалося зберегти тип документа',
+  'documents.useInJob': 'Використати {name} у наступному завданні',
+  'documents.selectAll': 'Вибрати всі документи',
+  'documents.selectedCount': 'Вибрано {count} з {total} для наступного завдання',
+
+  'uploadStatus.editing': 'Редагування',
+  'uploadStatus.validating': 'Перевірка',
+  'uploadStatus.rejected': 'Відхилено',
+  'uploadStatus.uploading': 'Завантаження',
+  'uploadStatus.paused': 'Призупинено',
+  'uploadStatus.uploaded': 'Завантажено',
+  'uploadStatus.extracted': 'Оброблено',
+  'uploadStatus.processing': 'Обробка',
+  'uploadStatus.error': 'Помилка',
+  'uploadStatus.deleting': 'Видалення',
+
+  'documentType.id': 'Посвідчення особи',
+  'documentType.pay_stub': 'Розрахунковий лист',
+  'documentType.tax_return': 'Податкова декларація',
+  'documentType.lease': 'Договір оренди',
+  'documentType.other': 'Інше',
+
+  'validation.unreadable': 'Не вдалося прочитати цей файл.',
+  'validation.empty': 'Цей файл порожній.',
+  'validation.tooLarge': 'Цей файл перевищує обмеження на завантаження в {limit}.',
+  'validation.unsupported': 'Непідтримуваний тип файлу. Завантажте PDF або зображення PNG, JPEG, TIFF чи WebP.',
+  'validation.typeMismatch': 'Вміст файлу — {detected}, але його позначено як {declared}. Перевірте розширення файлу.',
+  'validation.pdfTruncated': 'Схоже, цей PDF обрізаний або пошкоджений (немає позначки кінця файлу).',
+  'validation.pdfEncrypted': 'Цей PDF зашифрований або захищений паролем. Зніміть захист і завантажте його знову.',
+
+  'pipeline.title': 'Заповнення форми',
+  'pipeline.start': 'Заповнити форму',
+  'pipeline.viewJob': 'Переглянути завдання',
+  'pipeline.noDocumentsSelected': 'Виберіть хоча б один підтвердний документ, щоб заповнити форму.',
+  'pipeline.usingProfile': 'Відомі значення з профілю «{name}» мають пріоритет над витягнутими.',
+
+  'profiles.title': 'Профілі заявника',
+  'profiles.helper':
+    'Відомі вам значення (ім’я, адреса, SSN, роботодавець...) надсилаються з кожним завданням і мають пріоритет над тим, що обробка витягує з документів. Профілі зберігаються у вашому обліковому записі.',
+  'profiles.useForJobs': 'Профіль для нових завдань',
+  'profiles.none': 'Без профілю',
+  'profiles.new': 'Новий профіль',
+  'profiles.defaultName': 'Профіль {count}',
+  'profiles.empty': 'Профілів ще немає. Створіть профіль, щоб повторно використовувати відомі значення в різних формах.',
+  'profiles.noneSelected': 'Завдання використовують лише значення з документів. Виберіть профіль, щоб редагувати чи застосувати його.',
+  'profiles.name': 'Назва профілю',
+  'profiles.delete': 'Видалити профіль',
+  'profiles.factKey': 'Дані',
+  'profiles.factValue': 'Значення',
+  'profiles.removeFact': 'Прибрати дані',
+  'profiles.addFact': 'Додати дані',
+  'profiles.valueCount': {
+    one: 'Буде надіслано {count} значення',
+    few: 'Буде надіслано {count} значення',
+    many: 'Буде надіслано {count} значень',
+    other: 'Буде надіслано {count} значення',
+  },
+  'profiles.discard': 'Скасувати зміни',
+  'profiles.save': 'Зберегти профіль',
+  'profiles.saving': 'Збереження...',
+  'profiles.saveFailed': 'Не вдалося зберегти профіль',
+  'profiles.deleteFailed': 'Не вдалося видалити профіль',
+  'profiles.loadFailed': 'Не вдалося завантажити ваші профілі',
+
+  'jobStatus.idle': 'Очікуємо файли та посилання на форму',
+  'jobStatus.queued': 'Завдання в черзі',
+  'jobStatus.filling': 'Триває заповнення',
+  'jobStatus.complete': 'Заповнений PDF готовий',
+  'jobStatus.error': 'Завдання не вдалося',
+  'jobStatus.cancelled': 'Завдання скасовано',
+
+  'notifications.settings': 'Сповіщення про завдання',
+  'notifications.helper': 'Отримуйте сповіщення на робочому столі, коли завершиться завдання, запущене в цій вкладці, навіть якщо ви працюєте в іншій.',
+  'notifications.notifyOnComplete': 'Сповіщати про завершення завдання',
+  'notifications.notifyOnError': 'Сповіщати про помилку завдання',
+  'notifications.sound': 'Відтворювати звук',
+  'notifications.allow': 'Дозволити сповіщення на робочому столі',
+  'notifications.blocked': 'Сповіщення для цього сайту заблоковано. Дозвольте їх у налаштуваннях браузера, щоб отримувати сповіщення.',
+  'notifications.unsupported': 'Цей браузер не підтримує сповіщення на робочому столі.',
+  'notifications.completeTitle': 'Заповнений PDF готовий',
+  'notifications.completeBody': 'Заповнено {filled} з {total} полів. Натисніть, щоб відкрити результати.',
+  'notifications.errorTitle': 'Не вдалося заповнити форму',
+  'tabProgress.queued': 'У черзі',
+  'tabProgress.filling': '{percent}% – заповнення',
+  'tabProgress.batch': '{done}/{total} форм – {percent}%',
+
+  'jobErrors.pipeline': 'Під час заповнення сталася помилка.',
+  'jobErrors.lostTrack': 'Втрачено зв’язок із завданням',
+  'jobErrors.start': 'Не вдалося запустити заповнення',
+  'jobErrors.load': 'Не вдалося завантажити це завдання',
+  'jobErrors.cancel': 'Не вдалося скасувати завдання',
+  'jobErrors.retry': 'Не вдалося повторити поля',
+  'jobErrors.corrections': 'Не вдалося застосувати виправлення',
+
+  'errors.network': 'Не вдалося з\'єднатися із сервером. Перевірте з\'єднання та спробуйте ще раз.',
+  'errors.requestFailed': 'Запит не вдався ({status})',
+  'errors.unexpectedResponse': 'Сервер надіслав відповідь, яку застосунок не розуміє.',
+  'errors.uploadNetwork': 'Помилка мережі під час завантаження',
+  'errors.chunkFailed': 'Не вдалося завантажити частину файлу ({status})',
+  'errors.chunkRejected': 'Сесія завантаження не прийняла частину файлу',
+  'errors.downloadFailed': 'Не вдалося завантажити {name} ({status})',
+  'errors.imageEncodeFailed': 'Не вдалося закодувати зображення.',
+  'errors.imageTooLarge': 'Не вдалося стиснути це зображення до {limitMb} МБ.',
+  'errors.storageUnavailable': 'Цей браузер не дозволяє застосунку використовувати локальне сховище.',
+  'errors.discoveryFailed': 'Не вдалося отримати налаштування постачальника ідентифікації ({status})',
+  'errors.identityProviderUnreachable': 'Не вдалося з\'єднатися з постачальником ідентифікації.',
+  'errors.incompleteTokens': 'Постачальник ідентифікації повернув неповну відповідь із токенами.',
+  'errors.tokenRequestFailed': 'Запит токена не вдався ({status})',
+  'errors.signInLinkExpired': 'Це посилання для входу більше не дійсне. Увійдіть ще раз.',
+  'errors.signInMismatch': 'Відповідь постачальника ідентифікації не відповідає цій спробі входу.',
+
+  'fieldStatus.filled': 'Заповнено',
+  'fieldStatus.skipped': 'Пропущено',
+  'fieldStatus.error': 'Помилка',
+  'fieldStatus.prompting': 'Запит',
+  'fieldStatus.pending': 'Очікує',
+
+  'fieldSource.profile': 'Профіль',
+  'fieldSource.document': 'Документ',
+  'fieldSource.manual': 'Змінено',
+
+  'sourceViewer.location': '{name} · сторінка {page}',
+  'sourceViewer.openOriginal': 'Відкрити оригінальний документ',
+  'sourceViewer.close': 'Закрити',
+  'sourceViewer.unavailable': 'Цього документа вже немає у вашому робочому просторі.',
+  'sourceViewer.loadFailed': 'Не вдалося завантажити вихідний документ.',
+  'sourceViewer.unsupported': 'Попередній перегляд цього типу документа недоступний.',
+  'sourceViewer.renderFailed': 'Не вдалося показати вихідну сторінку.',
+  'sourceViewer.noRegion': 'Точне розташування цього значення не збережено.',
+
+  'fieldCounts.summary': 'Заповнено {filled} • Пропущено {skipped} • Помилок {errors}',
+  'fieldCounts.summaryOfTotal': 'Заповнено {filled} • Пропущено {skipped} • Помилок {errors} із {total}',
+
+  'history.title': 'Попередні завдання',
+  'history.empty': 'Тут з’являтимуться запущені вами завдання, щоб ви могли знову відкрити їхні результати.',
+  'history.open': 'Відкрити',
+  'history.remove': 'Прибрати з історії',
+  'history.unknownForm': 'Невідома форма',
+
+  'jobDetail.allJobs': 'Усі завдання',
+  'jobDetail.title': 'Завдання заповнення',
+  'jobDetail.cancel': 'Скасувати',
+  'jobDetail.cancelling': 'Скасування...',
+  'jobDetail.jobId': 'ID завдання: {jobId}',
+  'jobDetail.retryFailed': 'Повторити поля з помилками ({count})',
+  'jobDetail.retrySkipped': 'Повторити пропущені поля ({count})',
+  'jobDetail.fieldsProcessed': 'Оброблено полів: {completed}/{total}',
+  'jobDetail.export': 'Експортувати результати:',
+  'jobDetail.filledReady': 'Заповнена форма готова.',
+  'jobDetail.openFilled': 'Відкрити заповнений PDF',
+
+  'fieldResults.title': 'Результати полів ({count})',
+  'fieldResults.search': 'Пошук полів або значень',
+  'fieldResults.empty': 'Результатів поки немає.',
+  'fieldResults.noMatch': 'Жодне поле не відповідає поточним фільтрам.',
+  'fieldResults.provenance': '{name} · с. {page}',
+  'fieldColumns.field': 'Поле',
+  'fieldColumns.status': 'Статус',
+  'fieldColumns.value': 'Значення',
+  'fieldColumns.source': 'Джерело',
+
+  'fieldReview.title': 'Перевірка значень',
+  'fieldReview.helper':
+    'Виправте хибні значення, заповніть пропущені поля або очистьте ті, що мають лишитися порожніми, і згенеруйте PDF заново.',
+  'fieldReview.discard': 'Скасувати зміни',
+  'fieldReview.regenerating': 'Генерація...',
+  'fieldReview.apply': 'Застосувати виправлення',
+  'fieldReview.applyCount': {
+    one: 'Застосувати {count} виправлення',
+    few: 'Застосувати {count} виправлення',
+    many: 'Застосувати {count} виправлень',
+    other: 'Застосувати {count} виправлення',
+  },
+  'fieldReview.edited': 'Змінено',
+  'fieldReview.enterValue': 'Введіть значення',
+  'fieldReview.clear': 'Очистити значення',
+  'fieldReview.revert': 'Повернути значення з обробки',
+
+  'preview.title': 'Попередній перегляд заповненої форми',
+  'preview.loadFailed': 'Не вдалося завантажити заповнений PDF.',
+  'preview.renderFailed': 'Не вдалося відобразити цю сторінку.',
+  'preview.page': 'Сторінка {page} з {count}',
+  'preview.previousPage': 'Попередня сторінка',
+  'preview.nextPage': 'Наступна сторінка',
+
+  'batch.title': 'Пакетний режим',
+  'batch.description': 'Додайте до черги кілька цільових форм і заповніть кожну з тих самих підтвердних документів.',
+  'batch.sequential': 'По одній',
+  'batch.concurrent': 'Усі одночасно',
+  'batch.formUrl': 'URL форми',
+  'batch.add': 'Додати',
+  'batch.addCurrent': 'Додати поточну форму',
+  'batch.empty': 'Додайте цільові форми, щоб створити пакет.',
+  'batch.pending': 'Очікує',
+  'batch.showFields': 'Показати результати полів',
+  'batch.hideFields': 'Сховати результати полів',
+  'batch.remove': 'Прибрати з пакета',
+  'batch.documentsNotReady': 'Завершіть завантаження підтвердних документів перед запуском пакета.',
+  'batch.run': 'Запустити пакет',
+  'batch.running': 'Пакет виконується...',
+  'batch.stop': 'Зупинити пакет',
+  'batch.downloadAll': 'Завантажити все',
+  'batch.downloadAllCount': 'Завантажити все ({count})',
+  'batch.bundling': 'Пакування...',
+  'batch.cancelFailed': 'Не вдалося скасувати це завдання',
+  'batch.bundleFailed': 'Не вдалося створити архів для завантаження',
+
+  'imageEditor.title': 'Підготовка зображення',
+  'imageEditor.intro':
+    '{name} • {size}. Поверніть, вирівняйте й виділіть частину зображення, щоб обрізати його. Результат зберігається як JPEG у межах обмеження на завантаження.',
+  'imageEditor.loadFailed': 'Не вдалося відкрити це зображення для редагування.',
+  'imageEditor.useOriginalHint': 'Ви все одно можете завантажити оригінальний файл.',
+  'imageEditor.heicConvertHint':
+    'Фото HEIC не можна завантажити без перетворення. Експортуйте фото у JPEG на своєму пристрої та завантажте його.',
+  'imageEditor.processFailed': 'Не вдалося обробити це зображення.',
+  'imageEditor.rotateLeft': 'Повернути ліворуч',
+  'imageEditor.rotateRight': 'Повернути праворуч',
+  'imageEditor.resetCrop': 'Скинути обрізання',
+  'imageEditor.straighten': 'Вирівнювання ({degrees}°)',
+  'imageEditor.discard': 'Відкинути',
+  'imageEditor.uploadOriginal': 'Завантажити оригінал',
+  'imageEditor.upload': 'Завантажити',
+  'imageEditor.processing': 'Обробка...',
+}
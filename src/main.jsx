@@ -1,10 +1,17 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router'
 import './index.css'
 import App from './App.jsx'
+import AuthGate from './components/AuthGate'
+import I18nProvider from './components/I18nProvider'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <I18nProvider>
+      <BrowserRouter>
+        <AuthGate>{(user) => <App key={user.sub} user={user} />}</AuthGate>
+      </BrowserRouter>
+    </I18nProvider>
   </StrictMode>,
 )
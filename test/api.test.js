@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { API_BASE_URL, ApiContractError, ApiError } from '../src/lib/api'
+import { createFormLibraryEntry, formFillEventsUrl, listFormLibrary, listUploads } from '../src/lib/apiClient'
+import { createTestUser, resetScenario, signInTestAccount } from './helpers'
+
+const FORM = { name: 'Rental application', formUrl: 'https://forms.example.com/rental-application.pdf' }
+
+// Passes every request through to the mock backend and remembers when each
+// attempt was sent, so retries and their spacing can be checked.
+const watchRequests = () => {
+  const sentAt = []
+  const realFetch = globalThis.fetch
+  const spy = vi.spyOn(globalThis, 'fetch').mockImplementation((...args) => {
+    sentAt.push(performance.now())
+    return realFetch(...args)
+  })
+  return { spy, sentAt, gaps: () => sentAt.slice(1).map((time, index) => time - sentAt[index]) }
+}
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('apiFetch retries', () => {
+  beforeEach(() => resetScenario({ seedFiles: [{ slug: 'lease', fileName: 'lease.pdf', size: 2048 }] }))
+
+  it('retries a 5xx response with growing delays until it succeeds', async () => {
+    await resetScenario({
+      seedFiles: [{ slug: 'lease', fileName: 'lease.pdf', size: 2048 }],
+      failRequests: { 'GET /api/uploads': { status: 503, times: 2 } },
+    })
+    const requests = watchRequests()
+
+    const { files } = await listUploads({ userId: createTestUser().sub })
+
+    expect(files.map((file) => file.fileName)).toEqual(['lease.pdf'])
+    expect(requests.spy).toHaveBeenCalledTimes(3)
+    const [first, second] = requests.gaps()
+    expect(first).toBeGreaterThanOrEqual(500)
+    expect(second).toBeGreaterThanOrEqual(1000)
+    expect(second).toBeGreaterThan(first)
+  })
+
+  it('retries after a network error', async () => {
+    const requests = watchRequests()
+    requests.spy.mockRejectedValueOnce(new TypeError('fetch failed'))
+
+    const { files } = await listUploads({ userId: createTestUser().sub })
+
+    expect(files).toHaveLength(1)
+    expect(requests.spy).toHaveBeenCalledTimes(2)
+  })
+
+  it('gives up after the last attempt and reports the server error', async () => {
+    await resetScenario({ failRequests: { 'GET /api/uploads': { status: 502, detail: 'Bad gateway' } } })
+    const requests = watchRequests()
+
+    const request = listUploads({ userId: createTestUser().sub })
+
+    await expect(request).rejects.toBeInstanceOf(ApiError)
+    await expect(request).rejects.toMatchObject({ status: 502, message: 'Bad gateway', endpoint: 'GET /api/uploads' })
+    expect(requests.spy).toHaveBeenCalledTimes(4)
+  })
+
+  it('does not retry a client error', async () => {
+    await resetScenario({ failRequests: { 'GET /api/uploads': { status: 422, detail: 'userId is invalid' } } })
+    const requests = watchRequests()
+
+    await expect(listUploads({ userId: createTestUser().sub })).rejects.toMatchObject({ status: 422 })
+    expect(requests.spy).toHaveBeenCalledTimes(1)
+  })
+
+  it('sends a non-idempotent request only once', async () => {
+    await resetScenario({ failRequests: { 'POST /api/form-library': { status: 503, times: 1 } } })
+    const user = createTestUser()
+    const requests = watchRequests()
+
+    await expect(createFormLibraryEntry({ userId: user.sub, entry: FORM })).rejects.toMatchObject({ status: 503 })
+    expect(requests.spy).toHaveBeenCalledTimes(1)
+    expect((await listFormLibrary({ userId: user.sub })).forms).toEqual([])
+  })
+})
+
+describe('apiFetch cancellation', () => {
+  beforeEach(() => resetScenario({ failRequests: { 'GET /api/uploads': { status: 503 } } }))
+
+  it('stops waiting for the next attempt once the request is aborted', async () => {
+    const requests = watchRequests()
+    const controller = new AbortController()
+
+    const request = listUploads({ userId: createTestUser().sub, signal: controller.signal })
+    await vi.waitFor(() => expect(requests.spy).toHaveBeenCalledTimes(1))
+    controller.abort()
+
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' })
+    expect(requests.spy).toHaveBeenCalledTimes(1)
+  })
+
+  it('never sends a request that was aborted beforehand', async () => {
+    const requests = watchRequests()
+    const controller = new AbortController()
+    controller.abort()
+
+    await expect(listUploads({ userId: createTestUser().sub, signal: controller.signal })).rejects.toMatchObject({
+      name: 'AbortError',
+    })
+    expect(requests.spy).toHaveBeenCalledTimes(1)
+    await expect(requests.spy.mock.results[0].value).rejects.toMatchObject({ name: 'AbortError' })
+  })
+})
+
+describe('apiFetch response validation', () => {
+  it('reports a response that breaks the contract as an ApiContractError', async () => {
+    await resetScenario({ seedFiles: [{ slug: 'lease', fileName: 'lease.pdf', size: '2 KB' }] })
+
+    const request = listUploads({ userId: createTestUser().sub })
+
+    await expect(request).rejects.toBeInstanceOf(ApiContractError)
+    await expect(request).rejects.toMatchObject({
+      endpoint: 'GET /api/uploads',
+      reason: 'unexpectedResponse',
+      message: 'Unexpected response from GET /api/uploads: files[0].size should be a number but was string "2 KB"',
+    })
+  })
+})
+
+describe('job progress stream', () => {
+  const openStream = async (url) => {
+    const controller = new AbortController()
+    const response = await fetch(url, { signal: controller.signal })
+    controller.abort()
+    return response
+  }
+
+  it('opens with a single-use ticket instead of the access token', async () => {
+    await resetScenario({ requireAuth: true, seedFiles: [{ slug: 'lease', fileName: 'lease.pdf' }] })
+    const account = await signInTestAccount()
+    const authorized = (method, path, body) =>
+      fetch(new URL(path, API_BASE_URL), {
+        method,
+        headers: { Authorization: `Bearer ${account.accessToken}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      }).then((response) => response.json())
+    const { jobId } = await authorized('POST', '/api/form-fill', { userId: account.sub, formUrl: FORM.formUrl })
+
+    const withToken = await openStream(
+      new URL(`/api/form-fill/${jobId}/events?userId=${account.sub}&access_token=${account.accessToken}`, API_BASE_URL),
+    )
+    expect(withToken.status).toBe(401)
+
+    const { ticket } = await authorized('POST', `/api/form-fill/${jobId}/events/ticket`, { userId: account.sub })
+    const streamUrl = formFillEventsUrl({ userId: account.sub, jobId, formReference: { formUrl: FORM.formUrl }, ticket })
+    expect(streamUrl).not.toContain(account.accessToken)
+
+    const firstUse = await openStream(streamUrl)
+    expect(firstUse.status).toBe(200)
+    expect(firstUse.headers.get('content-type')).toBe('text/event-stream')
+    expect((await openStream(streamUrl)).status).toBe(401)
+  })
+})
@@ -0,0 +1,341 @@
+import { fireEvent, screen, waitFor, within } from '@testing-library/react'
+import { beforeEach, describe, expect, it } from 'vitest'
+import { listJobHistory, listLocalApplicantProfiles, writeManifestCache } from '../src/lib/clientStore'
+import {
+  createTestUser,
+  listBackendProfiles,
+  listBackendUploads,
+  renderApp,
+  resetScenario,
+  saveBackendForm,
+  saveBackendProfile,
+  updateScenario,
+} from './helpers'
+
+const SERVER_FILE = { slug: 'server-doc', fileName: 'server-doc.pdf', size: 2048 }
+const CACHED_FILE = { slug: 'cached-doc', fileName: 'cached-doc.pdf', size: 1024, status: 'uploaded' }
+const FORM_URL = 'https://forms.example.com/rental-application.pdf'
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString()
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const createPdfFile = (name) =>
+  new File(['%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n'], name, {
+    type: 'application/pdf',
+  })
+
+const documentRow = (name) => screen.getByText(name).closest('li')
+
+const chooseDocuments = (container, files) => {
+  const input = container.querySelector('input[type="file"][accept]')
+  fireEvent.change(input, { target: { files } })
+}
+
+const pasteDocument = (target, file) =>
+  fireEvent.paste(target, {
+    clipboardData: { types: ['Files'], items: [{ kind: 'file', getAsFile: () => file }] },
+  })
+
+const startFill = async () => {
+  fireEvent.change(screen.getByLabelText(/Target form link/), { target: { value: FORM_URL } })
+  const start = screen.getByRole('button', { name: 'Start Form Fill' })
+  await waitFor(() => expect(start.disabled).toBe(false))
+  fireEvent.click(start)
+}
+
+describe('hydrateUploads', () => {
+  beforeEach(() => resetScenario({ seedFiles: [SERVER_FILE] }))
+
+  it('renders a fresh manifest cache without asking the backend', async () => {
+    const user = createTestUser()
+    await writeManifestCache(user.sub, { updatedAt: new Date().toISOString(), files: [CACHED_FILE] })
+
+    renderApp(user)
+
+    expect(await screen.findByText('cached-doc.pdf')).toBeTruthy()
+    await pause(300)
+    expect(screen.queryByText('server-doc.pdf')).toBeNull()
+  })
+
+  it('loads the form library when a fresh cache was written without one', async () => {
+    const user = createTestUser()
+    await saveBackendForm(user.sub, { name: 'Rental application', formUrl: FORM_URL })
+    await writeManifestCache(user.sub, { updatedAt: new Date().toISOString(), files: [CACHED_FILE] })
+
+    renderApp(user)
+
+    expect(await screen.findByText('Form library (1)')).toBeTruthy()
+    expect(screen.queryByText('server-doc.pdf')).toBeNull()
+  })
+
+  it('shows a stale cache first and replaces it with the backend manifest', async () => {
+    const user = createTestUser()
+    await writeManifestCache(user.sub, { updatedAt: minutesAgo(10), files: [CACHED_FILE] })
+
+    renderApp(user)
+
+    expect(await screen.findByText('server-doc.pdf')).toBeTruthy()
+    expect(screen.queryByText('cached-doc.pdf')).toBeNull()
+  })
+
+  it('keeps the cached files and reports the error when the backend manifest fails', async () => {
+    await resetScenario({
+      seedFiles: [SERVER_FILE],
+      failRequests: { 'GET /api/uploads': { status: 400, detail: 'Manifest storage is offline' } },
+    })
+    const user = createTestUser()
+    await writeManifestCache(user.sub, { updatedAt: minutesAgo(10), files: [CACHED_FILE] })
+
+    renderApp(user)
+
+    expect(await screen.findByText('Manifest storage is offline')).toBeTruthy()
+    expect(screen.getByText('cached-doc.pdf')).toBeTruthy()
+  })
+})
+
+describe('uploads', () => {
+  beforeEach(() => resetScenario())
+
+  it('uploads a document and stores it on the backend', async () => {
+    const user = createTestUser()
+    const { container } = renderApp(user)
+
+    chooseDocuments(container, [createPdfFile('lease.pdf')])
+
+    await waitFor(() => expect(within(documentRow('lease.pdf')).getByText('Uploaded')).toBeTruthy())
+    const { files } = await listBackendUploads(user.sub)
+    expect(files.map((file) => file.fileName)).toEqual(['lease.pdf'])
+    expect(screen.getAllByText('lease.pdf')).toHaveLength(1)
+  })
+
+  it('shows a document as processing until the backend has finished with it', async () => {
+    await resetScenario({ processingMs: 4000 })
+    const user = createTestUser()
+    const { container } = renderApp(user)
+
+    chooseDocuments(container, [createPdfFile('lease.pdf')])
+
+    await waitFor(() => expect(within(documentRow('lease.pdf')).getByText('Processing')).toBeTruthy())
+    await pause(3000)
+    expect(within(documentRow('lease.pdf')).getByText('Processing')).toBeTruthy()
+    await waitFor(() => expect(within(documentRow('lease.pdf')).getByText('Uploaded')).toBeTruthy(), { timeout: 5000 })
+    const { files } = await listBackendUploads(user.sub)
+    expect(files.map((file) => file.status)).toEqual(['uploaded'])
+  }, 15000)
+
+  it('shows the backend error when an upload fails', async () => {
+    await resetScenario({ failUploads: 'Upload storage is full' })
+    const { container } = renderApp(createTestUser())
+
+    chooseDocuments(container, [createPdfFile('lease.pdf')])
+
+    expect(await screen.findByText('Upload storage is full')).toBeTruthy()
+    expect(within(documentRow('lease.pdf')).getByText('Error')).toBeTruthy()
+  })
+
+  it('rejects a file whose contents are not a supported type', async () => {
+    const { container } = renderApp(createTestUser())
+
+    chooseDocuments(container, [new File(['just some text'], 'notes.pdf', { type: 'application/pdf' })])
+
+    expect(await screen.findByText(/Unsupported file type/)).toBeTruthy()
+  })
+
+  it('deletes a document from the backend', async () => {
+    await resetScenario({ seedFiles: [SERVER_FILE] })
+    const user = createTestUser()
+    renderApp(user)
+
+    await screen.findByText('server-doc.pdf')
+    fireEvent.click(within(documentRow('server-doc.pdf')).getByLabelText('Delete file').querySelector('button'))
+
+    await waitFor(() => expect(screen.queryByText('server-doc.pdf')).toBeNull())
+    const { files } = await listBackendUploads(user.sub)
+    expect(files).toEqual([])
+  })
+})
+
+describe('pasting documents', () => {
+  beforeEach(() => resetScenario())
+
+  it('uploads a document pasted on the workspace', async () => {
+    const user = createTestUser()
+    renderApp(user)
+
+    pasteDocument(document.body, createPdfFile('pasted.pdf'))
+
+    await waitFor(() => expect(within(documentRow('pasted.pdf')).getByText('Uploaded')).toBeTruthy())
+    const { files } = await listBackendUploads(user.sub)
+    expect(files.map((file) => file.fileName)).toEqual(['pasted.pdf'])
+  })
+
+  it('leaves a paste into a text field alone', async () => {
+    const user = createTestUser()
+    renderApp(user)
+
+    pasteDocument(screen.getByLabelText(/Target form link/), createPdfFile('pasted.pdf'))
+
+    await pause(300)
+    expect(screen.queryByText('pasted.pdf')).toBeNull()
+    expect((await listBackendUploads(user.sub)).files).toEqual([])
+  })
+
+  it('ignores pastes away from the workspace', async () => {
+    const user = createTestUser()
+    renderApp(user, { path: '/jobs' })
+    await screen.findByText('Past jobs')
+
+    pasteDocument(document.body, createPdfFile('pasted.pdf'))
+
+    await pause(300)
+    expect((await listBackendUploads(user.sub)).files).toEqual([])
+  })
+})
+
+// Writes a profile the way versions before account storage kept it.
+const storeLocalProfile = async (profile) => {
+  await listLocalApplicantProfiles(profile.userId)
+  const database = await new Promise((resolve, reject) => {
+    const request = indexedDB.open('pdf-form-filling-app')
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+  await new Promise((resolve, reject) => {
+    const transaction = database.transaction('applicantProfiles', 'readwrite')
+    transaction.objectStore('applicantProfiles').put(profile)
+    transaction.oncomplete = resolve
+    transaction.onerror = () => reject(transaction.error)
+  })
+  database.close()
+}
+
+describe('applicant profiles', () => {
+  beforeEach(() => resetScenario())
+
+  it('saves profiles to the account instead of the browser', async () => {
+    const user = createTestUser()
+    renderApp(user)
+
+    fireEvent.click(await screen.findByRole('button', { name: 'New profile' }))
+
+    await waitFor(async () => {
+      const { profiles } = await listBackendProfiles(user.sub)
+      expect(profiles.map((profile) => profile.name)).toEqual(['Profile 1'])
+    })
+    expect(await listLocalApplicantProfiles(user.sub)).toEqual([])
+  })
+
+  it('moves profiles an older version kept in the browser to the account', async () => {
+    const user = createTestUser()
+    await storeLocalProfile({
+      id: 'local-profile',
+      userId: user.sub,
+      name: 'Jordan',
+      facts: [{ key: 'ssn', value: '123-45-6789' }],
+      updatedAt: minutesAgo(60),
+    })
+
+    renderApp(user)
+
+    await waitFor(async () => {
+      const { profiles } = await listBackendProfiles(user.sub)
+      expect(profiles).toEqual([
+        expect.objectContaining({ id: 'local-profile', name: 'Jordan', facts: [{ key: 'ssn', value: '123-45-6789' }] }),
+      ])
+    })
+    await waitFor(async () => expect(await listLocalApplicantProfiles(user.sub)).toEqual([]))
+  })
+
+  it('keeps the right values when a fact in the middle is removed', async () => {
+    const user = createTestUser()
+    const facts = [
+      { key: 'full_name', value: 'Jordan Rivera' },
+      { key: 'ssn', value: '123-45-6789' },
+      { key: 'city', value: 'Philadelphia' },
+    ]
+    await saveBackendProfile(user.sub, { id: 'profile-1', name: 'Jordan', facts })
+    localStorage.setItem(`active_profile_${user.sub}`, 'profile-1')
+    renderApp(user)
+
+    await screen.findByDisplayValue('123-45-6789')
+    fireEvent.click(screen.getAllByLabelText('Remove fact')[1].querySelector('button'))
+    fireEvent.click(screen.getByRole('button', { name: 'Save profile' }))
+
+    expect(screen.getAllByLabelText('Value').map((input) => input.value)).toEqual(['Jordan Rivera', 'Philadelphia'])
+    await waitFor(async () => {
+      const { profiles } = await listBackendProfiles(user.sub)
+      expect(profiles[0].facts).toEqual([facts[0], facts[2]])
+    })
+  })
+})
+
+describe('form-fill jobs', () => {
+  // jsdom has no EventSource, so the tracker follows jobs by polling.
+  beforeEach(() => resetScenario({ seedFiles: [SERVER_FILE], streaming: false }))
+
+  it('starts a job and polls it to completion', async () => {
+    renderApp(createTestUser())
+    await screen.findByText('server-doc.pdf')
+
+    await startFill()
+
+    expect(await screen.findByText('Filled PDF ready', {}, { timeout: 10000 })).toBeTruthy()
+    expect(screen.getByText('Field results (10)')).toBeTruthy()
+    expect(screen.getAllByText('applicant_full_name').length).toBeGreaterThan(0)
+  })
+
+  it('shows the pipeline error when a job fails', async () => {
+    await resetScenario({
+      seedFiles: [SERVER_FILE],
+      streaming: false,
+      failJobAfterFields: 2,
+      failJobMessage: 'The filler crashed on page 2.',
+    })
+    renderApp(createTestUser())
+    await screen.findByText('server-doc.pdf')
+
+    await startFill()
+
+    expect(await screen.findByText('The filler crashed on page 2.', {}, { timeout: 10000 })).toBeTruthy()
+    expect(screen.getByText('Job failed')).toBeTruthy()
+  })
+
+  it('shows the backend error when a job cannot be started', async () => {
+    await resetScenario({
+      seedFiles: [SERVER_FILE],
+      failRequests: { 'POST /api/form-fill': { status: 422, detail: 'The form link could not be opened.' } },
+    })
+    renderApp(createTestUser())
+    await screen.findByText('server-doc.pdf')
+
+    await startFill()
+
+    expect(await screen.findByText('The form link could not be opened.')).toBeTruthy()
+  })
+
+  it('keeps following a running job while another one is on screen', async () => {
+    const user = createTestUser()
+    renderApp(user)
+    await screen.findByText('server-doc.pdf')
+    await startFill()
+    await screen.findByText('Filled PDF ready', {}, { timeout: 10000 })
+
+    await updateScenario({ fieldIntervalMs: 300 })
+    fireEvent.click(screen.getByRole('tab', { name: 'Workspace' }))
+    await startFill()
+    await screen.findByText('Form filling job')
+    fireEvent.click(screen.getByRole('tab', { name: 'History' }))
+    const openButtons = await screen.findAllByRole('button', { name: 'Open' })
+    fireEvent.click(openButtons[openButtons.length - 1])
+    await screen.findByText('Filled PDF ready')
+
+    await waitFor(
+      async () => {
+        const history = await listJobHistory(user.sub)
+        expect(history.map((entry) => entry.status)).toEqual(['complete', 'complete'])
+      },
+      { timeout: 15000 },
+    )
+  }, 30000)
+})
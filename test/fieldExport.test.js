@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest'
+import { buildFieldResultsCsv, buildFieldResultsJson, buildFieldResultsXfdf } from '../src/lib/fieldExport'
+
+const COMPLETED_AT = '2026-03-02T10:15:00.000Z'
+const EXPORTED_AT = '2026-03-05T08:00:00.000Z'
+
+const createJob = (fields) => ({
+  jobId: 'job-1',
+  formReference: { formUrl: 'https://forms.example.com/rental.pdf?a=1&b=2' },
+  completedAt: COMPLETED_AT,
+  fields,
+})
+
+const csvRows = (job) => buildFieldResultsCsv(job, EXPORTED_AT).trimEnd().split('\r\n')
+
+describe('buildFieldResultsCsv', () => {
+  it('writes one row per field dated with the job completion time', () => {
+    const [header, row] = csvRows(createJob([{ fieldName: 'applicant_name', value: 'Jane Doe', status: 'filled' }]))
+
+    expect(header.split(',').slice(-2)).toEqual(['completed_at', 'exported_at'])
+    expect(row).toBe(
+      `job-1,https://forms.example.com/rental.pdf?a=1&b=2,,applicant_name,Jane Doe,filled,,,,,,${COMPLETED_AT},${EXPORTED_AT}`,
+    )
+  })
+
+  it('quotes cells holding commas, quotes or line breaks', () => {
+    const csv = buildFieldResultsCsv(
+      createJob([{ fieldName: 'address', value: '12 Main St, Apt "B"\nSpringfield', status: 'filled', reason: 'a\r\nb' }]),
+      EXPORTED_AT,
+    )
+
+    expect(csv).toContain(',"12 Main St, Apt ""B""\nSpringfield",filled,"a\r\nb",')
+  })
+
+  it.each(['=SUM(A1:A2)', '+1 555 0100', '-42', '@cmd', '\tindented'])('keeps %j from being read as a formula', (value) => {
+    const [, row] = csvRows(createJob([{ fieldName: 'notes', value, status: 'filled' }]))
+
+    const escaped = /[",\r\n]/.test(value) ? `"'${value}"` : `'${value}`
+    expect(row).toContain(`,notes,${escaped},filled,`)
+  })
+
+  it('leaves values that only contain formula characters later on untouched', () => {
+    const [, row] = csvRows(createJob([{ fieldName: 'email', value: 'jane@example.com', status: 'filled' }]))
+
+    expect(row).toContain(',email,jane@example.com,filled,')
+  })
+
+  it('leaves the completion time empty for a job that never reported one', () => {
+    const [, row] = csvRows({ ...createJob([{ fieldName: 'name', value: 'Jane' }]), completedAt: undefined })
+
+    expect(row.endsWith(`,,${EXPORTED_AT}`)).toBe(true)
+  })
+})
+
+describe('buildFieldResultsJson', () => {
+  it('records the completion and export times separately', () => {
+    const exported = JSON.parse(
+      buildFieldResultsJson(
+        createJob([{ fieldName: 'name', value: 'Jane', status: 'filled', source: 'profile' }, { value: 'no name' }]),
+        EXPORTED_AT,
+      ),
+    )
+
+    expect(exported).toMatchObject({ jobId: 'job-1', completedAt: COMPLETED_AT, exportedAt: EXPORTED_AT })
+    expect(exported.fields).toEqual([
+      { fieldName: 'name', value: 'Jane', status: 'filled', reason: '', source: 'profile', provenance: null },
+    ])
+  })
+})
+
+describe('buildFieldResultsXfdf', () => {
+  it('nests dotted field names and escapes XML', () => {
+    const xfdf = buildFieldResultsXfdf(
+      createJob([
+        { fieldName: 'applicant.name.first', value: 'Jane' },
+        { fieldName: 'applicant.name.last', value: 'O\'Neil & <Sons>' },
+        { fieldName: 'applicant', value: '"primary"' },
+        { fieldName: 'skipped', value: '' },
+        { fieldName: 'missing', value: null },
+      ]),
+    )
+
+    expect(xfdf).toBe(
+      [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+        '  <f href="https://forms.example.com/rental.pdf?a=1&amp;b=2"/>',
+        '  <fields>',
+        '    <field name="applicant">',
+        '      <value>&quot;primary&quot;</value>',
+        '      <field name="name">',
+        '        <field name="first">',
+        '          <value>Jane</value>',
+        '        </field>',
+        '        <field name="last">',
+        '          <value>O&apos;Neil &amp; &lt;Sons&gt;</value>',
+        '        </field>',
+        '      </field>',
+        '    </field>',
+        '  </fields>',
+        '</xfdf>',
+        '',
+      ].join('\n'),
+    )
+  })
+
+  it('writes an empty field list when nothing was filled', () => {
+    const xfdf = buildFieldResultsXfdf({ jobId: 'job-2', formReference: null, fields: [{ fieldName: 'name', value: '' }] })
+
+    expect(xfdf).toContain('<fields>\n  </fields>')
+    expect(xfdf).not.toContain('<f href')
+  })
+})
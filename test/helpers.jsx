@@ -0,0 +1,78 @@
+import { render } from '@testing-library/react'
+import { MemoryRouter } from 'react-router'
+import App from '../src/App'
+import I18nProvider from '../src/components/I18nProvider'
+import { API_BASE_URL } from '../src/lib/api'
+
+const mockRequest = async (method, path, body) => {
+  const response = await fetch(new URL(path, API_BASE_URL), {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  })
+  if (!response.ok) throw new Error(`${method} ${path} failed (${response.status})`)
+  return response.json()
+}
+
+// Resets the mock backend and applies `overrides` on top of its default
+// scenario. Tests run without sign-in, so auth is off unless they turn it on.
+export const resetScenario = async (overrides = {}) => {
+  await mockRequest('POST', '/__mock/reset')
+  return mockRequest('PUT', '/__mock/scenario', { requireAuth: false, fieldIntervalMs: 20, ...overrides })
+}
+
+// Changes the scenario without dropping the jobs and files created so far.
+export const updateScenario = (changes) => mockRequest('PUT', '/__mock/scenario', changes)
+
+export const listBackendUploads = (userId) => mockRequest('GET', `/api/uploads?userId=${encodeURIComponent(userId)}`)
+
+export const listBackendProfiles = (userId) => mockRequest('GET', `/api/profiles?userId=${encodeURIComponent(userId)}`)
+
+export const saveBackendProfile = (userId, profile) =>
+  mockRequest('PUT', `/api/profiles/${encodeURIComponent(profile.id)}`, { userId, ...profile })
+
+export const saveBackendForm = (userId, form) => mockRequest('POST', '/api/form-library', { userId, ...form })
+
+const TEST_CLIENT = { client_id: 'form-fill-tests', redirect_uri: 'http://localhost/auth/callback' }
+
+// Goes through the mock identity provider's authorization code flow the way
+// the app does, without a browser, and returns the account and its tokens.
+export const signInTestAccount = async (email = 'tester@example.com') => {
+  const verifier = crypto.randomUUID() + crypto.randomUUID()
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+  const authorization = await fetch(new URL('/oidc/authorize', API_BASE_URL), {
+    method: 'POST',
+    body: new URLSearchParams({
+      ...TEST_CLIENT,
+      response_type: 'code',
+      code_challenge: Buffer.from(digest).toString('base64url'),
+      code_challenge_method: 'S256',
+      email,
+      decision: 'allow',
+    }),
+    redirect: 'manual',
+  })
+  const code = new URL(authorization.headers.get('location')).searchParams.get('code')
+  const tokenResponse = await fetch(new URL('/oidc/token', API_BASE_URL), {
+    method: 'POST',
+    body: new URLSearchParams({ ...TEST_CLIENT, grant_type: 'authorization_code', code, code_verifier: verifier }),
+  })
+  const { access_token: accessToken } = await tokenResponse.json()
+  const userInfo = await fetch(new URL('/oidc/userinfo', API_BASE_URL), {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  })
+  return { ...(await userInfo.json()), accessToken }
+}
+
+// Each test signs in as its own user so IndexedDB and backend state never
+// leak between tests.
+export const createTestUser = () => ({ sub: `test-${crypto.randomUUID()}`, email: 'tester@example.com' })
+
+export const renderApp = (user, { path = '/' } = {}) =>
+  render(
+    <I18nProvider>
+      <MemoryRouter initialEntries={[path]}>
+        <App key={user.sub} user={user} />
+      </MemoryRouter>
+    </I18nProvider>,
+  )
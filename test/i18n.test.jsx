@@ -0,0 +1,79 @@
+import { render, screen } from '@testing-library/react'
+import Button from '@mui/material/Button'
+import { useTheme } from '@mui/material/styles'
+import { afterEach, describe, expect, it } from 'vitest'
+import I18nProvider from '../src/components/I18nProvider'
+import { ApiError } from '../src/lib/api'
+import { createI18n, LOCALES, useI18n } from '../src/lib/i18n'
+import de from '../src/locales/de'
+
+// None of the shipped languages is right-to-left, so the test registers one
+// the same way a real catalog would be added.
+const RTL_LOCALE = { code: 'ar', label: 'العربية', dir: 'rtl', catalog: { 'app.title': 'ملء النماذج' } }
+
+function DirectionProbe() {
+  const { t, locale } = useI18n()
+  const theme = useTheme()
+  return (
+    <>
+      <p>{t('app.title')}</p>
+      <p>{`${locale}:${theme.direction}`}</p>
+      <Button>{t('auth.signIn')}</Button>
+    </>
+  )
+}
+
+describe('right-to-left locales', () => {
+  afterEach(() => {
+    LOCALES.splice(LOCALES.indexOf(RTL_LOCALE), 1)
+    document.documentElement.dir = ''
+    document.documentElement.lang = ''
+  })
+
+  it('sets the document direction, the theme and the mirrored style cache', async () => {
+    LOCALES.push(RTL_LOCALE)
+    localStorage.setItem('ui_locale', RTL_LOCALE.code)
+
+    render(
+      <I18nProvider>
+        <DirectionProbe />
+      </I18nProvider>,
+    )
+
+    expect(screen.getByText('ملء النماذج')).toBeTruthy()
+    expect(screen.getByText('ar:rtl')).toBeTruthy()
+    // Keys missing from the catalog fall back to English.
+    expect(screen.getByRole('button', { name: 'Sign in' })).toBeTruthy()
+    expect(document.documentElement.dir).toBe('rtl')
+    expect(document.documentElement.lang).toBe('ar')
+    expect(document.head.querySelector('style[data-emotion^="mui-rtl"]')).toBeTruthy()
+  })
+})
+
+describe('errorMessage', () => {
+  const { errorMessage } = createI18n('de')
+
+  it('translates errors raised by the client', () => {
+    const error = new ApiError('Unable to reach the server.', { endpoint: 'GET /api/uploads', reason: 'network' })
+    expect(errorMessage(error, 'documents.loadFailed')).toBe(de['errors.network'])
+  })
+
+  it('fills the placeholders of a translated error', () => {
+    const error = new ApiError('Request failed (503)', {
+      status: 503,
+      endpoint: 'GET /api/uploads',
+      reason: 'requestFailed',
+      params: { status: '503' },
+    })
+    expect(errorMessage(error, 'documents.loadFailed')).toBe('Anfrage fehlgeschlagen (503)')
+  })
+
+  it('shows a message sent by the backend as it is', () => {
+    const error = new ApiError('Quota exceeded', { status: 429, endpoint: 'POST /api/uploads' })
+    expect(errorMessage(error, 'documents.uploadFailed')).toBe('Quota exceeded')
+  })
+
+  it('falls back to the given key when the error has no message', () => {
+    expect(errorMessage(new Error(''), 'documents.uploadFailed')).toBe(de['documents.uploadFailed'])
+  })
+})
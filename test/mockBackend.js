@@ -0,0 +1,30 @@
+// Vitest global setup: runs mock-backend/server.js for the whole test run on
+// the port named in vite.config.js.
+import { spawn } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+
+const SERVER_PATH = fileURLToPath(new URL('../mock-backend/server.js', import.meta.url))
+const START_TIMEOUT_MS = 10000
+
+export default async function setup(project) {
+  const port = project.config.env.MOCK_PORT
+  const server = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, MOCK_PORT: port },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  })
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Mock backend did not start')), START_TIMEOUT_MS)
+    server.once('exit', (code) => reject(new Error(`Mock backend exited with code ${code}`)))
+    server.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('listening')) {
+        clearTimeout(timer)
+        resolve()
+      }
+    })
+  })
+
+  return () => {
+    server.kill()
+  }
+}
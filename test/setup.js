@@ -0,0 +1,13 @@
+import 'fake-indexeddb/auto'
+import { cleanup } from '@testing-library/react'
+import { afterEach, vi } from 'vitest'
+
+// pdf.js needs DOMMatrix and a real canvas, neither of which jsdom has, so the
+// PDF viewers render nothing under test instead of failing to load.
+vi.mock('../src/components/FilledPdfPreview', () => ({ default: () => null }))
+vi.mock('../src/components/SourceDocumentViewer', () => ({ default: () => null }))
+
+afterEach(() => {
+  cleanup()
+  localStorage.clear()
+})
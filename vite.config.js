@@ -1,7 +1,22 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const MOCK_PORT = 8765
+
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    environment: 'jsdom',
+    // Every test file talks to the one mock backend started in globalSetup
+    // and resets its scenario, so files must not run side by side.
+    fileParallelism: false,
+    globalSetup: ['./test/mockBackend.js'],
+    setupFiles: ['./test/setup.js'],
+    env: {
+      MOCK_PORT: String(MOCK_PORT),
+      VITE_API_BASE_URL: `http://localhost:${MOCK_PORT}`,
+    },
+    testTimeout: 20000,
+  },
 })